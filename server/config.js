@@ -0,0 +1,50 @@
+import { PROVIDERS } from '../src/providers/index.js';
+
+const numberFromEnv = (env, name, fallback) => {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const API_KEY_VARIABLES = {
+  openai: 'OPENAI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  local: 'LOCAL_API_KEY'
+};
+
+// Only adapters that can run outside a browser make sense upstream of the proxy.
+const UPSTREAM_PROVIDERS = Object.keys(API_KEY_VARIABLES);
+
+export const loadConfig = (env = process.env) => {
+  const providerId = env.ETYMO_PROVIDER || 'openai';
+  if (!UPSTREAM_PROVIDERS.includes(providerId)) {
+    throw new Error(`ETYMO_PROVIDER must be one of ${UPSTREAM_PROVIDERS.join(', ')} (got "${providerId}")`);
+  }
+
+  const defaults = PROVIDERS[providerId].defaults;
+  const apiKey = env.ETYMO_API_KEY || env[API_KEY_VARIABLES[providerId]] || '';
+  if (!apiKey && providerId !== 'local') {
+    throw new Error(`Set ${API_KEY_VARIABLES[providerId]} (or ETYMO_API_KEY) to run the Etymo server with ${providerId}`);
+  }
+
+  return {
+    port: numberFromEnv(env, 'PORT', 3001),
+    provider: providerId,
+    providerConfig: {
+      baseUrl: env.ETYMO_BASE_URL || defaults.baseUrl,
+      apiKey,
+      model: env.ETYMO_MODEL || defaults.model,
+      temperature: numberFromEnv(env, 'ETYMO_TEMPERATURE', defaults.temperature),
+      maxTokens: numberFromEnv(env, 'ETYMO_MAX_TOKENS', defaults.maxTokens)
+    },
+    rateLimit: {
+      windowMs: numberFromEnv(env, 'RATE_LIMIT_WINDOW_MS', 60 * 1000),
+      max: numberFromEnv(env, 'RATE_LIMIT_MAX', 10)
+    },
+    maxBodyBytes: numberFromEnv(env, 'MAX_BODY_BYTES', 16 * 1024),
+    maxWordLength: numberFromEnv(env, 'MAX_WORD_LENGTH', 40),
+    // Only trust X-Forwarded-For when running behind a reverse proxy that sets it
+    trustProxy: env.TRUST_PROXY === '1' || env.TRUST_PROXY === 'true',
+    allowedOrigin: env.ALLOWED_ORIGIN || ''
+  };
+};
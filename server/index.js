@@ -0,0 +1,260 @@
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { getProvider, ProviderError } from '../src/providers/index.js';
+import { buildMessages, TASKS, MNEMONIC_STYLES, EXPLANATION_LANGUAGES } from '../src/analysis/prompt.js';
+import { ANALYSIS_FIELDS, isRepairProblem } from '../src/analysis/schema.js';
+import { loadConfig } from './config.js';
+import { createRateLimiter } from './rateLimit.js';
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  if (Number(req.headers['content-length']) > maxBytes) {
+    reject(new HttpError(413, `Request body larger than ${maxBytes} bytes`));
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      req.removeAllListeners('data');
+      req.resume();
+      reject(new HttpError(413, `Request body larger than ${maxBytes} bytes`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (err) {
+      reject(new HttpError(400, 'Request body must be JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const MAX_REPAIR_PROBLEMS = 20;
+const MAX_AVOIDED_MNEMONICS = 5;
+const MAX_AVOIDED_LENGTH = 240;
+
+// Earlier mnemonics are one or two sentences of plain prose. Anything longer,
+// on several lines, with markup or JSON, or addressing the model is left out
+// of the prompt rather than passed on.
+const INSTRUCTION_LIKE = /[{}<>`]|\b(ignore|disregard|instructions?|prompt|system|assistant|respond|reply|you are|you must)\b/i;
+
+const isAvoidableMnemonic = (text) =>
+  typeof text === 'string' && text.trim().length > 0 && text.length <= MAX_AVOIDED_LENGTH &&
+  !/[\r\n]/.test(text) && !INSTRUCTION_LIKE.test(text);
+
+// Matches MAX_REPAIR_CONTEXT in src/analysis/analyze.js
+const MAX_REPAIR_REPLY = 8000;
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isMnemonicStyle = (style) => hasOwn(MNEMONIC_STYLES, style);
+
+// A repair's `previous` is what the app re-encodes of the bad reply: a JSON
+// object, or nothing. Only analysis fields are passed on. Returns null when
+// it is anything else.
+const readRepairReply = (previous) => {
+  if (previous === undefined || previous === '') return '';
+  if (typeof previous !== 'string' || previous.length > MAX_REPAIR_REPLY) return null;
+
+  let value;
+  try {
+    value = JSON.parse(previous);
+  } catch (err) {
+    return null;
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  return JSON.stringify(Object.fromEntries(Object.entries(value).filter(([field]) => hasOwn(ANALYSIS_FIELDS, field))));
+};
+
+// Only the fields the prompt builder needs are passed on, each checked
+// against what the app itself sends: known tasks, languages and styles, for a
+// repair the validator's own problem wording and a size-capped JSON object,
+// and for a mnemonic a few short earlier ones. Free text still reaches the
+// model (the word, the string values in that object, those mnemonics), so it
+// is the rate limiter that bounds what a client can spend of the server's key.
+const validateRequest = (body, { maxWordLength }) => {
+  if (!body || !TASKS.includes(body.task)) {
+    throw new HttpError(400, 'Unknown task');
+  }
+
+  const word = typeof body.word === 'string' ? body.word.trim() : '';
+  if (!word) {
+    throw new HttpError(400, 'Missing word');
+  }
+  if (word.length > maxWordLength) {
+    throw new HttpError(400, `Word longer than ${maxWordLength} characters`);
+  }
+
+  const language = body.language === undefined ? 'en' : body.language;
+  if (!hasOwn(EXPLANATION_LANGUAGES, language)) {
+    throw new HttpError(400, 'Unknown explanation language');
+  }
+
+  // Asked for in the analysis prompt, so a repair needs them as well
+  const mnemonicStyles = Array.isArray(body.mnemonicStyles) ? [...new Set(body.mnemonicStyles)].filter(isMnemonicStyle) : [];
+
+  if (body.task === 'repair') {
+    const problems = Array.isArray(body.problems) ? [...new Set(body.problems)] : [];
+    const previous = readRepairReply(body.previous);
+    if (previous === null || !problems.length || problems.length > MAX_REPAIR_PROBLEMS || !problems.every(isRepairProblem)) {
+      throw new HttpError(400, 'A repair needs the previous reply as a JSON object and the problems found in it');
+    }
+    return { task: body.task, word, language, mnemonicStyles, previous, problems };
+  }
+
+  if (body.task === 'mnemonic') {
+    const avoid = Array.isArray(body.avoid) ? body.avoid : [];
+    if (!isMnemonicStyle(body.style) || !avoid.every(text => typeof text === 'string')) {
+      throw new HttpError(400, 'A mnemonic needs a known style and a list of earlier mnemonics');
+    }
+    return {
+      task: body.task,
+      word,
+      language,
+      style: body.style,
+      avoid: avoid.filter(isAvoidableMnemonic).slice(-MAX_AVOIDED_MNEMONICS).map(text => text.trim())
+    };
+  }
+
+  return { task: body.task, word, language, mnemonicStyles, stream: body.stream === true };
+};
+
+const clientKey = (req, trustProxy) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+};
+
+export const createServer = (config, { provider = getProvider(config.provider) } = {}) => {
+  const limiter = createRateLimiter(config.rateLimit);
+
+  const handleAnalyze = async (req, res) => {
+    const limit = limiter.hit(clientKey(req, config.trustProxy));
+    if (!limit.allowed) {
+      sendJson(res, 429, { error: 'Too many requests' }, { 'Retry-After': String(limit.retryAfterSeconds) });
+      return;
+    }
+
+    const request = validateRequest(await readJsonBody(req, config.maxBodyBytes), config);
+    const messages = buildMessages(request);
+
+    // Stop paying for tokens nobody will read
+    const upstream = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) upstream.abort();
+    });
+
+    try {
+      if (request.stream && provider.stream) {
+        await streamToClient(res, messages, upstream.signal, limit);
+      } else {
+        const content = await provider.complete(messages, config.providerConfig, { signal: upstream.signal });
+        sendJson(res, 200, { content }, { 'X-RateLimit-Remaining': String(limit.remaining) });
+      }
+    } catch (err) {
+      if (err instanceof ProviderError || err.name === 'AbortError') throw err;
+      throw new ProviderError(`Provider request failed: ${err.message}`, { provider: provider.id });
+    }
+  };
+
+  // Headers go out with the first piece of text, so upstream errors that
+  // happen before that still get a proper status code.
+  const streamToClient = async (res, messages, signal, limit) => {
+    const startResponse = () => {
+      if (res.headersSent) return;
+      res.writeHead(200, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no',
+        'X-RateLimit-Remaining': String(limit.remaining)
+      });
+    };
+
+    try {
+      await provider.stream(messages, config.providerConfig, {
+        signal,
+        onText: (text) => {
+          startResponse();
+          res.write(text);
+        }
+      });
+    } catch (err) {
+      if (!res.headersSent) throw err;
+      console.error('Upstream stream failed:', err.message);
+      res.destroy();
+      return;
+    }
+    startResponse();
+    res.end();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (config.allowedOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+      res.setHeader('Vary', 'Origin');
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'OPTIONS' && config.allowedOrigin) {
+        res.writeHead(204, {
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end();
+      } else if (pathname === '/api/health' && req.method === 'GET') {
+        sendJson(res, 200, { ok: true });
+      } else if (pathname === '/api/analyze' && req.method === 'POST') {
+        await handleAnalyze(req, res);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        res.destroy();
+      } else if (err instanceof HttpError) {
+        sendJson(res, err.status, { error: err.message });
+      } else if (err instanceof ProviderError) {
+        console.error('Upstream error:', err.message);
+        if (err.status === 429) {
+          sendJson(res, 503, { error: 'The model provider is busy, try again shortly' }, { 'Retry-After': '30' });
+        } else {
+          sendJson(res, 502, { error: 'The model provider returned an error' });
+        }
+      } else {
+        console.error('Unexpected error:', err);
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    }
+  });
+
+  server.on('close', () => limiter.stop());
+  return server;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const config = loadConfig();
+  createServer(config).listen(config.port, () => {
+    console.log(`Etymo server listening on http://localhost:${config.port} (${config.provider}, ${config.providerConfig.model})`);
+  });
+}
@@ -0,0 +1,35 @@
+// Fixed-window counter per client. Good enough for a single process; put a
+// shared store behind the same interface if the server is ever scaled out.
+export const createRateLimiter = ({ windowMs, max }) => {
+  const clients = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of clients) {
+      if (entry.resetAt <= now) clients.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    // Returns { allowed, remaining, retryAfterSeconds }
+    hit(key) {
+      const now = Date.now();
+      let entry = clients.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        clients.set(key, entry);
+      }
+
+      entry.count += 1;
+      return {
+        allowed: entry.count <= max,
+        remaining: Math.max(0, max - entry.count),
+        retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000)
+      };
+    },
+    stop() {
+      clearInterval(sweep);
+    }
+  };
+};
@@ -1,22 +1,121 @@
-import React, { useState } from 'react';
-import { Search, BookOpen, Loader2, Copy, Volume2, ChevronDown, ChevronUp, Clock, Network } from 'lucide-react';
+import React, { useState, useRef } from 'react';
+import { Search, BookOpen, Loader2, Copy, Volume2, ChevronDown, ChevronUp, Clock, Network, Settings, AlertTriangle, RefreshCw, X, GraduationCap, Plus, Check, Download, ListChecks, Waves, Mic, Star, Library, Link, Puzzle } from 'lucide-react';
+import { loadAnalysis, describeAnalysisError } from './analysis/analyze';
+import { describeProblem } from './analysis/schema';
+import { PROVIDERS } from './providers';
+import { loadSettings, saveSettings } from './settings';
+import { getDeck, addToDeck, gradeCard, cardId } from './storage/deck';
+import { isDue } from './review/scheduler';
+import SettingsPanel from './components/SettingsPanel';
+import ReviewSession from './components/ReviewSession';
+import ExportPanel from './components/ExportPanel';
+import BatchPanel from './components/BatchPanel';
+import FamilyGraph from './components/FamilyGraph';
+import EtymologyTimeline from './components/EtymologyTimeline';
+import { formatStages } from './export/fields';
+import SyllableBreakdown from './components/SyllableBreakdown';
+import SayItPanel from './components/SayItPanel';
+import MorphemeBreakdown from './components/MorphemeBreakdown';
+import FalseFriendsQuiz from './components/FalseFriendsQuiz';
+import QuizPanel from './components/QuizPanel';
+import GrammarTable from './components/GrammarTable';
+import LibraryPanel from './components/LibraryPanel';
+import NotebookSection from './components/NotebookSection';
+import MnemonicVersions from './components/MnemonicVersions';
+import { getLibrary, recordLookup, updateEntry } from './storage/library';
+import { filterLibrary, collectTags, lastLookup } from './library/search';
+import { preferredMnemonicStyles, listMnemonicVersions } from './library/mnemonics';
+import { normalizeWord } from './analysis/words';
+import { useRoute } from './routing/useRoute';
+import { wordUrl } from './routing/routes';
+import { classifyRelatedWords } from './analysis/cognates';
+import { speakText, RATE_RANGE } from './speech/speak';
+import { I18nContext, createTranslator, useTranslation } from './i18n';
 
-const SpanishEtymologyAnalyzer = () => {
+// Shown under Recent Searches until the library has something in it
+const SUGGESTED_WORDS = ['biblioteca', 'ventana', 'corazón'];
+
+// Pill styles for related English words by cognate reliability
+const COGNATE_STYLES = {
+  true: 'bg-green-100 hover:bg-green-200 text-green-800 border-green-200 hover:border-green-300',
+  partial: 'bg-yellow-100 hover:bg-yellow-200 text-yellow-900 border-yellow-300 hover:border-yellow-400',
+  false: 'bg-red-100 hover:bg-red-200 text-red-800 border-red-300 border-dashed hover:border-red-400'
+};
+
+// `recognizer` is handed to "Say it" practice; it defaults to the browser's
+// speech recognition (see speech/recognition.js). Settings are held by
+// EtymoRoot below.
+const SpanishEtymologyAnalyzer = ({ recognizer, settings, updateSettings }) => {
+  const t = useTranslation();
   const [word, setWord] = useState('');
   const [analysis, setAnalysis] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [recentSearches, setRecentSearches] = useState(['biblioteca', 'ventana', 'corazón']);
+  const [warnings, setWarnings] = useState([]);
+  const [repairing, setRepairing] = useState(false);
+  const [analyzedWord, setAnalyzedWord] = useState('');
+  const [cachedAt, setCachedAt] = useState(null);
+  const [streamingAnalysis, setStreamingAnalysis] = useState(null);
+  const abortControllerRef = useRef(null);
+  // The word last asked for, so a route change to it isn't analyzed twice
+  const requestedWordRef = useRef('');
+  const [route, navigate] = useRoute();
+  const showReview = route.view === 'review';
+  const showLibrary = route.view === 'history';
+  const [deck, setDeck] = useState([]);
+  const [deckLoaded, setDeckLoaded] = useState(false);
+  const [exportScope, setExportScope] = useState(null);
+  const [showBatch, setShowBatch] = useState(false);
+  const [showFalseFriends, setShowFalseFriends] = useState(false);
+  const [showQuiz, setShowQuiz] = useState(false);
+  const [relatedView, setRelatedView] = useState('graph');
+  const [library, setLibrary] = useState([]);
   const [expandedSections, setExpandedSections] = useState({
     etymology: true,
+    morphemes: true,
+    grammar: true,
     related: true,
     mnemonic: true,
-    sentences: true
+    sentences: true,
+    notebook: true
   });
   const [copied, setCopied] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
   const [availableVoices, setAvailableVoices] = useState([]);
   const [selectedVoice, setSelectedVoice] = useState(null);
   const [showVoiceSelector, setShowVoiceSelector] = useState(false);
+  const [showSyllables, setShowSyllables] = useState(false);
+  const [showSayIt, setShowSayIt] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  // The explanation language the analysis on screen was made in
+  const [analysisLanguage, setAnalysisLanguage] = useState(settings.explanationLanguage);
+  const updateSpeech = (changes) => updateSettings({ ...settings, speech: { ...settings.speech, ...changes } });
+
+  const loadDeck = () => getDeck()
+    .then(setDeck)
+    .catch(err => console.error('Failed to load deck:', err))
+    .finally(() => setDeckLoaded(true));
+
+  const loadLibrary = () => getLibrary()
+    .then(setLibrary)
+    .catch(err => console.error('Failed to load library:', err));
+
+  React.useEffect(() => {
+    loadDeck();
+    loadLibrary();
+  }, []);
+
+  const saveLibraryEntry = (entry) => {
+    setLibrary(prev => [...prev.filter(other => other.word !== entry.word), entry]);
+  };
+
+  const updateLibraryEntry = async (entry, changes) => {
+    try {
+      saveLibraryEntry(await updateEntry(entry, changes));
+    } catch (err) {
+      console.error('Failed to update library:', err);
+    }
+  };
 
   // Load available voices
   React.useEffect(() => {
@@ -27,8 +126,9 @@ const SpanishEtymologyAnalyzer = () => {
       );
       setAvailableVoices(spanishVoices);
       
-      // Try to find and set Chrome OS Spanish (US) Voice 3 as default
-      const preferredVoice = spanishVoices.find(voice => 
+      // Prefer the voice picked last time, then Chrome OS Spanish (US) Voice 3
+      const { voiceName } = loadSettings().speech;
+      const preferredVoice = spanishVoices.find(voice => voice.name === voiceName) || spanishVoices.find(voice => 
         voice.lang === 'es-US' && voice.name.toLowerCase().includes('google')
       ) || spanishVoices.find(voice => 
         voice.lang === 'es-US'
@@ -43,108 +143,120 @@ const SpanishEtymologyAnalyzer = () => {
     speechSynthesis.onvoiceschanged = loadVoices;
   }, []);
 
-  const analyzeWord = async () => {
-    if (!word.trim()) {
-      setError('Please enter a Spanish word');
+  // Takes the word explicitly so callers that also setWord() don't analyze
+  // the previous, stale value. `force` skips the cache; `updateUrl: false` is
+  // for analyses started by a URL change.
+  const analyzeWord = async (targetWord = word, { force = false, updateUrl = true } = {}) => {
+    const trimmedWord = targetWord.trim();
+    if (!trimmedWord) {
+      setError(t('app.enterWord'));
       return;
     }
 
+    requestedWordRef.current = trimmedWord;
+    if (updateUrl) navigate({ view: 'word', word: trimmedWord });
+
+    // Only one analysis in flight; starting another cancels the previous one
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     setLoading(true);
     setError('');
+    setWarnings([]);
     setAnalysis(null);
+    setCachedAt(null);
+    setStreamingAnalysis({ word: trimmedWord });
 
     try {
-      const prompt = `You are a Spanish etymology and memory expert. When I give you a single Spanish word, return a detailed breakdown with the following format:
-1. **📘 Word**: [Spanish word]
-2. **English meaning**:
-3. **🧬 Latin (or other) root**: Where the word comes from, traced to Classical Latin or other sources, with clear explanation of historical evolution (e.g. Old Spanish, Vulgar Latin, Arabic, etc.)
-4. **🌿 Related English words**: Derived from the same root
-5. **🧠 Mnemonic device**: A personalized, vivid, etymology-based strategy to help an English speaker remember the meaning of the word
-6. **✍️ Sample sentences**: 2–3 short example sentences using the word in Spanish, each with an English translation
-
-Format each section clearly using headings and bullet points. Keep the tone insightful, educational, and slightly poetic if appropriate — but always clear and accurate.
-
-Spanish word to analyze: "${word.trim()}"
-
-Respond with a JSON object in this exact format:
-{
-  "word": "the Spanish word",
-  "englishMeaning": "the English meaning",
-  "etymology": "detailed etymology explanation",
-  "relatedEnglishWords": ["word1", "word2", "word3"],
-  "mnemonic": "the mnemonic device explanation",
-  "sampleSentences": [
-    {"spanish": "Spanish sentence 1", "english": "English translation 1"},
-    {"spanish": "Spanish sentence 2", "english": "English translation 2"},
-    {"spanish": "Spanish sentence 3", "english": "English translation 3"}
-  ],
-  "confidence": "high",
-  "languageFamily": "Indo-European > Italic > Romance > Ibero-Romance",
-  "pronunciation": "phonetic pronunciation guide"
-}
-
-Your entire response MUST be a single, valid JSON object. DO NOT include any text outside of the JSON structure, including backticks or markdown formatting.`;
-
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.REACT_APP_OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o',
-          messages: [{ 
-            role: 'user', 
-            content: prompt 
-          }],
-          temperature: 0.7,
-          max_tokens: 2000
-        })
+      const result = await loadAnalysis(trimmedWord, settings, {
+        force,
+        signal: controller.signal,
+        mnemonicStyles: preferredMnemonicStyles(library),
+        onRepair: () => setRepairing(true),
+        onPartial: (partial) => setStreamingAnalysis({ word: trimmedWord, ...partial })
       });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      const aiResponse = data.choices[0].message.content;
-      
-      // Clean up response in case GPT-4o includes markdown formatting
-      const cleanedResponse = aiResponse.replace(/```json\s*|\s*```/g, '').trim();
-      const parsedAnalysis = JSON.parse(cleanedResponse);
-      
-      // Ensure arrays exist with fallback values
-      const safeAnalysis = {
-        ...parsedAnalysis,
-        relatedEnglishWords: parsedAnalysis.relatedEnglishWords || [],
-        sampleSentences: parsedAnalysis.sampleSentences || [],
-        confidence: parsedAnalysis.confidence || 'medium',
-        languageFamily: parsedAnalysis.languageFamily || 'Romance',
-        pronunciation: parsedAnalysis.pronunciation || word.trim()
-      };
-      
-      setAnalysis(safeAnalysis);
-      
-      // Add to recent searches
-      const newSearches = [word.trim(), ...recentSearches.filter(s => s !== word.trim())].slice(0, 5);
-      setRecentSearches(newSearches);
       
+      setAnalysis(result.analysis);
+      setWarnings(result.warnings);
+      setAnalyzedWord(trimmedWord);
+      setAnalysisLanguage(settings.explanationLanguage);
+      setCachedAt(result.cachedAt);
+
+      recordLookup(result.analysis)
+        .then(saveLibraryEntry)
+        .catch(err => console.error('Failed to record lookup:', err));
     } catch (err) {
+      if (err.name === 'AbortError') return;
       console.error('Error analyzing word:', err);
-      if (err.message.includes('OpenAI API error')) {
-        setError(`API Error: ${err.message}. Please check your OpenAI API key.`);
-      } else if (err.name === 'SyntaxError') {
-        setError('Failed to parse analysis. Please try again.');
-      } else {
-        setError('Failed to analyze the word. Please try again.');
-      }
+      setError(describeAnalysisError(err, settings, t));
     } finally {
-      setLoading(false);
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+        setLoading(false);
+        setRepairing(false);
+        setStreamingAnalysis(null);
+      }
+    }
+  };
+
+  const addAnalysisToDeck = async () => {
+    try {
+      const card = await addToDeck(analysis);
+      setDeck(prev => [...prev.filter(entry => entry.id !== card.id), card]);
+    } catch (err) {
+      console.error('Failed to add to deck:', err);
+    }
+  };
+
+  const handleGrade = async (card, grade) => {
+    try {
+      const updated = await gradeCard(card, grade);
+      setDeck(prev => prev.map(entry => (entry.id === updated.id ? updated : entry)));
+    } catch (err) {
+      console.error('Failed to save review:', err);
     }
   };
 
+  // Words reached by clicking inside an analysis (family members, word parts)
+  const openWord = (targetWord) => {
+    setWord(targetWord);
+    analyzeWord(targetWord);
+  };
+
+  const cancelAnalysis = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  };
+
   const handleSubmit = () => {
-    analyzeWord();
+    analyzeWord(word);
+  };
+
+  // The route effect below runs on route changes only, but must call the
+  // handlers from the latest render (current settings, library...)
+  const handlersRef = useRef({ analyzeWord, cancelAnalysis });
+  handlersRef.current = { analyzeWord, cancelAnalysis };
+
+  // The URL drives what is on screen: a shared link, a reload or back/forward
+  // to /word/almohada analyzes it (from the cache when it can), and going
+  // back to / clears the page.
+  React.useEffect(() => {
+    if (route.view === 'word' && normalizeWord(route.word) !== normalizeWord(requestedWordRef.current)) {
+      setWord(route.word);
+      handlersRef.current.analyzeWord(route.word, { updateUrl: false });
+    } else if (route.view === 'home' && requestedWordRef.current) {
+      handlersRef.current.cancelAnalysis();
+      requestedWordRef.current = '';
+      setWord('');
+      setAnalysis(null);
+      setError('');
+      setWarnings([]);
+    }
+  }, [route]);
+
+  // Leaves review or the library for the word that was on screen
+  const closeView = () => {
+    navigate(requestedWordRef.current ? { view: 'word', word: requestedWordRef.current } : { view: 'home' });
   };
 
   const toggleSection = (section) => {
@@ -159,13 +271,13 @@ Your entire response MUST be a single, valid JSON object. DO NOT include any tex
     
     const textToCopy = `📘 ${analysis.word} - ${analysis.englishMeaning}
 
-🧬 Etymology: ${analysis.etymology}
+🧬 ${t('copy.etymology')}: ${analysis.etymology}${analysis.etymologyStages.length ? `\n${formatStages(analysis.etymologyStages)}` : ''}
 
-🌿 Related English Words: ${analysis.relatedEnglishWords.join(', ')}
+🌿 ${relatedTitle}: ${analysis.relatedEnglishWords.join(', ')}
 
-🧠 Mnemonic: ${analysis.mnemonic}
+🧠 ${t('copy.mnemonic')}: ${analysis.mnemonic}
 
-✍️ Sample Sentences:
+✍️ ${t('sections.sentences')}:
 ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n')}`;
 
     try {
@@ -177,16 +289,44 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
     }
   };
 
-  const speakWord = () => {
-    if (analysis && 'speechSynthesis' in window && selectedVoice) {
-      const utterance = new SpeechSynthesisUtterance(analysis.word);
-      utterance.voice = selectedVoice;
-      utterance.rate = 0.8; // Slightly slower for learning
-      utterance.pitch = 1.0;
-      speechSynthesis.speak(utterance);
+  const copyLink = async () => {
+    if (!analysis) return;
+
+    try {
+      await navigator.clipboard.writeText(wordUrl(analysis.word));
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy link:', err);
     }
   };
 
+  const speak = (text) => {
+    if (!text || !selectedVoice) return;
+    const { rate, repeatSlow } = settings.speech;
+    speakText(text, { voice: selectedVoice, rate, repeatSlow });
+  };
+
+  const speakWord = () => {
+    if (analysis) speak(analysis.word);
+  };
+
+  const FieldWarnings = ({ fields, className = '' }) => {
+    const fieldWarnings = warnings.filter(warning => fields.includes(warning.field));
+    if (!fieldWarnings.length) return null;
+
+    return (
+      <div className={`flex items-start gap-2 p-3 bg-amber-100/80 border border-amber-300 rounded-lg text-sm text-amber-800 ${className}`}>
+        <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+        <ul className="space-y-1">
+          {fieldWarnings.map((warning, index) => (
+            <li key={index}>{describeProblem(warning)}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
   const ConfidenceIndicator = ({ level }) => {
     const colors = {
       high: 'bg-emerald-500',
@@ -196,13 +336,36 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
     
     return (
       <div className="flex items-center gap-2">
-        <span className="text-xs font-medium text-amber-700">Confidence:</span>
+        <span className="text-xs font-medium text-amber-700">{t('word.confidence')}</span>
         <div className={`w-2 h-2 rounded-full ${colors[level] || colors.medium}`}></div>
-        <span className="text-xs text-amber-600 capitalize">{level}</span>
+        <span className="text-xs text-amber-600">{t(`confidence.${level}`)}</span>
       </div>
     );
   };
 
+  const SectionPlaceholder = () => (
+    <div className="space-y-3 animate-pulse">
+      <div className="h-4 bg-gray-200/80 rounded w-11/12"></div>
+      <div className="h-4 bg-gray-200/80 rounded w-4/5"></div>
+      <div className="h-4 bg-gray-200/80 rounded w-2/3"></div>
+    </div>
+  );
+
+  // While streaming, the card renders whatever fields have arrived so far
+  const view = analysis || streamingAnalysis;
+  const isPending = (field) => !analysis && view[field] === undefined;
+  const dueCount = deck.filter(card => isDue(card)).length;
+  const inDeck = analysis && deck.some(card => card.id === cardId(analysis.word));
+  const family = analysis && analysis.rootFamily;
+  const relatedWords = classifyRelatedWords(view || {});
+  const libraryEntry = analysis && library.find(entry => entry.word === normalizeWord(analysis.word));
+  // A mnemonic the learner typed themselves, rather than one they picked
+  // from the generated versions
+  const hasOwnMnemonic = Boolean(libraryEntry && libraryEntry.mnemonic) &&
+    !listMnemonicVersions(libraryEntry, analysis).some(version => version.text === libraryEntry.mnemonic);
+  const recentEntries = filterLibrary(library, { order: 'recent' }).slice(0, 5);
+  const relatedTitle = t('sections.related', { language: t(`languages.${analysisLanguage}`) });
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-amber-50 via-orange-50 to-yellow-50 p-4 relative overflow-hidden">
       {/* Subtle paper texture overlay */}
@@ -213,7 +376,32 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
         <div className="border-2 border-amber-200/60 rounded-3xl bg-white/80 backdrop-blur-sm shadow-2xl shadow-amber-900/10 p-8 mb-8">
           
           {/* Header */}
-          <div className="text-center mb-10">
+          <div className="text-center mb-10 relative">
+            <div className="absolute right-0 top-0 flex items-center gap-2">
+              <button
+                onClick={() => (showReview ? closeView() : navigate({ view: 'review' }))}
+                className={`flex items-center gap-2 px-3 py-2 text-sm rounded-lg border transition-colors ${
+                  showReview ? 'bg-amber-600 text-white border-amber-600' : 'text-amber-700 hover:bg-amber-100 border-amber-200'
+                }`}
+                title={t('header.reviewTitle')}
+              >
+                <GraduationCap className="w-4 h-4" />
+                {t('header.review')}
+                {dueCount > 0 && (
+                  <span className="min-w-[1.25rem] px-1.5 py-0.5 bg-red-500 text-white text-xs font-bold rounded-full">
+                    {dueCount}
+                  </span>
+                )}
+              </button>
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                className="flex items-center gap-2 px-3 py-2 text-sm text-amber-700 hover:bg-amber-100 rounded-lg border border-amber-200 transition-colors"
+                title={t('header.settingsTitle')}
+              >
+                <Settings className="w-4 h-4" />
+                {PROVIDERS[settings.provider].label}
+              </button>
+            </div>
             <div className="flex items-center justify-center gap-4 mb-6">
               <div className="p-3 bg-amber-600/10 rounded-full">
                 <BookOpen className="w-10 h-10 text-amber-700" />
@@ -223,14 +411,13 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
               </h1>
             </div>
             <p className="text-amber-600 text-sm font-semibold tracking-wide mb-3 uppercase">
-              by SpanishPro PowerTools
+              {t('header.byline')}
             </p>
             <p className="text-amber-800 text-xl font-medium mb-2" style={{fontFamily: 'Georgia, serif'}}>
-              AI-Powered Etymology Analyzer & Mnemonics Engine
+              {t('header.tagline')}
             </p>
             <p className="text-amber-700 text-base leading-relaxed max-w-2xl mx-auto">
-              Explore word origins, create memory aids, and understand linguistic connections. 
-              Perfect for deep vocabulary analysis and building lasting memory associations.
+              {t('header.intro')}
             </p>
           </div>
 
@@ -238,8 +425,65 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
             {/* Main Content */}
             <div className="lg:col-span-3 space-y-8">
               
+              {showSettings && (
+                <SettingsPanel
+                  settings={settings}
+                  onChange={updateSettings}
+                  onClose={() => setShowSettings(false)}
+                />
+              )}
+
+              {exportScope && (
+                <ExportPanel
+                  analysis={analysis}
+                  deck={deck}
+                  language={settings.explanationLanguage}
+                  initialScope={exportScope}
+                  onImported={() => Promise.all([loadDeck(), loadLibrary()])}
+                  onClose={() => setExportScope(null)}
+                />
+              )}
+
+              {showBatch && !showReview && (
+                <BatchPanel
+                  settings={settings}
+                  onOpen={(batchWord) => {setWord(batchWord); analyzeWord(batchWord);}}
+                  onClose={() => setShowBatch(false)}
+                />
+              )}
+
+              {showLibrary && !showReview && (
+                <LibraryPanel
+                  library={library}
+                  onOpen={openWord}
+                  onUpdate={updateLibraryEntry}
+                  onClose={closeView}
+                />
+              )}
+
+              {showFalseFriends && !showReview && (
+                <FalseFriendsQuiz language={settings.explanationLanguage} onClose={() => setShowFalseFriends(false)} />
+              )}
+
+              {showQuiz && !showReview && (
+                <QuizPanel
+                  library={library}
+                  language={settings.explanationLanguage}
+                  onSelectWord={openWord}
+                  onClose={() => setShowQuiz(false)}
+                />
+              )}
+
+              {showReview && deckLoaded && (
+                <ReviewSession
+                  deck={deck}
+                  onGrade={handleGrade}
+                  onClose={closeView}
+                />
+              )}
+
               {/* Search Interface */}
-              <div className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-2xl shadow-lg border border-amber-200/50 p-6">
+              <div hidden={showReview} className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-2xl shadow-lg border border-amber-200/50 p-6">
                 <div className="space-y-4">
                   <div className="relative">
                     <input
@@ -247,7 +491,7 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
                       value={word}
                       onChange={(e) => setWord(e.target.value)}
                       onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
-                      placeholder="Enter a Spanish word (e.g., biblioteca, ventana, corazón)..."
+                      placeholder={t('search.placeholder')}
                       className="w-full px-6 py-4 pl-14 border-2 border-amber-300/50 rounded-xl focus:border-amber-500 focus:outline-none text-lg bg-white/90 backdrop-blur-sm shadow-inner"
                       disabled={loading}
                       style={{fontFamily: 'Georgia, serif'}}
@@ -255,23 +499,44 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
                     <Search className="absolute left-5 top-1/2 transform -translate-y-1/2 w-6 h-6 text-amber-500" />
                   </div>
                   
-                  <button
-                    onClick={handleSubmit}
-                    disabled={loading || !word.trim()}
-                    className="w-full bg-gradient-to-r from-amber-600 to-amber-700 hover:from-amber-700 hover:to-amber-800 disabled:from-amber-300 disabled:to-amber-400 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-300 flex items-center justify-center gap-3 shadow-lg hover:shadow-xl transform hover:scale-[1.02]"
-                  >
-                    {loading ? (
-                      <>
-                        <Loader2 className="w-6 h-6 animate-spin" />
-                        Analyzing Etymology...
-                      </>
-                    ) : (
-                      <>
-                        <BookOpen className="w-5 h-5" />
-                        Analyze Etymology
-                      </>
+                  <div className="flex gap-3">
+                    <button
+                      onClick={handleSubmit}
+                      disabled={loading || !word.trim()}
+                      className="flex-1 bg-gradient-to-r from-amber-600 to-amber-700 hover:from-amber-700 hover:to-amber-800 disabled:from-amber-300 disabled:to-amber-400 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-300 flex items-center justify-center gap-3 shadow-lg hover:shadow-xl transform hover:scale-[1.02]"
+                    >
+                      {loading ? (
+                        <>
+                          <Loader2 className="w-6 h-6 animate-spin" />
+                          {repairing ? t('search.repairing') : t('search.analyzing')}
+                        </>
+                      ) : (
+                        <>
+                          <BookOpen className="w-5 h-5" />
+                          {t('search.analyze')}
+                        </>
+                      )}
+                    </button>
+                    {loading && (
+                      <button
+                        onClick={cancelAnalysis}
+                        className="flex items-center gap-2 px-6 bg-white/90 hover:bg-red-50 text-red-700 font-semibold rounded-xl border-2 border-red-200 transition-colors shadow-lg"
+                        title={t('search.cancelTitle')}
+                      >
+                        <X className="w-5 h-5" />
+                        {t('search.cancel')}
+                      </button>
                     )}
-                  </button>
+                  </div>
+                  {!showBatch && (
+                    <button
+                      onClick={() => setShowBatch(true)}
+                      className="flex items-center gap-2 text-sm text-amber-700 hover:text-amber-900 font-medium"
+                    >
+                      <ListChecks className="w-4 h-4" />
+                      {t('search.batch')}
+                    </button>
+                  )}
                 </div>
 
                 {error && (
@@ -282,61 +547,144 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
               </div>
 
               {/* Analysis Results */}
-              {analysis && (
+              {!showReview && !showLibrary && view && (
                 <div className="bg-white/90 backdrop-blur-sm rounded-2xl shadow-2xl border-2 border-amber-200/60 overflow-hidden animate-fade-in">
                   {/* Word Header */}
                   <div className="bg-gradient-to-r from-amber-600 to-amber-700 text-white p-8 relative overflow-hidden">
                     <div className="absolute inset-0 bg-black/10"></div>
                     <div className="relative z-10">
-                      <div className="flex items-center justify-between mb-4">
+                      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
                         <h2 className="text-4xl font-bold flex items-center gap-4" style={{fontFamily: 'Georgia, serif'}}>
-                          📘 {analysis.word}
+                          📘 {view.word}
                           <div className="flex items-center gap-2">
                             <button
                               onClick={speakWord}
-                              disabled={!selectedVoice}
+                              disabled={!analysis || !selectedVoice}
                               className="p-2 bg-white/20 hover:bg-white/30 disabled:bg-white/10 disabled:opacity-50 rounded-full transition-colors"
-                              title={selectedVoice ? `Pronounce word (${selectedVoice.name})` : 'No voice selected'}
+                              title={selectedVoice ? t('word.pronounce', { voice: selectedVoice.name }) : t('word.noVoice')}
                             >
                               <Volume2 className="w-5 h-5" />
                             </button>
+                            {libraryEntry && (
+                              <button
+                                onClick={() => updateLibraryEntry(libraryEntry, { favorite: !libraryEntry.favorite })}
+                                className="p-2 bg-white/20 hover:bg-white/30 rounded-full transition-colors"
+                                title={libraryEntry.favorite ? t('library.removeFavorite') : t('library.addFavorite')}
+                              >
+                                <Star className={`w-5 h-5 ${libraryEntry.favorite ? 'fill-yellow-300 text-yellow-300' : ''}`} />
+                              </button>
+                            )}
+                            <button
+                              onClick={() => setShowSyllables(!showSyllables)}
+                              disabled={!analysis}
+                              className={`p-2 rounded-full transition-colors disabled:opacity-50 ${showSyllables ? 'bg-white/40' : 'bg-white/20 hover:bg-white/30'}`}
+                              title={t('word.syllables')}
+                            >
+                              <Waves className="w-5 h-5" />
+                            </button>
                             <button
                               onClick={() => setShowVoiceSelector(!showVoiceSelector)}
                               className="p-2 bg-white/20 hover:bg-white/30 rounded-full transition-colors text-xs"
-                              title="Select voice"
+                              title={t('word.voiceAndSpeed')}
                             >
                               🎤
                             </button>
                           </div>
                         </h2>
-                        <button
-                          onClick={copyAnalysis}
-                          className="flex items-center gap-2 px-4 py-2 bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
-                        >
-                          <Copy className="w-4 h-4" />
-                          {copied ? 'Copied!' : 'Copy'}
-                        </button>
+                        {analysis && (
+                          <div className="flex flex-wrap items-center gap-2">
+                            <button
+                              onClick={() => analyzeWord(analyzedWord, { force: true })}
+                              className="flex items-center gap-2 px-4 py-2 bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
+                              title={t('word.reanalyzeTitle')}
+                            >
+                              <RefreshCw className="w-4 h-4" />
+                              {t('word.reanalyze')}
+                            </button>
+                            <button
+                              onClick={() => setShowSayIt(!showSayIt)}
+                              className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${showSayIt ? 'bg-white/40' : 'bg-white/20 hover:bg-white/30'}`}
+                              title={t('word.sayItTitle')}
+                            >
+                              <Mic className="w-4 h-4" />
+                              {t('word.sayIt')}
+                            </button>
+                            <button
+                              onClick={addAnalysisToDeck}
+                              disabled={inDeck}
+                              className="flex items-center gap-2 px-4 py-2 bg-white/20 hover:bg-white/30 disabled:hover:bg-white/20 rounded-lg transition-colors"
+                              title={inDeck ? t('word.inDeckTitle') : t('word.addToDeckTitle')}
+                            >
+                              {inDeck ? <Check className="w-4 h-4" /> : <Plus className="w-4 h-4" />}
+                              {inDeck ? t('word.inDeck') : t('word.addToDeck')}
+                            </button>
+                            <button
+                              onClick={() => setExportScope('current')}
+                              className="flex items-center gap-2 px-4 py-2 bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
+                              title={t('word.exportTitle')}
+                            >
+                              <Download className="w-4 h-4" />
+                              {t('word.export')}
+                            </button>
+                            <button
+                              onClick={copyAnalysis}
+                              className="flex items-center gap-2 px-4 py-2 bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
+                            >
+                              <Copy className="w-4 h-4" />
+                              {copied ? t('word.copied') : t('word.copy')}
+                            </button>
+                            <button
+                              onClick={copyLink}
+                              className="flex items-center gap-2 px-4 py-2 bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
+                              title={t('word.copyLinkTitle')}
+                            >
+                              <Link className="w-4 h-4" />
+                              {linkCopied ? t('word.linkCopied') : t('word.copyLink')}
+                            </button>
+                          </div>
+                        )}
                       </div>
-                      <p className="text-amber-100 text-xl mb-3">{analysis.englishMeaning}</p>
+                      <p className="text-amber-100 text-xl mb-3">
+                        {view.englishMeaning || <span className="inline-block w-64 h-6 bg-white/20 rounded animate-pulse"></span>}
+                      </p>
                       <div className="flex items-center gap-6 text-sm">
-                        <span className="text-amber-200">📞 {analysis.pronunciation}</span>
-                        <span className="text-amber-200">🌍 {analysis.languageFamily}</span>
-                        <ConfidenceIndicator level={analysis.confidence} />
+                        {view.pronunciation && (
+                          <span className="text-amber-200">📞 {view.pronunciation}</span>
+                        )}
+                        {view.languageFamily && (
+                          <span className="text-amber-200">🌍 {view.languageFamily}</span>
+                        )}
+                        {view.confidence && <ConfidenceIndicator level={view.confidence} />}
+                        {cachedAt && (
+                          <span className="px-2 py-0.5 bg-white/20 rounded-full text-amber-100 text-xs">
+                            🗄️ {t('word.cachedOn', { date: new Date(cachedAt).toLocaleDateString() })}
+                          </span>
+                        )}
                         {selectedVoice && (
-                          <span className="text-amber-200">🎤 {selectedVoice.name}</span>
+                          <span className="text-amber-200">🎤 {selectedVoice.name} · {settings.speech.rate}×</span>
                         )}
                       </div>
+
+                      {showSyllables && analysis && (
+                        <SyllableBreakdown
+                          text={analysis.word}
+                          pronunciation={analysis.pronunciation}
+                          voice={selectedVoice}
+                          rate={settings.speech.rate}
+                        />
+                      )}
                       
                       {/* Voice Selector */}
                       {showVoiceSelector && (
                         <div className="mt-4 p-4 bg-white/20 rounded-lg backdrop-blur-sm">
-                          <h4 className="text-white font-semibold mb-3">Select Spanish Voice:</h4>
+                          <h4 className="text-white font-semibold mb-3">{t('voice.select')}</h4>
                           <div className="grid grid-cols-1 gap-2 max-h-32 overflow-y-auto">
                             {availableVoices.map((voice, index) => (
                               <button
                                 key={index}
                                 onClick={() => {
                                   setSelectedVoice(voice);
+                                  updateSpeech({ voiceName: voice.name });
                                   setShowVoiceSelector(false);
                                 }}
                                 className={`text-left p-2 rounded text-sm transition-colors ${
@@ -346,19 +694,63 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
                                 }`}
                               >
                                 <div>{voice.name}</div>
-                                <div className="text-xs opacity-75">{voice.lang} • {voice.localService ? 'Local' : 'Remote'}</div>
+                                <div className="text-xs opacity-75">{voice.lang} • {voice.localService ? t('voice.local') : t('voice.remote')}</div>
                               </button>
                             ))}
                           </div>
                           {availableVoices.length === 0 && (
-                            <p className="text-amber-200 text-sm italic">No Spanish voices found on this system.</p>
+                            <p className="text-amber-200 text-sm italic">{t('voice.none')}</p>
                           )}
+                          <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mt-4 text-sm text-amber-100">
+                            <label className="flex items-center gap-3">
+                              {t('voice.speed')}
+                              <input
+                                type="range"
+                                min={RATE_RANGE.min}
+                                max={RATE_RANGE.max}
+                                step={RATE_RANGE.step}
+                                value={settings.speech.rate}
+                                onChange={(e) => updateSpeech({ rate: parseFloat(e.target.value) })}
+                                className="accent-white"
+                              />
+                              <span className="w-10">{settings.speech.rate}×</span>
+                            </label>
+                            <label className="flex items-center gap-2">
+                              <input
+                                type="checkbox"
+                                checked={settings.speech.repeatSlow}
+                                onChange={(e) => updateSpeech({ repeatSlow: e.target.checked })}
+                                className="accent-white"
+                              />
+                              {t('voice.repeatSlow')}
+                            </label>
+                          </div>
                         </div>
                       )}
                     </div>
                   </div>
 
                   <div className="p-8 space-y-8">
+                    <FieldWarnings fields={['word', 'englishMeaning', 'confidence', 'languageFamily', 'pronunciation']} />
+
+                    {view.inputForm && (
+                      <div className="p-4 bg-sky-50 border border-sky-200 rounded-lg text-sky-900">
+                        <span className="font-bold">{t('card.didYouMean', { word: view.word })}</span>
+                        {' '}{t('card.inputForm', { form: view.inputForm.form, description: view.inputForm.description, word: view.word })}
+                      </div>
+                    )}
+
+                    {showSayIt && analysis && (
+                      <SayItPanel
+                        key={analysis.word}
+                        analysis={analysis}
+                        voice={selectedVoice}
+                        onListen={speak}
+                        onClose={() => setShowSayIt(false)}
+                        recognizer={recognizer}
+                      />
+                    )}
+
                     {/* Etymology */}
                     <section className="border border-amber-200 rounded-xl p-6 bg-gradient-to-br from-amber-50 to-orange-50">
                       <button
@@ -366,30 +758,94 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
                         className="w-full flex items-center justify-between mb-4 text-left"
                       >
                         <h3 className="text-2xl font-semibold text-amber-800 flex items-center gap-3" style={{fontFamily: 'Georgia, serif'}}>
-                          🧬 Etymology & Historical Evolution
+                          🧬 {t('sections.etymology')}
                         </h3>
                         {expandedSections.etymology ? 
                           <ChevronUp className="w-6 h-6 text-amber-600" /> : 
                           <ChevronDown className="w-6 h-6 text-amber-600" />
                         }
                       </button>
-                      {expandedSections.etymology && (
+                      {expandedSections.etymology && isPending('etymology') && <SectionPlaceholder />}
+                      {expandedSections.etymology && view.etymologyStages && view.etymologyStages.length > 0 && (
+                        <div className="mb-6">
+                          <EtymologyTimeline stages={view.etymologyStages} />
+                        </div>
+                      )}
+                      {expandedSections.etymology && !isPending('etymology') && (
                         <div className="bg-white/80 p-6 rounded-lg border-l-4 border-amber-500 shadow-inner animate-fade-in">
                           <p className="text-gray-700 leading-relaxed text-lg" style={{fontFamily: 'Georgia, serif'}}>
-                            {analysis.etymology}
+                            {view.etymology}
+                          </p>
+                        </div>
+                      )}
+                      {expandedSections.etymology && view.grammar && view.grammar.irregularities && (
+                        <div className="mt-4 bg-white/80 p-5 rounded-lg border-l-4 border-red-400 animate-fade-in">
+                          <h4 className="font-semibold text-red-800 mb-1">{t('sections.irregularities')}</h4>
+                          <p className="text-gray-700 leading-relaxed" style={{fontFamily: 'Georgia, serif'}}>
+                            {view.grammar.irregularities}
                           </p>
                         </div>
                       )}
+                      <FieldWarnings fields={['etymology', 'etymologyStages']} className="mt-4" />
                     </section>
 
-                    {/* Related English Words */}
+                    {/* Grammar */}
+                    {(isPending('grammar') || view.grammar) && (
+                      <section className="border border-cyan-200 rounded-xl p-6 bg-gradient-to-br from-cyan-50 to-sky-50">
+                        <button
+                          onClick={() => toggleSection('grammar')}
+                          className="w-full flex items-center justify-between mb-4 text-left"
+                        >
+                          <h3 className="text-2xl font-semibold text-cyan-800 flex items-center gap-3" style={{fontFamily: 'Georgia, serif'}}>
+                            📐 {view.grammar && view.grammar.conjugation ? t('sections.conjugation') : t('sections.grammar')}
+                          </h3>
+                          {expandedSections.grammar ?
+                            <ChevronUp className="w-6 h-6 text-cyan-600" /> :
+                            <ChevronDown className="w-6 h-6 text-cyan-600" />
+                          }
+                        </button>
+                        {expandedSections.grammar && isPending('grammar') && <SectionPlaceholder />}
+                        {expandedSections.grammar && !isPending('grammar') && <GrammarTable grammar={view.grammar} />}
+                        <FieldWarnings fields={['grammar']} className="mt-4" />
+                      </section>
+                    )}
+
+                    {/* Word Parts */}
+                    {(isPending('morphemes') || (view.morphemes && view.morphemes.length > 0)) && (
+                      <section className="border border-rose-200 rounded-xl p-6 bg-gradient-to-br from-rose-50 to-pink-50">
+                        <button
+                          onClick={() => toggleSection('morphemes')}
+                          className="w-full flex items-center justify-between mb-4 text-left"
+                        >
+                          <h3 className="text-2xl font-semibold text-rose-800 flex items-center gap-3" style={{fontFamily: 'Georgia, serif'}}>
+                            🧩 {t('sections.wordParts')}
+                          </h3>
+                          {expandedSections.morphemes ?
+                            <ChevronUp className="w-6 h-6 text-rose-600" /> :
+                            <ChevronDown className="w-6 h-6 text-rose-600" />
+                          }
+                        </button>
+                        {expandedSections.morphemes && isPending('morphemes') && <SectionPlaceholder />}
+                        {expandedSections.morphemes && !isPending('morphemes') && (
+                          <MorphemeBreakdown
+                            word={view.word || ''}
+                            morphemes={view.morphemes}
+                            language={analysisLanguage}
+                            onSelectWord={openWord}
+                          />
+                        )}
+                        <FieldWarnings fields={['morphemes']} className="mt-4" />
+                      </section>
+                    )}
+
+                    {/* Related Words */}
                     <section className="border border-green-200 rounded-xl p-6 bg-gradient-to-br from-green-50 to-emerald-50">
                       <button
                         onClick={() => toggleSection('related')}
                         className="w-full flex items-center justify-between mb-4 text-left"
                       >
                         <h3 className="text-2xl font-semibold text-green-800 flex items-center gap-3" style={{fontFamily: 'Georgia, serif'}}>
-                          🌿 Related English Words
+                          🌿 {relatedTitle}
                           <Network className="w-5 h-5" />
                         </h3>
                         {expandedSections.related ? 
@@ -397,19 +853,65 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
                           <ChevronDown className="w-6 h-6 text-green-600" />
                         }
                       </button>
-                      {expandedSections.related && (
-                        <div className="flex flex-wrap gap-3 animate-fade-in">
-                          {(analysis.relatedEnglishWords || []).map((relatedWord, index) => (
-                            <span
-                              key={index}
-                              className="bg-green-100 hover:bg-green-200 text-green-800 px-5 py-3 rounded-full font-medium border-2 border-green-200 hover:border-green-300 transition-all duration-200 cursor-pointer shadow-sm hover:shadow-md transform hover:scale-105"
-                              style={{fontFamily: 'Georgia, serif'}}
+                      {expandedSections.related && isPending('relatedEnglishWords') && <SectionPlaceholder />}
+                      {expandedSections.related && family && (
+                        <div className="flex gap-2 mb-4">
+                          {[['graph', t('related.graph')], ['words', t('related.list')]].map(([id, label]) => (
+                            <button
+                              key={id}
+                              onClick={() => setRelatedView(id)}
+                              className={`px-4 py-1 rounded-full text-sm font-medium border-2 transition-colors ${
+                                relatedView === id ? 'bg-green-600 border-green-600 text-white' : 'bg-white/80 border-green-200 text-green-800 hover:bg-green-100'
+                              }`}
                             >
-                              {relatedWord}
-                            </span>
+                              {label}
+                            </button>
                           ))}
                         </div>
                       )}
+                      {expandedSections.related && family && relatedView === 'graph' && (
+                        <FamilyGraph
+                          family={family}
+                          word={analysis.word}
+                          language={analysisLanguage}
+                          onSelectWord={openWord}
+                        />
+                      )}
+                      {expandedSections.related && !isPending('relatedEnglishWords') && !(family && relatedView === 'graph') && (
+                        <div className="space-y-4 animate-fade-in">
+                          <div className="flex flex-wrap gap-3">
+                            {relatedWords.map((related, index) => (
+                              <span
+                                key={index}
+                                className={`${COGNATE_STYLES[related.reliability] || COGNATE_STYLES.true} px-5 py-3 rounded-full font-medium border-2 transition-all duration-200 cursor-pointer shadow-sm hover:shadow-md transform hover:scale-105 flex items-center gap-2`}
+                                style={{fontFamily: 'Georgia, serif'}}
+                                title={related.reliability ? `${t(`reliability.${related.reliability}`)}: ${related.explanation}` : undefined}
+                              >
+                                {related.reliability === 'false' && <AlertTriangle className="w-4 h-4" />}
+                                {related.reliability === 'partial' && '≈ '}
+                                {related.word}
+                              </span>
+                            ))}
+                          </div>
+                          {relatedWords.some(related => related.reliability === 'false' || related.reliability === 'partial') && (
+                            <div className="bg-red-50 p-4 rounded-lg border-l-4 border-red-400 space-y-2">
+                              <p className="font-semibold text-red-800 flex items-center gap-2">
+                                <AlertTriangle className="w-4 h-4" />
+                                {t('related.watchOut')}
+                              </p>
+                              {relatedWords
+                                .filter(related => related.reliability === 'false' || related.reliability === 'partial')
+                                .map((related, index) => (
+                                  <p key={index} className="text-gray-700">
+                                    <span className="font-semibold">{related.word}</span>
+                                    {' '}({t(`reliability.${related.reliability}`).toLowerCase()}): {related.explanation}
+                                  </p>
+                                ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                      <FieldWarnings fields={['relatedEnglishWords', 'cognates', 'rootFamily']} className="mt-4" />
                     </section>
 
                     {/* Mnemonic Device */}
@@ -419,20 +921,39 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
                         className="w-full flex items-center justify-between mb-4 text-left"
                       >
                         <h3 className="text-2xl font-semibold text-blue-800 flex items-center gap-3" style={{fontFamily: 'Georgia, serif'}}>
-                          🧠 Memory Device
+                          🧠 {t('sections.mnemonic')}
                         </h3>
                         {expandedSections.mnemonic ? 
                           <ChevronUp className="w-6 h-6 text-blue-600" /> : 
                           <ChevronDown className="w-6 h-6 text-blue-600" />
                         }
                       </button>
-                      {expandedSections.mnemonic && (
+                      {expandedSections.mnemonic && isPending('mnemonic') && <SectionPlaceholder />}
+                      {expandedSections.mnemonic && !isPending('mnemonic') && libraryEntry && (
+                        <MnemonicVersions
+                          analysis={view}
+                          entry={libraryEntry}
+                          settings={settings}
+                          preferredStyles={preferredMnemonicStyles(library)}
+                          onUpdate={(changes) => updateLibraryEntry(libraryEntry, changes)}
+                        />
+                      )}
+                      {expandedSections.mnemonic && !isPending('mnemonic') && !libraryEntry && (
                         <div className="bg-white/80 p-6 rounded-lg border-l-4 border-blue-500 shadow-inner animate-fade-in">
                           <p className="text-gray-700 leading-relaxed text-lg italic" style={{fontFamily: 'Georgia, serif'}}>
-                            {analysis.mnemonic}
+                            {view.mnemonic}
                           </p>
                         </div>
                       )}
+                      {expandedSections.mnemonic && hasOwnMnemonic && (
+                        <div className="mt-4 bg-white/80 p-6 rounded-lg border-l-4 border-amber-500 shadow-inner">
+                          <h4 className="font-semibold text-amber-800 mb-1">{t('mnemonic.yours')}</h4>
+                          <p className="text-gray-700 leading-relaxed text-lg italic" style={{fontFamily: 'Georgia, serif'}}>
+                            {libraryEntry.mnemonic}
+                          </p>
+                        </div>
+                      )}
+                      <FieldWarnings fields={['mnemonic']} className="mt-4" />
                     </section>
 
                     {/* Sample Sentences */}
@@ -442,28 +963,65 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
                         className="w-full flex items-center justify-between mb-4 text-left"
                       >
                         <h3 className="text-2xl font-semibold text-purple-800 flex items-center gap-3" style={{fontFamily: 'Georgia, serif'}}>
-                          ✍️ Sample Sentences
+                          ✍️ {t('sections.sentences')}
                         </h3>
                         {expandedSections.sentences ? 
                           <ChevronUp className="w-6 h-6 text-purple-600" /> : 
                           <ChevronDown className="w-6 h-6 text-purple-600" />
                         }
                       </button>
-                      {expandedSections.sentences && (
+                      {expandedSections.sentences && isPending('sampleSentences') && <SectionPlaceholder />}
+                      {expandedSections.sentences && !isPending('sampleSentences') && (
                         <div className="space-y-4 animate-fade-in">
-                          {(analysis.sampleSentences || []).map((sentence, index) => (
+                          {(view.sampleSentences || []).map((sentence, index) => (
                             <div key={index} className="bg-white/80 p-5 rounded-lg border border-purple-200 shadow-sm hover:shadow-md transition-shadow">
-                              <p className="text-gray-800 font-medium mb-3 text-lg" style={{fontFamily: 'Georgia, serif'}}>
-                                <span className="text-purple-600 font-bold">ES:</span> {sentence.spanish || 'N/A'}
-                              </p>
+                              <div className="flex items-start justify-between gap-3 mb-3">
+                                <p className="text-gray-800 font-medium text-lg" style={{fontFamily: 'Georgia, serif'}}>
+                                  <span className="text-purple-600 font-bold">ES:</span> {sentence.spanish || 'N/A'}
+                                </p>
+                                <button
+                                  onClick={() => speak(sentence.spanish)}
+                                  disabled={!selectedVoice || !sentence.spanish}
+                                  className="p-2 text-purple-700 hover:bg-purple-100 disabled:opacity-40 rounded-full transition-colors shrink-0"
+                                  title={selectedVoice ? t('sentences.listen') : t('word.noVoice')}
+                                >
+                                  <Volume2 className="w-5 h-5" />
+                                </button>
+                              </div>
                               <p className="text-gray-600 text-lg" style={{fontFamily: 'Georgia, serif'}}>
-                                <span className="text-blue-600 font-bold">EN:</span> {sentence.english || 'N/A'}
+                                <span className="text-blue-600 font-bold">{analysisLanguage.toUpperCase()}:</span> {sentence.english || 'N/A'}
                               </p>
                             </div>
                           ))}
                         </div>
                       )}
+                      <FieldWarnings fields={['sampleSentences']} className="mt-4" />
                     </section>
+
+                    {/* Notebook */}
+                    {libraryEntry && (
+                      <section className="border border-amber-200 rounded-xl p-6 bg-gradient-to-br from-yellow-50 to-amber-50">
+                        <button
+                          onClick={() => toggleSection('notebook')}
+                          className="w-full flex items-center justify-between mb-4 text-left"
+                        >
+                          <h3 className="text-2xl font-semibold text-amber-800 flex items-center gap-3" style={{fontFamily: 'Georgia, serif'}}>
+                            📝 {t('sections.notebook')}
+                          </h3>
+                          {expandedSections.notebook ?
+                            <ChevronUp className="w-6 h-6 text-amber-600" /> :
+                            <ChevronDown className="w-6 h-6 text-amber-600" />
+                          }
+                        </button>
+                        {expandedSections.notebook && (
+                          <NotebookSection
+                            entry={libraryEntry}
+                            knownTags={collectTags(library)}
+                            onUpdate={(changes) => updateLibraryEntry(libraryEntry, changes)}
+                          />
+                        )}
+                      </section>
+                    )}
                   </div>
                 </div>
               )}
@@ -474,13 +1032,29 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
               <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-lg border border-amber-200/50 p-6 sticky top-4">
                 <h3 className="text-xl font-semibold text-amber-800 mb-4 flex items-center gap-2" style={{fontFamily: 'Georgia, serif'}}>
                   <Clock className="w-5 h-5" />
-                  Recent Searches
+                  {t('sidebar.recent')}
                 </h3>
                 <div className="space-y-2">
-                  {recentSearches.map((search, index) => (
+                  {recentEntries.map(entry => (
+                    <button
+                      key={entry.word}
+                      onClick={() => {setWord(entry.displayWord); analyzeWord(entry.displayWord);}}
+                      className="w-full text-left px-4 py-3 bg-amber-50 hover:bg-amber-100 rounded-lg border border-amber-200 hover:border-amber-300 transition-all duration-200 text-amber-800 font-medium"
+                      style={{fontFamily: 'Georgia, serif'}}
+                    >
+                      <span className="flex items-center justify-between gap-2">
+                        {entry.displayWord}
+                        {entry.favorite && <Star className="w-4 h-4 fill-yellow-400 text-yellow-500" />}
+                      </span>
+                      <span className="block text-xs text-amber-600 font-normal" style={{fontFamily: 'system-ui, sans-serif'}}>
+                        {new Date(lastLookup(entry)).toLocaleString()}
+                      </span>
+                    </button>
+                  ))}
+                  {!recentEntries.length && SUGGESTED_WORDS.map(search => (
                     <button
-                      key={index}
-                      onClick={() => {setWord(search); analyzeWord();}}
+                      key={search}
+                      onClick={() => {setWord(search); analyzeWord(search);}}
                       className="w-full text-left px-4 py-3 bg-amber-50 hover:bg-amber-100 rounded-lg border border-amber-200 hover:border-amber-300 transition-all duration-200 text-amber-800 font-medium"
                       style={{fontFamily: 'Georgia, serif'}}
                     >
@@ -488,13 +1062,45 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
                     </button>
                   ))}
                 </div>
+
+                <button
+                  onClick={() => navigate({ view: 'history' })}
+                  className="w-full mt-6 flex items-center justify-center gap-2 px-4 py-3 bg-white hover:bg-amber-50 rounded-lg border border-amber-200 hover:border-amber-300 transition-all duration-200 text-amber-800 font-medium"
+                >
+                  <Library className="w-4 h-4" />
+                  {t('sidebar.library')}{library.length > 0 && ` (${library.length})`}
+                </button>
+                
+                <button
+                  onClick={() => setExportScope('saved')}
+                  className="w-full mt-3 flex items-center justify-center gap-2 px-4 py-3 bg-white hover:bg-amber-50 rounded-lg border border-amber-200 hover:border-amber-300 transition-all duration-200 text-amber-800 font-medium"
+                >
+                  <Download className="w-4 h-4" />
+                  {t('sidebar.export')}
+                </button>
+
+                <button
+                  onClick={() => setShowFalseFriends(true)}
+                  className="w-full mt-3 flex items-center justify-center gap-2 px-4 py-3 bg-white hover:bg-amber-50 rounded-lg border border-amber-200 hover:border-amber-300 transition-all duration-200 text-amber-800 font-medium"
+                >
+                  <AlertTriangle className="w-4 h-4" />
+                  {t('sidebar.falseFriends')}
+                </button>
+
+                <button
+                  onClick={() => setShowQuiz(true)}
+                  className="w-full mt-3 flex items-center justify-center gap-2 px-4 py-3 bg-white hover:bg-amber-50 rounded-lg border border-amber-200 hover:border-amber-300 transition-all duration-200 text-amber-800 font-medium"
+                >
+                  <Puzzle className="w-4 h-4" />
+                  {t('sidebar.quiz')}
+                </button>
                 
                 <div className="mt-8 p-4 bg-gradient-to-br from-amber-100 to-orange-100 rounded-lg border border-amber-200">
                   <h4 className="font-semibold text-amber-800 mb-2" style={{fontFamily: 'Georgia, serif'}}>
-                    💡 Pro Tip
+                    💡 {t('sidebar.proTip')}
                   </h4>
                   <p className="text-sm text-amber-700 leading-relaxed">
-                    Try analyzing compound words like "sacacorchos" or words with Arabic origins like "almohada" for fascinating etymological journeys!
+                    {t('sidebar.proTipText')}
                   </p>
                 </div>
               </div>
@@ -505,12 +1111,12 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
         {/* Footer */}
         <div className="text-center text-amber-700 bg-white/60 backdrop-blur-sm rounded-2xl p-6 border border-amber-200/50">
           <p className="text-sm italic" style={{fontFamily: 'Georgia, serif'}}>
-            Uncover the rich linguistic heritage connecting Spanish to Latin, Arabic, Germanic, and Celtic languages
+            {t('footer.heritage')}
           </p>
         </div>
       </div>
 
-      <style jsx>{`
+      <style>{`
         @keyframes fade-in {
           from { opacity: 0; transform: translateY(20px); }
           to { opacity: 1; transform: translateY(0); }
@@ -523,4 +1129,26 @@ ${analysis.sampleSentences.map(s => `• ${s.spanish} - ${s.english}`).join('\n'
   );
 };
 
-export default SpanishEtymologyAnalyzer;
+// Holds the settings so the translator for the interface language can be
+// provided around the whole app.
+const EtymoRoot = ({ recognizer }) => {
+  const [settings, setSettings] = useState(loadSettings);
+  const t = React.useMemo(() => createTranslator(settings.interfaceLanguage), [settings.interfaceLanguage]);
+
+  React.useEffect(() => {
+    document.documentElement.lang = t.language;
+  }, [t]);
+
+  const updateSettings = (newSettings) => {
+    setSettings(newSettings);
+    saveSettings(newSettings);
+  };
+
+  return (
+    <I18nContext.Provider value={t}>
+      <SpanishEtymologyAnalyzer recognizer={recognizer} settings={settings} updateSettings={updateSettings} />
+    </I18nContext.Provider>
+  );
+};
+
+export default EtymoRoot;
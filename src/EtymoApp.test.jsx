@@ -0,0 +1,169 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import EtymoApp from './EtymoApp';
+import { loadAnalysis } from './analysis/analyze';
+import { loadSettings } from './settings';
+import { recordLookup } from './storage/library';
+import { createScriptedRecognizer } from './speech/recognition';
+import { installMockProvider } from './testing/mockProvider';
+
+const searchBox = () => screen.getByPlaceholderText(/Enter a Spanish word/);
+
+// Waits for the finished analysis rather than the streaming placeholder: the
+// header actions (Copy, Export...) only appear once it has been parsed
+const findAnalysisOf = async (word) => {
+  await screen.findByRole('button', { name: 'Copy' });
+  return screen.getByRole('heading', { level: 2, name: new RegExp(word) });
+};
+
+// Analyzes and saves `word` from its fixture before the app is rendered, as
+// if it had been looked up in an earlier session
+const lookUpEarlier = async (word) => {
+  installMockProvider(word);
+  const { analysis } = await loadAnalysis(word, loadSettings());
+  await recordLookup(analysis);
+};
+
+const search = async (user, word) => {
+  await user.clear(searchBox());
+  await user.type(searchBox(), word);
+  await user.click(screen.getByRole('button', { name: 'Analyze Etymology' }));
+};
+
+test('analyzes the word typed into the search box', async () => {
+  const provider = installMockProvider('biblioteca');
+  const user = userEvent.setup();
+  render(<EtymoApp />);
+
+  await search(user, 'biblioteca');
+
+  expect(await findAnalysisOf('biblioteca')).toBeInTheDocument();
+  expect(await screen.findByText(/From Latin bibliotheca/)).toBeInTheDocument();
+  expect(screen.getByText(/Picture a BIBLE/)).toBeInTheDocument();
+  expect(provider.requests).toEqual([expect.objectContaining({ task: 'analyze', word: 'biblioteca' })]);
+  expect(window.location.pathname).toBe('/word/biblioteca');
+});
+
+test('asks again after repairing a malformed reply', async () => {
+  const provider = installMockProvider('malformed', 'biblioteca');
+  const user = userEvent.setup();
+  render(<EtymoApp />);
+
+  await search(user, 'biblioteca');
+
+  expect(await findAnalysisOf('biblioteca')).toBeInTheDocument();
+  expect(provider.requests.map(request => request.task)).toEqual(['analyze', 'repair']);
+});
+
+test.each([
+  ['error-401', /API Error: Mock API error: 401 Incorrect API key provided\. Please check your Mock settings\./],
+  ['error-429', /Too many requests\. Please wait a minute and try again\./],
+  ['error-500', /API Error: Mock API error: 500/]
+])('shows a readable message for %s', async (fixture, message) => {
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  installMockProvider(fixture);
+  const user = userEvent.setup();
+  render(<EtymoApp />);
+
+  await search(user, 'biblioteca');
+
+  expect(await screen.findByText(message)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Analyze Etymology' })).toBeEnabled();
+  expect(consoleError).toHaveBeenCalledWith('Error analyzing word:', expect.objectContaining({ status: Number(fixture.slice(-3)) }));
+});
+
+test('collapses and expands a section from its heading', async () => {
+  installMockProvider('biblioteca');
+  const user = userEvent.setup();
+  render(<EtymoApp />);
+  await search(user, 'biblioteca');
+  await findAnalysisOf('biblioteca');
+
+  const toggle = screen.getByRole('button', { name: /Memory Device/ });
+  await user.click(toggle);
+  expect(screen.queryByText(/Picture a BIBLE/)).not.toBeInTheDocument();
+  expect(screen.getByText(/From Latin bibliotheca/)).toBeInTheDocument();
+
+  await user.click(toggle);
+  expect(screen.getByText(/Picture a BIBLE/)).toBeInTheDocument();
+});
+
+test('copies the analysis to the clipboard', async () => {
+  installMockProvider('biblioteca');
+  const user = userEvent.setup();
+  render(<EtymoApp />);
+  await search(user, 'biblioteca');
+  await findAnalysisOf('biblioteca');
+
+  await user.click(screen.getByRole('button', { name: 'Copy' }));
+
+  // userEvent.setup() swaps in its own clipboard, which can be read back
+  const copied = await navigator.clipboard.readText();
+  expect(copied).toMatch(/^📘 biblioteca - library/);
+  expect(copied).toContain('🧠 Mnemonic: Picture a BIBLE');
+  expect(copied).toContain('• Estudio en la biblioteca todas las tardes. - I study in the library every afternoon.');
+  expect(await screen.findByRole('button', { name: 'Copied!' })).toBeInTheDocument();
+});
+
+test('pronounces the word with the Spanish voice', async () => {
+  installMockProvider('biblioteca');
+  const user = userEvent.setup();
+  render(<EtymoApp />);
+  await search(user, 'biblioteca');
+  await findAnalysisOf('biblioteca');
+
+  await user.click(screen.getByTitle('Pronounce word (Spanish (United States))'));
+
+  expect(window.speechSynthesis.speak).toHaveBeenCalledWith(expect.objectContaining({ text: 'biblioteca', lang: 'es-US' }));
+});
+
+test('practices saying the word with the recognizer it is given', async () => {
+  installMockProvider('biblioteca');
+  const user = userEvent.setup();
+  render(<EtymoApp recognizer={createScriptedRecognizer(['biblioteca'])} />);
+  await search(user, 'biblioteca');
+  await findAnalysisOf('biblioteca');
+
+  await user.click(screen.getByRole('button', { name: 'Say it' }));
+  await user.click(screen.getByRole('button', { name: 'Record' }));
+
+  expect(await screen.findByText('100%')).toBeInTheDocument();
+});
+
+// Regression: the recent-search buttons call setWord() and then analyze.
+// Reading the word from state analyzed whatever was in the search box before
+// the click instead of the word clicked.
+describe('recent searches', () => {
+  test('analyze the suggested word clicked, not the one in the search box', async () => {
+    const provider = installMockProvider('biblioteca');
+    const user = userEvent.setup();
+    render(<EtymoApp />);
+
+    await user.type(searchBox(), 'ventana');
+    const recent = screen.getByRole('heading', { name: 'Recent Searches' }).parentElement;
+    await user.click(within(recent).getByRole('button', { name: 'biblioteca' }));
+
+    expect(await findAnalysisOf('biblioteca')).toBeInTheDocument();
+    expect(provider.requests.map(request => request.word)).toEqual(['biblioteca']);
+    expect(searchBox()).toHaveValue('biblioteca');
+  });
+
+  test('open an earlier lookup from the library', async () => {
+    await lookUpEarlier('ventana');
+    const provider = installMockProvider('biblioteca');
+    const user = userEvent.setup();
+    render(<EtymoApp />);
+
+    await search(user, 'biblioteca');
+    await findAnalysisOf('biblioteca');
+    const recent = screen.getByRole('heading', { name: 'Recent Searches' }).parentElement;
+    await user.click(await within(recent).findByRole('button', { name: /ventana/ }));
+
+    expect(await findAnalysisOf('ventana')).toBeInTheDocument();
+    expect(screen.getByText(/A VENT in the wall/)).toBeInTheDocument();
+    // ventana came from the cache; only biblioteca needed the provider
+    expect(provider.requests.map(request => request.word)).toEqual(['biblioteca']);
+    expect(window.location.pathname).toBe('/word/ventana');
+  });
+});
@@ -0,0 +1,141 @@
+import { getProvider, PROVIDERS, ProviderError } from '../providers';
+import { buildMessages } from './prompt';
+import { parseAnalysis, pickValidFields, extractJson, describeProblem, AnalysisParseError } from './schema';
+import { parsePartialJson } from './partialJson';
+import { getProviderConfig } from '../settings';
+import { getCachedAnalysis, cacheAnalysis } from '../storage/analysisCache';
+import { normalizeWord } from './words';
+
+export class OfflineError extends Error {
+  constructor() {
+    super('Offline and not cached');
+    this.name = 'OfflineError';
+  }
+}
+
+// The proxy caps request bodies, so only this much of a bad reply is sent
+// back for repair.
+const MAX_REPAIR_CONTEXT = 8000;
+
+// What a repair is shown of the bad reply: the fields it got as far as,
+// re-encoded as a JSON object, since that is all the proxy accepts there.
+// Replies with nothing usable, or too long to send, are left out.
+const repairContext = (text) => {
+  const value = parsePartialJson(text || '');
+  const json = JSON.stringify(value);
+  return Object.keys(value).length && json.length <= MAX_REPAIR_CONTEXT ? json : '';
+};
+
+// Streams when asked to (onText) and the provider can; otherwise the text
+// arrives in one piece.
+const runTask = async (request, settings, { signal, onText }) => {
+  const provider = getProvider(settings.provider);
+  const input = provider.remotePrompt ? request : buildMessages(request);
+  const config = getProviderConfig(settings, provider.id);
+
+  if (onText && provider.stream) {
+    return provider.stream(input, config, { signal, onText });
+  }
+  const text = await provider.complete(input, config, { signal });
+  if (onText) onText(text);
+  return text;
+};
+
+// Resolves to { analysis, warnings }. A reply that can't be parsed or is
+// missing required fields gets one "fix your JSON" re-prompt before an
+// AnalysisParseError is thrown.
+//
+// `onPartial` is called with the fields received so far each time another
+// one completes. `mnemonicStyles` are the styles the learner has liked, best
+// first. Explanations are in `settings.explanationLanguage`.
+export const requestAnalysis = async (word, settings, { signal, onRepair, onPartial, mnemonicStyles = [] } = {}) => {
+  const language = settings.explanationLanguage;
+  let streamed = '';
+  let completedFields = 0;
+  const onText = onPartial && ((text) => {
+    streamed += text;
+    const partial = pickValidFields(parsePartialJson(streamed));
+    if (Object.keys(partial).length !== completedFields) {
+      completedFields = Object.keys(partial).length;
+      onPartial(partial);
+    }
+  });
+
+  const aiResponse = await runTask({ task: 'analyze', word, language, mnemonicStyles }, settings, { signal, onText });
+  const result = parseAnalysis(aiResponse, word);
+  if (!result.errors.length) {
+    return { analysis: result.analysis, warnings: result.warnings };
+  }
+
+  if (onRepair) onRepair(result.errors);
+
+  const repairedResponse = await runTask({
+    task: 'repair',
+    word,
+    language,
+    mnemonicStyles,
+    previous: repairContext(aiResponse),
+    problems: result.errors.map(describeProblem)
+  }, settings, { signal });
+  const repaired = parseAnalysis(repairedResponse, word);
+  if (repaired.errors.length) {
+    throw new AnalysisParseError(repaired.errors);
+  }
+  return { analysis: repaired.analysis, warnings: repaired.warnings };
+};
+
+// Cache first, then the provider. Resolves to { analysis, warnings, cachedAt }
+// where `cachedAt` is only set when the result came from the cache. `force`
+// skips the cache lookup; other options go to requestAnalysis.
+export const loadAnalysis = async (word, settings, { force = false, ...options } = {}) => {
+  const language = settings.explanationLanguage;
+  const cached = force ? undefined : await getCachedAnalysis(word, language);
+  if (cached) {
+    return { analysis: cached.analysis, warnings: cached.warnings, cachedAt: cached.cachedAt };
+  }
+
+  if (!navigator.onLine) {
+    throw new OfflineError();
+  }
+  const result = await requestAnalysis(word, settings, options);
+  await cacheAnalysis(word, result, language);
+
+  // An inflected form is answered with the analysis of its lemma; keep a copy
+  // under the lemma too, so looking that up later is a cache hit.
+  const lemma = result.analysis.word;
+  if (result.analysis.inputForm && normalizeWord(lemma) !== normalizeWord(word) && !(await getCachedAnalysis(lemma, language))) {
+    await cacheAnalysis(lemma, { ...result, analysis: { ...result.analysis, inputForm: null } }, language);
+  }
+  return { ...result, cachedAt: null };
+};
+
+// Asks for just a new mnemonic in one of MNEMONIC_STYLES, avoiding the
+// versions in `avoid`. Resolves to the mnemonic text.
+export const requestMnemonic = async (word, style, settings, { avoid = [], signal } = {}) => {
+  if (!navigator.onLine) {
+    throw new OfflineError();
+  }
+  const response = await runTask({ task: 'mnemonic', word, style, avoid, language: settings.explanationLanguage }, settings, { signal });
+  const value = extractJson(response || '');
+  if (!value || typeof value.mnemonic !== 'string' || !value.mnemonic.trim()) {
+    throw new AnalysisParseError([{ field: 'mnemonic', message: 'is missing from the reply' }]);
+  }
+  return value.mnemonic.trim();
+};
+
+// `t` translates into the interface language (see i18n/)
+export const describeAnalysisError = (err, settings, t) => {
+  if (err instanceof OfflineError) {
+    return t('errors.offline');
+  }
+  if (err instanceof ProviderError && err.status === 429) {
+    return t('errors.rateLimited');
+  }
+  if (err instanceof ProviderError) {
+    return t('errors.provider', { message: err.message, provider: PROVIDERS[settings.provider].label });
+  }
+  if (err instanceof AnalysisParseError) {
+    return t('errors.unreadable', { problems: err.problems.map(describeProblem).join('; ') });
+  }
+  return t('errors.generic');
+};
@@ -0,0 +1,119 @@
+import { requestAnalysis, loadAnalysis, describeAnalysisError } from './analyze';
+import { AnalysisParseError, describeProblem } from './schema';
+import { ProviderError } from '../providers';
+import { loadSettings } from '../settings';
+import { createTranslator } from '../i18n';
+import { installMockProvider } from '../testing/mockProvider';
+
+const t = createTranslator('en');
+
+describe('requestAnalysis', () => {
+  test('parses a well-formed reply', async () => {
+    const provider = installMockProvider('biblioteca');
+    const { analysis, warnings } = await requestAnalysis('biblioteca', loadSettings());
+
+    expect(analysis.word).toBe('biblioteca');
+    expect(analysis.englishMeaning).toBe('library');
+    expect(analysis.cognates).toHaveLength(3);
+    expect(warnings).toEqual([]);
+    expect(provider.requests).toEqual([expect.objectContaining({ task: 'analyze', word: 'biblioteca', language: 'en' })]);
+  });
+
+  test('finds the JSON inside a fenced reply with prose around it', async () => {
+    installMockProvider('fenced');
+    const { analysis } = await requestAnalysis('biblioteca', loadSettings());
+    expect(analysis.mnemonic).toMatch(/BIBLE/);
+  });
+
+  test('asks for a repair when the reply is malformed', async () => {
+    const provider = installMockProvider('malformed', 'biblioteca');
+    const onRepair = jest.fn();
+    const { analysis } = await requestAnalysis('biblioteca', loadSettings(), { onRepair });
+
+    expect(analysis.word).toBe('biblioteca');
+    expect(onRepair).toHaveBeenCalledTimes(1);
+    expect(provider.requests[1]).toEqual(expect.objectContaining({ task: 'repair', word: 'biblioteca' }));
+    expect(provider.requests[1].problems).toEqual(onRepair.mock.calls[0][0].map(describeProblem));
+    // The fields read before the stray comma, re-encoded
+    expect(JSON.parse(provider.requests[1].previous)).toEqual(expect.objectContaining({ word: 'biblioteca', confidence: 'high' }));
+    expect(JSON.parse(provider.requests[1].previous)).not.toHaveProperty('languageFamily');
+  });
+
+  test('gives up when the repaired reply is still cut off', async () => {
+    installMockProvider('partial', 'partial');
+    await expect(requestAnalysis('biblioteca', loadSettings())).rejects.toBeInstanceOf(AnalysisParseError);
+  });
+
+  test('reports the fields of a streamed reply as they arrive', async () => {
+    installMockProvider('biblioteca');
+    const onPartial = jest.fn();
+    await requestAnalysis('biblioteca', loadSettings(), { onPartial });
+
+    const fieldCounts = onPartial.mock.calls.map(([partial]) => Object.keys(partial).length);
+    expect(fieldCounts.length).toBeGreaterThan(1);
+    expect(fieldCounts).toEqual([...fieldCounts].sort((a, b) => a - b));
+    expect(onPartial).toHaveBeenLastCalledWith(expect.objectContaining({ pronunciation: 'bee-blee-oh-TEH-kah' }));
+  });
+
+  test.each([
+    ['error-401', 401],
+    ['error-429', 429],
+    ['error-500', 500]
+  ])('passes on a %s from the provider', async (fixture, status) => {
+    installMockProvider(fixture);
+    const error = await requestAnalysis('biblioteca', loadSettings()).catch(err => err);
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.status).toBe(status);
+  });
+});
+
+describe('loadAnalysis', () => {
+  test('answers the second lookup from the cache', async () => {
+    const provider = installMockProvider('biblioteca');
+    const settings = loadSettings();
+
+    const first = await loadAnalysis('biblioteca', settings);
+    const second = await loadAnalysis('biblioteca', settings);
+
+    expect(first.cachedAt).toBeNull();
+    expect(second.cachedAt).toEqual(expect.any(String));
+    expect(second.analysis).toEqual(first.analysis);
+    expect(provider.requests).toHaveLength(1);
+  });
+
+  test('caches each explanation language separately', async () => {
+    const provider = installMockProvider('biblioteca', 'biblioteca');
+    const settings = loadSettings();
+
+    await loadAnalysis('biblioteca', settings);
+    await loadAnalysis('biblioteca', { ...settings, explanationLanguage: 'pt' });
+
+    expect(provider.requests.map(request => request.language)).toEqual(['en', 'pt']);
+  });
+});
+
+describe('describeAnalysisError', () => {
+  const settings = { provider: 'openai' };
+
+  test('explains rate limits without the raw status', () => {
+    const error = new ProviderError('OpenAI API error: 429 Too Many Requests', { status: 429 });
+    expect(describeAnalysisError(error, settings, t)).toBe('Too many requests. Please wait a minute and try again.');
+  });
+
+  test('points at the provider settings for other provider errors', () => {
+    const error = new ProviderError('OpenAI API error: 401 Unauthorized', { status: 401 });
+    expect(describeAnalysisError(error, settings, t)).toBe(
+      'API Error: OpenAI API error: 401 Unauthorized. Please check your OpenAI settings.'
+    );
+  });
+
+  test('lists the problems of an unreadable reply', () => {
+    const error = new AnalysisParseError([{ field: 'mnemonic', message: 'is missing' }]);
+    expect(describeAnalysisError(error, settings, t)).toMatch(/\(mnemonic is missing\)/);
+  });
+
+  test('uses the interface language', () => {
+    const error = new ProviderError('x', { status: 429 });
+    expect(describeAnalysisError(error, settings, createTranslator('es'))).toMatch(/^Demasiadas solicitudes/);
+  });
+});
@@ -0,0 +1,16 @@
+// Related English words with the model's cognate classification attached.
+// Words the model didn't classify get `reliability: null`; look-alikes that
+// only appear in `cognates` (typical false friends) come after the related
+// words.
+export const classifyRelatedWords = (analysis) => {
+  const cognates = analysis.cognates || [];
+  const byWord = new Map(cognates.map(cognate => [cognate.word.toLowerCase(), cognate]));
+  const related = (analysis.relatedEnglishWords || []).map(word => ({
+    reliability: null,
+    explanation: '',
+    ...byWord.get(word.toLowerCase()),
+    word
+  }));
+  const listed = new Set(related.map(entry => entry.word.toLowerCase()));
+  return [...related, ...cognates.filter(cognate => !listed.has(cognate.word.toLowerCase()))];
+};
@@ -0,0 +1,77 @@
+// Reads the top-level fields of a JSON object that is still arriving. Only
+// fields whose value has been received in full are returned, so a section
+// appears once its content is complete rather than flickering word by word.
+// Anything before the first "{" (prose, code fences) is ignored.
+
+const skipWhitespace = (text, pos) => {
+  while (pos < text.length && /\s/.test(text[pos])) pos++;
+  return pos;
+};
+
+// Index just past the closing quote of the string starting at `pos`, or -1
+// if the string hasn't been closed yet.
+const scanString = (text, pos) => {
+  for (let i = pos + 1; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === '"') return i + 1;
+  }
+  return -1;
+};
+
+// Index just past the value starting at `pos`, or -1 if it is incomplete.
+const scanValue = (text, pos) => {
+  const first = text[pos];
+  if (first === '"') return scanString(text, pos);
+
+  if (first === '{' || first === '[') {
+    let depth = 0;
+    for (let i = pos; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') {
+        i = scanString(text, i);
+        if (i === -1) return -1;
+        i--;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) return i + 1;
+      }
+    }
+    return -1;
+  }
+
+  // Numbers and literals: only complete once a delimiter follows, since
+  // "12" might still become "125".
+  const match = /^[^,}\]\s]+/.exec(text.slice(pos));
+  if (!match || pos + match[0].length >= text.length) return -1;
+  return pos + match[0].length;
+};
+
+export const parsePartialJson = (text) => {
+  const result = {};
+  const start = text.indexOf('{');
+  if (start === -1) return result;
+
+  let pos = start + 1;
+  for (;;) {
+    pos = skipWhitespace(text, pos);
+    if (text[pos] === ',') pos = skipWhitespace(text, pos + 1);
+    if (text[pos] !== '"') return result;
+
+    const keyEnd = scanString(text, pos);
+    if (keyEnd === -1) return result;
+    const valueStart = skipWhitespace(text, keyEnd);
+    if (text[valueStart] !== ':') return result;
+    const valuePos = skipWhitespace(text, valueStart + 1);
+    const valueEnd = scanValue(text, valuePos);
+    if (valueEnd === -1) return result;
+
+    try {
+      result[JSON.parse(text.slice(pos, keyEnd))] = JSON.parse(text.slice(valuePos, valueEnd));
+    } catch (err) {
+      return result;
+    }
+    pos = valueEnd;
+  }
+};
@@ -0,0 +1,49 @@
+import { parsePartialJson } from './partialJson';
+
+const reply = `Here is the analysis:
+\`\`\`json
+{
+  "word": "biblioteca",
+  "englishMeaning": "library",
+  "confidence": "high",
+  "cognates": [{"word": "bibliography", "reliability": "true"}],
+  "stages": 3,
+  "mnemonic": "Picture a BIBLE on a shelf"
+}
+\`\`\``;
+
+test('reads a complete object, skipping the prose and fence around it', () => {
+  expect(parsePartialJson(reply)).toEqual({
+    word: 'biblioteca',
+    englishMeaning: 'library',
+    confidence: 'high',
+    cognates: [{ word: 'bibliography', reliability: 'true' }],
+    stages: 3,
+    mnemonic: 'Picture a BIBLE on a shelf'
+  });
+});
+
+test('returns only the fields that have arrived in full', () => {
+  const cutInString = reply.slice(0, reply.indexOf('library') + 3);
+  expect(parsePartialJson(cutInString)).toEqual({ word: 'biblioteca' });
+
+  const cutInList = reply.slice(0, reply.indexOf('bibliography'));
+  expect(Object.keys(parsePartialJson(cutInList))).toEqual(['word', 'englishMeaning', 'confidence']);
+});
+
+test('waits for a delimiter before trusting a number', () => {
+  const text = reply.slice(0, reply.indexOf('"stages": 3') + '"stages": 3'.length);
+  expect(parsePartialJson(text)).not.toHaveProperty('stages');
+  expect(parsePartialJson(`${text},`)).toHaveProperty('stages', 3);
+});
+
+test('handles escaped quotes and brackets inside strings', () => {
+  const text = '{"etymology": "from \\"bibliotheca\\" [Latin] {via Greek}", "mnemonic": "Picture';
+  expect(parsePartialJson(text)).toEqual({ etymology: 'from "bibliotheca" [Latin] {via Greek}' });
+});
+
+test('returns nothing before the object starts', () => {
+  expect(parsePartialJson('')).toEqual({});
+  expect(parsePartialJson('Sure! Here it comes')).toEqual({});
+  expect(parsePartialJson('{"wo')).toEqual({});
+});
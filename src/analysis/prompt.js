@@ -0,0 +1,174 @@
+// Bump whenever the prompt or the expected JSON changes; cached analyses are
+// keyed by it.
+export const PROMPT_VERSION = 6;
+
+// Languages the analysis can be explained in. The fields `englishMeaning`,
+// `relatedEnglishWords` and `sampleSentences[].english` keep their names so
+// saved analyses stay readable, but hold text in the chosen language.
+export const EXPLANATION_LANGUAGES = {
+  en: { name: 'English', reader: 'an English speaker', translation: 'an English translation' },
+  es: { name: 'Spanish', reader: 'an advanced learner of Spanish', translation: 'a paraphrase in simpler Spanish' },
+  pt: { name: 'Portuguese', reader: 'a Portuguese speaker', translation: 'a Portuguese translation' },
+  fr: { name: 'French', reader: 'a French speaker', translation: 'a French translation' },
+  it: { name: 'Italian', reader: 'an Italian speaker', translation: 'an Italian translation' }
+};
+
+// Styles a mnemonic can be regenerated in. The learner's thumbs-up ratings
+// decide which of them the analysis prompt asks for.
+export const MNEMONIC_STYLES = {
+  keyword: {
+    label: 'Keyword / sound-alike',
+    instruction: (name) => `Use the keyword method: link the Spanish word to ${name === 'Spanish' ? 'another' : `a ${name}`} word or phrase that sounds like it, and tie that sound-alike to the meaning in one memorable image.`
+  },
+  visual: {
+    label: 'Visual story',
+    instruction: () => 'Tell a short, vivid visual story (two or three sentences) in which the sound of the word and its meaning meet in one scene the learner can picture.'
+  },
+  etymology: {
+    label: 'Etymology-based',
+    instruction: (name) => `Build the mnemonic on the word's history: use its root and any ${name} words from the same root to make the meaning feel obvious.`
+  },
+  rhyme: {
+    label: 'Rhyme',
+    instruction: (name) => `Write a short rhyme or jingle (two to four lines) that pairs the Spanish word with its meaning in ${name}.`
+  }
+};
+
+const describeStyles = (styles) => styles.map(style => MNEMONIC_STYLES[style].label.toLowerCase()).join(', ');
+
+const buildStylePreference = (styles = []) => (styles.length
+  ? `\n\nThis learner remembers best with these kinds of mnemonic, most helpful first: ${describeStyles(styles)}. Write the "mnemonic" in one of those styles.`
+  : '');
+
+// The template below is written for English explanations; for any other
+// language this note says how the fields change.
+const buildLanguageNote = (language) => {
+  if (language === 'en') return '';
+  if (language === 'es') {
+    return '\n\nWrite "englishMeaning" (as a definition), every explanation and the mnemonic in Spanish, for an advanced learner. "relatedEnglishWords" lists other Spanish words from the same root, "cognates" is an empty array, "rootFamily" lists only Spanish words, and the "english" field of each sample sentence holds a paraphrase in simpler Spanish.';
+  }
+  const { name, reader } = EXPLANATION_LANGUAGES[language];
+  return `\n\nThe learner is ${reader}. Write "englishMeaning", every explanation, the mnemonic and the "english" field of each sample sentence in ${name}. "relatedEnglishWords", the words in "cognates" and the "cognate" members of "rootFamily" are ${name} words, whatever the field names say.`;
+};
+
+export const buildAnalysisPrompt = (word, { mnemonicStyles, language = 'en' } = {}) => `You are a Spanish etymology and memory expert. When I give you a single Spanish word, return a detailed breakdown with the following format:
+1. **📘 Word**: [Spanish word]
+2. **${EXPLANATION_LANGUAGES[language].name} meaning**:
+3. **🧬 Latin (or other) root**: Where the word comes from, traced to Classical Latin or other sources, with clear explanation of historical evolution (e.g. Old Spanish, Vulgar Latin, Arabic, etc.)
+4. **🌿 Related ${EXPLANATION_LANGUAGES[language].name} words**: Derived from the same root
+5. **🧠 Mnemonic device**: A personalized, vivid, etymology-based strategy to help ${EXPLANATION_LANGUAGES[language].reader} remember the meaning of the word
+6. **✍️ Sample sentences**: 2–3 short example sentences using the word in Spanish, each with ${EXPLANATION_LANGUAGES[language].translation}
+
+Format each section clearly using headings and bullet points. Keep the tone insightful, educational, and slightly poetic if appropriate — but always clear and accurate.
+
+Spanish word to analyze: "${word}"
+
+Respond with a JSON object in this exact format:
+{
+  "word": "the Spanish word (its dictionary form)",
+  "inputForm": {"form": "tuvieron", "description": "3rd person plural preterite of tener"},
+  "englishMeaning": "the English meaning",
+  "etymology": "detailed etymology explanation",
+  "etymologyStages": [
+    {"language": "Classical Latin", "form": "filius", "date": "1st c. BC", "branch": "latin"},
+    {"language": "Vulgar Latin", "form": "*filju", "date": "5th c.", "soundChange": "-ius reduced to -ju before a vowel", "branch": "latin"},
+    {"language": "Old Spanish", "form": "fijo", "date": "12th c.", "soundChange": "lj becomes the palatal sound written j", "branch": "latin"},
+    {"language": "Modern Spanish", "form": "hijo", "date": "16th c.", "soundChange": "initial f becomes h, later silent", "branch": "latin"}
+  ],
+  "morphemes": [
+    {"text": "biblio-", "type": "prefix", "meaning": "book", "origin": "Greek biblíon", "relatedWords": ["bibliografía", "bibliófilo"]},
+    {"text": "-teca", "type": "suffix", "meaning": "case, place where things are kept", "origin": "Greek thḗkē", "relatedWords": ["discoteca", "pinacoteca", "hemeroteca"]}
+  ],
+  "grammar": {
+    "partOfSpeech": "verb",
+    "conjugation": [
+      {"tense": "present", "forms": [{"form": "tengo", "irregular": true}, {"form": "tienes", "irregular": true}, {"form": "tiene", "irregular": true}, {"form": "tenemos", "irregular": false}, {"form": "tenéis", "irregular": false}, {"form": "tienen", "irregular": true}]}
+    ],
+    "gerund": "teniendo",
+    "pastParticiple": "tenido",
+    "irregularities": "where the irregular forms come from historically",
+    "gender": "masculine",
+    "plural": "plural form",
+    "feminine": "feminine singular form",
+    "femininePlural": "feminine plural form"
+  },
+  "relatedEnglishWords": ["word1", "word2", "word3"],
+  "cognates": [
+    {"word": "word1", "reliability": "true", "explanation": "same meaning in both languages"},
+    {"word": "embarrassed", "reliability": "false", "explanation": "embarazada means pregnant, not embarrassed (avergonzado)"}
+  ],
+  "rootFamily": {
+    "root": "the ultimate root form, e.g. cor, cordis",
+    "rootLanguage": "language of the root, e.g. Latin",
+    "rootMeaning": "meaning of the root",
+    "members": [
+      {"word": "corazón", "language": "Spanish", "relationship": "inherited"},
+      {"word": "cordial", "language": "Spanish", "relationship": "learned"},
+      {"word": "courage", "language": "English", "relationship": "cognate"}
+    ]
+  },
+  "mnemonic": "the mnemonic device explanation",
+  "sampleSentences": [
+    {"spanish": "Spanish sentence 1", "english": "English translation 1"},
+    {"spanish": "Spanish sentence 2", "english": "English translation 2"},
+    {"spanish": "Spanish sentence 3", "english": "English translation 3"}
+  ],
+  "confidence": "high",
+  "languageFamily": "Indo-European > Italic > Romance > Ibero-Romance",
+  "pronunciation": "phonetic pronunciation guide"
+}
+
+If the word to analyze is an inflected form (a conjugated verb, a plural, a feminine adjective), analyze its dictionary form instead: "word" is the dictionary form and "inputForm" says what was typed. Leave "inputForm" out when the word is already a dictionary form.
+
+In "grammar", "partOfSpeech" is "verb", "noun", "adjective" or "other". For verbs, give "conjugation" for the present, preterite, imperfect, future, conditional and present subjunctive tenses, each with six forms in the order yo, tú, él/ella/usted, nosotros, vosotros, ellos/ellas/ustedes, marking every form that doesn't follow the regular pattern as irregular, plus "gerund" and "pastParticiple". For nouns give "gender" ("masculine" or "feminine") and "plural". For adjectives give "plural", "feminine" and "femininePlural". Leave out the fields that don't apply. When the word has irregular forms, "irregularities" explains where they come from historically (for example the diphthong in tienes from stressed Latin e).
+
+In "etymologyStages", trace the word from its oldest known form to Modern Spanish, oldest first, one stage per language or period. "soundChange" describes how the form changed since the previous stage (leave it out for the first stage). "branch" is "latin", "greek", "arabic", "germanic" or "other", according to the language the stage belongs to or the word was borrowed from.
+
+In "morphemes", split the word into its parts in order: "type" is "prefix", "root", "suffix" or "compound" (a whole word joined to another, as in saca + corchos). Write prefixes with a trailing hyphen and suffixes with a leading one. For prefixes and suffixes, "relatedWords" lists other common Spanish words built with the same affix; leave it out for roots and compound parts. A word with no internal structure has a single root part.
+
+In "cognates", classify every word in "relatedEnglishWords", and add any English look-alike that learners commonly confuse with the Spanish word. "reliability" is "true" for a true cognate (same meaning), "partial" for a partial cognate (the meanings only overlap in some senses) and "false" for a false friend (looks similar, means something else). The explanation is one short sentence on what the learner should watch out for.
+
+In "rootFamily", list the analyzed word itself plus other Spanish words and English words that descend from the same root. "relationship" is "inherited" for Spanish words passed down through everyday speech (Vulgar Latin > Old Spanish), "learned" for Spanish words borrowed later from written Latin, Greek or another language, and "cognate" for English words.${buildLanguageNote(language)}${buildStylePreference(mnemonicStyles)}
+
+Your entire response MUST be a single, valid JSON object. DO NOT include any text outside of the JSON structure, including backticks or markdown formatting.`;
+
+// A request describes what to ask for, independent of provider. It is turned
+// into chat messages here, in the browser for direct providers and on the
+// Etymo server (server/) when going through the proxy.
+export const TASKS = ['analyze', 'repair', 'mnemonic'];
+
+const buildRepairPrompt = (problems) => `Your previous reply could not be used as the analysis JSON. Problems found:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Reply again with the complete analysis as a single, valid JSON object in exactly the format requested above. Fix the problems listed, keep everything else, and include no text outside the JSON.`;
+
+// Regenerates only the mnemonic. `avoid` holds earlier versions the learner
+// has already seen.
+const buildMnemonicPrompt = ({ word, style, avoid = [], language = 'en' }) => `You are a Spanish etymology and memory expert. Write a new mnemonic device, in ${EXPLANATION_LANGUAGES[language].name}, that helps ${EXPLANATION_LANGUAGES[language].reader} remember the meaning of the Spanish word "${word}".
+
+${MNEMONIC_STYLES[style].instruction(EXPLANATION_LANGUAGES[language].name)}${avoid.length ? `
+
+Don't repeat or closely rephrase these earlier mnemonics:
+${avoid.map(text => `- ${text}`).join('\n')}` : ''}
+
+Respond with a JSON object in this exact format:
+{"mnemonic": "the mnemonic device"}
+
+Your entire response MUST be a single, valid JSON object. DO NOT include any text outside of the JSON structure, including backticks or markdown formatting.`;
+
+export const buildMessages = (request) => {
+  switch (request.task) {
+    case 'analyze':
+      return [{ role: 'user', content: buildAnalysisPrompt(request.word, request) }];
+    case 'mnemonic':
+      return [{ role: 'user', content: buildMnemonicPrompt(request) }];
+    case 'repair':
+      return [
+        { role: 'user', content: buildAnalysisPrompt(request.word, request) },
+        { role: 'assistant', content: request.previous || '(empty reply)' },
+        { role: 'user', content: buildRepairPrompt(request.problems) }
+      ];
+    default:
+      throw new Error(`Unknown task: ${request.task}`);
+  }
+};
@@ -0,0 +1,287 @@
+// Schema for the analysis object returned by the model.
+//
+// Each checker takes a raw value and returns { value, problems }. `value` is
+// undefined when the input can't be used at all; otherwise it holds the
+// cleaned-up value and `problems` lists anything that had to be dropped or
+// coerced along the way.
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+export const FAMILY_RELATIONSHIPS = ['inherited', 'learned', 'cognate'];
+export const ETYMOLOGY_BRANCHES = ['latin', 'greek', 'arabic', 'germanic', 'other'];
+export const MORPHEME_TYPES = ['prefix', 'root', 'suffix', 'compound'];
+export const COGNATE_RELIABILITY = ['true', 'partial', 'false'];
+export const PARTS_OF_SPEECH = ['verb', 'noun', 'adjective', 'other'];
+export const GENDERS = ['masculine', 'feminine'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const ok = (value, problems = []) => ({ value, problems });
+const fail = (problem) => ({ value: undefined, problems: [problem] });
+
+export const string = () => (value) => {
+  if (typeof value !== 'string') return fail('should be text');
+  if (!value.trim()) return fail('is empty');
+  return ok(value.trim());
+};
+
+export const oneOf = (values) => (value) => {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+  return values.includes(normalized)
+    ? ok(normalized)
+    : fail(`"${value}" is not one of ${values.join(', ')}`);
+};
+
+// "true"/"false" strings are accepted, since models quote them now and then
+export const boolean = () => (value) => {
+  if (typeof value === 'boolean') return ok(value);
+  if (value === 'true' || value === 'false') return ok(value === 'true');
+  return fail('should be true or false');
+};
+
+// Items that fail their checker are dropped rather than failing the list.
+// With `keepPositions`, for lists where an item's place carries meaning (the
+// six persons of a tense), a dropped item leaves a null in its place instead.
+export const arrayOf = (item, { keepPositions = false } = {}) => (value) => {
+  if (!Array.isArray(value)) return fail('should be a list');
+
+  const items = [];
+  const problems = [];
+  value.forEach((entry, index) => {
+    const result = item(entry);
+    if (result.value === undefined) {
+      problems.push(`item ${index + 1} dropped: ${result.problems.join(', ')}`);
+      if (keepPositions) items.push(null);
+    } else {
+      items.push(result.value);
+      problems.push(...result.problems.map(problem => `item ${index + 1}: ${problem}`));
+    }
+  });
+  return ok(items, problems);
+};
+
+// Marks a key of a shape() as optional: it may be missing or null, and an
+// unusable value is dropped with a problem instead of failing the whole
+// object.
+export const optional = (check) => Object.assign((value) => check(value), { optional: true });
+
+export const shape = (fields) => (value) => {
+  if (!isPlainObject(value)) return fail('should be an object');
+
+  const checked = { ...value };
+  const problems = [];
+  for (const [key, check] of Object.entries(fields)) {
+    if (check.optional && (value[key] === undefined || value[key] === null)) {
+      delete checked[key];
+      continue;
+    }
+    if (value[key] === undefined) return fail(`${key} is missing`);
+    const result = check(value[key]);
+    if (result.value === undefined) {
+      if (!check.optional) return fail(`${key} ${result.problems.join(', ')}`);
+      delete checked[key];
+    } else {
+      checked[key] = result.value;
+    }
+    problems.push(...result.problems.map(problem => `${key} ${problem}`));
+  }
+  return ok(checked, problems);
+};
+
+// Required fields can't be defaulted; if any is unusable the whole response
+// is rejected (and repaired, see analyze.js). Others fall back with a
+// warning, except that fields marked `optional` may be left out silently.
+export const ANALYSIS_FIELDS = {
+  word: { check: string(), required: true },
+  englishMeaning: { check: string(), required: true },
+  inputForm: {
+    check: shape({ form: string(), description: string() }),
+    fallback: () => null,
+    optional: true
+  },
+  etymology: { check: string(), required: true },
+  mnemonic: { check: string(), required: true },
+  etymologyStages: {
+    check: arrayOf(shape({
+      language: string(),
+      form: string(),
+      date: optional(string()),
+      soundChange: optional(string()),
+      branch: optional(oneOf(ETYMOLOGY_BRANCHES))
+    })),
+    fallback: () => []
+  },
+  morphemes: {
+    check: arrayOf(shape({
+      text: string(),
+      type: oneOf(MORPHEME_TYPES),
+      meaning: string(),
+      origin: string(),
+      relatedWords: optional(arrayOf(string()))
+    })),
+    fallback: () => []
+  },
+  grammar: {
+    check: shape({
+      partOfSpeech: oneOf(PARTS_OF_SPEECH),
+      conjugation: optional(arrayOf(shape({
+        tense: string(),
+        forms: arrayOf(shape({ form: string(), irregular: optional(boolean()) }), { keepPositions: true })
+      }))),
+      gerund: optional(string()),
+      pastParticiple: optional(string()),
+      irregularities: optional(string()),
+      gender: optional(oneOf(GENDERS)),
+      plural: optional(string()),
+      feminine: optional(string()),
+      femininePlural: optional(string())
+    }),
+    fallback: () => null
+  },
+  relatedEnglishWords: { check: arrayOf(string()), fallback: () => [] },
+  cognates: {
+    check: arrayOf(shape({
+      word: string(),
+      reliability: oneOf(COGNATE_RELIABILITY),
+      explanation: string()
+    })),
+    fallback: () => []
+  },
+  rootFamily: {
+    check: shape({
+      root: string(),
+      rootLanguage: string(),
+      rootMeaning: optional(string()),
+      members: arrayOf(shape({
+        word: string(),
+        language: string(),
+        relationship: oneOf(FAMILY_RELATIONSHIPS)
+      }))
+    }),
+    fallback: () => null
+  },
+  sampleSentences: {
+    check: arrayOf(shape({ spanish: string(), english: string() })),
+    fallback: () => []
+  },
+  confidence: { check: oneOf(CONFIDENCE_LEVELS), fallback: () => 'medium' },
+  languageFamily: { check: string(), fallback: () => 'Romance' },
+  pronunciation: { check: string(), fallback: (word) => word }
+};
+
+const NOT_AN_OBJECT_REPLY = 'the response is not a JSON object';
+const MALFORMED_REPLY = 'the JSON object is malformed or cut off';
+const MISSING_JSON_REPLY = 'the response contains no JSON object';
+
+// Returns { analysis, errors, warnings }. `errors` and `warnings` are lists
+// of { field, message }; `analysis` is null when there are errors.
+export const validateAnalysis = (value, word) => {
+  if (!isPlainObject(value)) {
+    return { analysis: null, errors: [{ field: null, message: NOT_AN_OBJECT_REPLY }], warnings: [] };
+  }
+
+  const analysis = { ...value };
+  const errors = [];
+  const warnings = [];
+
+  for (const [field, { check, required, fallback, optional: canOmit }] of Object.entries(ANALYSIS_FIELDS)) {
+    if (canOmit && (value[field] === undefined || value[field] === null)) {
+      analysis[field] = fallback(word);
+      continue;
+    }
+    const result = value[field] === undefined ? fail('is missing') : check(value[field]);
+    const problems = result.problems.map(message => ({ field, message }));
+
+    if (result.value !== undefined) {
+      analysis[field] = result.value;
+      warnings.push(...problems);
+    } else if (required) {
+      errors.push(...problems);
+    } else {
+      analysis[field] = fallback(word);
+      warnings.push(...problems);
+    }
+  }
+
+  return { analysis: errors.length ? null : analysis, errors, warnings };
+};
+
+// For analyses still streaming in: keeps only the known fields that already
+// pass their checks, without warnings or fallbacks.
+export const pickValidFields = (partial) => {
+  const valid = {};
+  for (const [field, value] of Object.entries(partial)) {
+    const result = ANALYSIS_FIELDS[field] && ANALYSIS_FIELDS[field].check(value);
+    if (result && result.value !== undefined) valid[field] = result.value;
+  }
+  return valid;
+};
+
+// Finds the first balanced {...} block that parses, so JSON wrapped in prose
+// or code fences still comes through.
+export const extractJson = (text) => {
+  let start = text.indexOf('{');
+  while (start !== -1) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          try {
+            return JSON.parse(text.slice(start, i + 1));
+          } catch (err) {
+            break;
+          }
+        }
+      }
+    }
+
+    start = text.indexOf('{', start + 1);
+  }
+  return undefined;
+};
+
+export const parseAnalysis = (text, word) => {
+  const value = extractJson(text || '');
+  if (value === undefined) {
+    const message = (text || '').includes('{') ? MALFORMED_REPLY : MISSING_JSON_REPLY;
+    return { analysis: null, errors: [{ field: null, message }], warnings: [] };
+  }
+  return validateAnalysis(value, word);
+};
+
+export const describeProblem = ({ field, message }) => (field ? `${field} ${message}` : message);
+
+// Every problem that can make a reply unusable, as describeProblem words it:
+// the reply as a whole, or a required field that is missing, empty or not
+// text. These are the only problems a repair is ever asked to fix, which lets
+// the proxy refuse anything else.
+const REPAIR_PROBLEMS = new Set([
+  NOT_AN_OBJECT_REPLY,
+  MALFORMED_REPLY,
+  MISSING_JSON_REPLY,
+  ...Object.keys(ANALYSIS_FIELDS)
+    .filter(field => ANALYSIS_FIELDS[field].required)
+    .flatMap(field => ['is missing', 'is empty', 'should be text'].map(message => `${field} ${message}`))
+]);
+
+export const isRepairProblem = (problem) => REPAIR_PROBLEMS.has(problem);
+
+export class AnalysisParseError extends Error {
+  constructor(problems) {
+    super(`Invalid analysis: ${problems.map(describeProblem).join('; ')}`);
+    this.name = 'AnalysisParseError';
+    this.problems = problems;
+  }
+}
@@ -0,0 +1,5 @@
+// Canonical form used for cache keys and de-duplication: "  Corazón " and
+// "corazón" are the same lookup.
+export const normalizeWord = (word) => word.trim().normalize('NFC').toLowerCase();
+
+export const stripAccents = (word) => word.normalize('NFD').replace(/\p{M}/gu, '');
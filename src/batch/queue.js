@@ -0,0 +1,65 @@
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  }
+});
+
+// Runs `worker(item, signal)` over `items` with at most `concurrency` running
+// at once. Errors for which `isRetryable` returns true are retried up to
+// `maxRetries` times, waiting the error's `retryAfterSeconds` if it has one
+// and an exponential backoff otherwise.
+//
+// Progress is reported per item through `onUpdate(index, state)` where state
+// is { status: 'running' | 'waiting' | 'done' | 'failed', attempt, result,
+// error, retryInMs }. Rejects with an AbortError when `signal` fires.
+export const runQueue = async (items, worker, {
+  concurrency = 2,
+  maxRetries = 3,
+  baseDelayMs = 2000,
+  isRetryable = () => false,
+  onUpdate = () => {},
+  signal
+} = {}) => {
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      if (signal && signal.aborted) throw abortError();
+      const index = next++;
+
+      for (let attempt = 0; ; attempt++) {
+        onUpdate(index, { status: 'running', attempt });
+        try {
+          const result = await worker(items[index], signal);
+          onUpdate(index, { status: 'done', attempt, result });
+          break;
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          if (attempt >= maxRetries || !isRetryable(err)) {
+            onUpdate(index, { status: 'failed', attempt, error: err });
+            break;
+          }
+
+          const jitter = Math.random() * 500;
+          const retryInMs = err.retryAfterSeconds
+            ? err.retryAfterSeconds * 1000
+            : baseDelayMs * 2 ** attempt + jitter;
+          onUpdate(index, { status: 'waiting', attempt, error: err, retryInMs });
+          await sleep(retryInMs, signal);
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+};
@@ -0,0 +1,112 @@
+import { runQueue } from './queue';
+import { ProviderError } from '../providers';
+
+const isRetryable = (err) => err instanceof ProviderError && err.status === 429;
+
+const rateLimited = (retryAfterSeconds) => new ProviderError('429', { status: 429, retryAfterSeconds });
+
+// Resolves once every timer the queue set up has fired
+const runWithFakeTimers = async (promise) => {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+  while (!settled) {
+    await Promise.resolve();
+    jest.runOnlyPendingTimers();
+    await Promise.resolve();
+  }
+  return promise;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('runs every item, no more than `concurrency` at a time', async () => {
+  let running = 0;
+  let mostRunning = 0;
+  const worker = async (item) => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running--;
+    return item * 2;
+  };
+  const results = [];
+
+  await runWithFakeTimers(runQueue([1, 2, 3, 4, 5], worker, {
+    concurrency: 2,
+    onUpdate: (index, state) => { if (state.status === 'done') results[index] = state.result; }
+  }));
+
+  expect(results).toEqual([2, 4, 6, 8, 10]);
+  expect(mostRunning).toBe(2);
+});
+
+test('waits as long as a rate limit asks before retrying', async () => {
+  const worker = jest.fn()
+    .mockRejectedValueOnce(rateLimited(20))
+    .mockResolvedValueOnce('ok');
+  const updates = [];
+
+  await runWithFakeTimers(runQueue(['ventana'], worker, {
+    isRetryable,
+    onUpdate: (index, state) => updates.push(state)
+  }));
+
+  expect(updates.map(state => state.status)).toEqual(['running', 'waiting', 'running', 'done']);
+  expect(updates[1].retryInMs).toBe(20000);
+  expect(updates[3]).toEqual(expect.objectContaining({ attempt: 1, result: 'ok' }));
+});
+
+test('backs off exponentially without a retry-after and gives up after maxRetries', async () => {
+  const worker = jest.fn().mockRejectedValue(rateLimited());
+  const updates = [];
+
+  await runWithFakeTimers(runQueue(['ventana'], worker, {
+    isRetryable,
+    maxRetries: 2,
+    baseDelayMs: 1000,
+    onUpdate: (index, state) => updates.push(state)
+  }));
+
+  const waits = updates.filter(state => state.status === 'waiting').map(state => state.retryInMs);
+  expect(waits[0]).toBeGreaterThanOrEqual(1000);
+  expect(waits[0]).toBeLessThan(1500);
+  expect(waits[1]).toBeGreaterThanOrEqual(2000);
+  expect(waits[1]).toBeLessThan(2500);
+  expect(updates[updates.length - 1]).toEqual(expect.objectContaining({ status: 'failed', attempt: 2 }));
+  expect(worker).toHaveBeenCalledTimes(3);
+});
+
+test('fails other errors straight away and carries on with the rest', async () => {
+  const worker = jest.fn(async (item) => {
+    if (item === 'bad') throw new Error('unreadable');
+    return item;
+  });
+  const statuses = {};
+
+  await runWithFakeTimers(runQueue(['bad', 'good'], worker, {
+    isRetryable,
+    concurrency: 1,
+    onUpdate: (index, state) => { statuses[index] = state.status; }
+  }));
+
+  expect(statuses).toEqual({ 0: 'failed', 1: 'done' });
+  expect(worker).toHaveBeenCalledTimes(2);
+});
+
+test('stops with an AbortError when the signal fires', async () => {
+  const controller = new AbortController();
+  const worker = jest.fn().mockRejectedValue(rateLimited(60));
+
+  const run = runQueue(['ventana', 'perro'], worker, { isRetryable, concurrency: 1, signal: controller.signal });
+  await Promise.resolve();
+  controller.abort();
+
+  await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+  expect(worker).toHaveBeenCalledTimes(1);
+});
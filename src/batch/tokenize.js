@@ -0,0 +1,71 @@
+import { normalizeWord, stripAccents } from '../analysis/words';
+
+// Function words that are never worth a lookup of their own
+const STOPWORDS = new Set([
+  'a', 'al', 'algo', 'algún', 'alguna', 'algunas', 'alguno', 'algunos', 'ante', 'antes', 'así', 'aun', 'aún',
+  'bajo', 'bien', 'cada', 'casi', 'como', 'cómo', 'con', 'contra', 'cual', 'cuál', 'cuando', 'cuándo', 'de',
+  'del', 'desde', 'donde', 'dónde', 'durante', 'e', 'el', 'él', 'ella', 'ellas', 'ellos', 'en', 'entre', 'era',
+  'es', 'esa', 'esas', 'ese', 'eso', 'esos', 'esta', 'está', 'están', 'estas', 'este', 'esto', 'estos', 'fue',
+  'ha', 'han', 'hasta', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'más', 'me', 'mi', 'mis', 'mucho', 'muy',
+  'nada', 'ni', 'no', 'nos', 'nosotros', 'o', 'os', 'otra', 'otro', 'para', 'pero', 'poco', 'por', 'porque',
+  'qué', 'que', 'quien', 'quién', 'se', 'sé', 'sea', 'ser', 'si', 'sí', 'sin', 'sobre', 'son', 'su', 'sus',
+  'también', 'tan', 'te', 'tu', 'tú', 'tus', 'u', 'un', 'una', 'unas', 'uno', 'unos', 'usted', 'ustedes', 'y',
+  'ya', 'yo'
+]);
+
+const WORD_PATTERN = /\p{L}+(?:-\p{L}+)*/gu;
+
+const countWords = (entry) => entry.split(/\s+/).filter(Boolean).length;
+
+// One entry per line, each a word or short phrase, or single words separated
+// by commas, semicolons or tabs. "la casa, el perro" is a sentence, not a
+// list of two phrases, so anything else is treated as running text.
+const looksLikeList = (text) => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length > 1) {
+    return lines.every(line => line.split(/[,;\t]+/).every(entry => countWords(entry) <= 3));
+  }
+  const entries = text.split(/[,;\t]+/).map(entry => entry.trim()).filter(Boolean);
+  return entries.length > 1 && entries.every(entry => countWords(entry) === 1);
+};
+
+// Plural forms are folded into the singular when the singular also occurs
+// ("ventana ... ventanas"). Accents move between singular and plural
+// (corazón, corazones), so forms are compared without them. Anything smarter
+// needs the model, so other inflected forms ("tengo", "tienes") are queued as
+// they are and only folded together once their analyses name the same lemma
+// (see BatchPanel).
+const foldPlurals = (words) => {
+  const present = new Set(words.map(stripAccents));
+  return words.filter(word => {
+    const bare = stripAccents(word);
+    const singulars = [bare.replace(/es$/, ''), bare.replace(/s$/, ''), bare.replace(/ces$/, 'z')];
+    return !singulars.some(singular => singular !== bare && present.has(singular));
+  });
+};
+
+// Turns a pasted word list or a Spanish passage into distinct words to
+// analyze, in order of first appearance.
+export const extractWords = (text) => {
+  if (looksLikeList(text)) {
+    const entries = text.split(/[\n,;\t]+/).map(entry => normalizeWord(entry)).filter(Boolean);
+    return [...new Set(entries)];
+  }
+
+  const words = (text.match(WORD_PATTERN) || [])
+    .map(normalizeWord)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+  return foldPlurals([...new Set(words)]);
+};
+
+// First column of each row; a header row named "word"/"palabra" is skipped.
+export const extractWordsFromCsv = (text) => {
+  const words = text
+    .split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/)[0].trim().replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean);
+  if (words.length && ['word', 'palabra', 'spanish', 'español'].includes(normalizeWord(words[0]))) {
+    words.shift();
+  }
+  return extractWords(words.join('\n'));
+};
@@ -0,0 +1,40 @@
+import { extractWords, extractWordsFromCsv } from './tokenize';
+
+describe('extractWords', () => {
+  test('takes a word list one entry per line, phrases included', () => {
+    expect(extractWords('Ventana\ncorazón\n\nsacar de quicio\nventana')).toEqual(['ventana', 'corazón', 'sacar de quicio']);
+  });
+
+  test('takes single words separated by commas, semicolons or tabs', () => {
+    expect(extractWords('ventana, corazón; biblioteca\tperro')).toEqual(['ventana', 'corazón', 'biblioteca', 'perro']);
+  });
+
+  test('reads a short comma-separated passage as running text', () => {
+    expect(extractWords('la casa, el perro')).toEqual(['casa', 'perro']);
+  });
+
+  test('drops function words and one-letter words from a passage', () => {
+    expect(extractWords('Abrí la ventana y vi que el viento movía las cortinas.'))
+      .toEqual(['abrí', 'ventana', 'vi', 'viento', 'movía', 'cortinas']);
+  });
+
+  test('folds plurals into a singular that also occurs, accents and all', () => {
+    expect(extractWords('El corazón late. Los corazones laten. Una luz, dos luces, tres ventanas.'))
+      .toEqual(['corazón', 'late', 'laten', 'luz', 'dos', 'tres', 'ventanas']);
+  });
+
+  test('leaves other inflected forms for the model to resolve', () => {
+    expect(extractWords('Tengo un perro y tienes un gato.')).toEqual(['tengo', 'perro', 'tienes', 'gato']);
+  });
+});
+
+describe('extractWordsFromCsv', () => {
+  test('takes the first column and skips a header row', () => {
+    const csv = 'palabra,meaning\n"ventana",window\ncorazón;heart\n';
+    expect(extractWordsFromCsv(csv)).toEqual(['ventana', 'corazón']);
+  });
+
+  test('keeps the first row when it is a word', () => {
+    expect(extractWordsFromCsv('ventana,window\r\nperro,dog')).toEqual(['ventana', 'perro']);
+  });
+});
@@ -0,0 +1,271 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { X, Upload, Loader2, ListChecks, AlertTriangle } from 'lucide-react';
+import { extractWords, extractWordsFromCsv } from '../batch/tokenize';
+import { runQueue } from '../batch/queue';
+import { loadAnalysis, describeAnalysisError } from '../analysis/analyze';
+import { normalizeWord } from '../analysis/words';
+import { ProviderError } from '../providers';
+import { useTranslation } from '../i18n';
+
+const MAX_BATCH_WORDS = 200;
+
+const STATUS_STYLES = {
+  queued: 'text-gray-500',
+  running: 'text-amber-700',
+  waiting: 'text-orange-700',
+  done: 'text-green-700',
+  failed: 'text-red-700'
+};
+
+const isRetryable = (err) => err instanceof ProviderError && (err.status === 429 || err.status === 503);
+
+const inputClass = 'px-3 py-2 border-2 border-amber-300/50 rounded-lg focus:border-amber-500 focus:outline-none bg-white/90 text-amber-900';
+
+const BatchPanel = ({ settings, onOpen, onClose }) => {
+  const t = useTranslation();
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [concurrency, setConcurrency] = useState(2);
+  const [filter, setFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const abortControllerRef = useRef(null);
+
+  // Closing the panel stops the batch
+  useEffect(() => () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  }, []);
+
+  const allWords = extractWords(text);
+  const words = allWords.slice(0, MAX_BATCH_WORDS);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const content = await file.text();
+    setText(/\.csv$/i.test(file.name) ? extractWordsFromCsv(content).join('\n') : content);
+  };
+
+  const updateRow = (index, state) => {
+    setRows(prev => prev.map((row, i) => {
+      if (i !== index) return row;
+      const { result, error, ...rest } = state;
+      return {
+        ...row,
+        ...rest,
+        analysis: result ? result.analysis : row.analysis,
+        cachedAt: result ? result.cachedAt : row.cachedAt,
+        error: error ? describeAnalysisError(error, settings, t) : undefined
+      };
+    }));
+  };
+
+  const startBatch = async () => {
+    if (!words.length) return;
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setRows(words.map(word => ({ word, status: 'queued', attempt: 0 })));
+    setRunning(true);
+
+    try {
+      await runQueue(words, (word, signal) => loadAnalysis(word, settings, { signal }), {
+        concurrency,
+        isRetryable,
+        onUpdate: updateRow,
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error('Batch failed:', err);
+    } finally {
+      abortControllerRef.current = null;
+      setRunning(false);
+      setRows(prev => prev.map(row => (row.status === 'done' || row.status === 'failed' ? row : { ...row, status: 'queued' })));
+    }
+  };
+
+  const stopBatch = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  };
+
+  const finishedCount = rows.filter(row => row.status === 'done' || row.status === 'failed').length;
+  const failedCount = rows.filter(row => row.status === 'failed').length;
+  // Inflected forms ("tengo", "tienes") only turn out to share a lemma once
+  // analyzed; later rows for a lemma already listed are folded into that row
+  const lemmaOf = (row) => row.analysis && normalizeWord(row.analysis.word);
+  const typedFormsOf = (row) => rows
+    .filter(other => lemmaOf(other) === lemmaOf(row) && other.word !== lemmaOf(row))
+    .map(other => other.word);
+  const distinctRows = rows.filter((row, index) =>
+    !lemmaOf(row) || rows.findIndex(other => lemmaOf(other) === lemmaOf(row)) === index
+  );
+  const query = filter.trim().toLowerCase();
+  const visibleRows = distinctRows.filter(row =>
+    (statusFilter === 'all' || row.status === statusFilter ||
+      (statusFilter === 'pending' && !['done', 'failed'].includes(row.status))) &&
+    (!query || row.word.includes(query) ||
+      (row.analysis && row.analysis.englishMeaning.toLowerCase().includes(query)))
+  );
+
+  return (
+    <div className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-2xl shadow-lg border border-amber-200/50 p-6 animate-fade-in">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-amber-800 flex items-center gap-2" style={{fontFamily: 'Georgia, serif'}}>
+          <ListChecks className="w-5 h-5" />
+          {t('batch.title')}
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-amber-100 rounded-full transition-colors text-amber-700"
+          title={t('batch.close')}
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        disabled={running}
+        rows={5}
+        placeholder={t('batch.placeholder')}
+        className={`w-full ${inputClass}`}
+        style={{fontFamily: 'Georgia, serif'}}
+      />
+
+      <div className="flex flex-wrap items-center gap-3 mt-3">
+        <label className={`flex items-center gap-2 px-4 py-2 bg-white/90 hover:bg-amber-50 text-amber-800 font-medium rounded-lg border-2 border-amber-200 transition-colors ${running ? 'opacity-50' : 'cursor-pointer'}`}>
+          <Upload className="w-4 h-4" />
+          {t('batch.upload')}
+          <input type="file" accept=".txt,.csv,text/plain,text/csv" onChange={handleFile} disabled={running} className="hidden" />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-amber-700">
+          {t('batch.parallel')}
+          <select
+            value={concurrency}
+            onChange={(e) => setConcurrency(Number(e.target.value))}
+            disabled={running}
+            className={inputClass}
+          >
+            {[1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+        <span className="text-sm text-amber-700">
+          {t('batch.found', { count: words.length })}
+          {allWords.length > MAX_BATCH_WORDS && ` ${t('batch.firstOnly', { max: MAX_BATCH_WORDS })}`}
+        </span>
+        <div className="flex-1"></div>
+        {running ? (
+          <button
+            onClick={stopBatch}
+            className="flex items-center gap-2 px-5 py-2 bg-white/90 hover:bg-red-50 text-red-700 font-semibold rounded-lg border-2 border-red-200 transition-colors"
+          >
+            <X className="w-4 h-4" />
+            {t('batch.stop')}
+          </button>
+        ) : (
+          <button
+            onClick={startBatch}
+            disabled={!words.length}
+            className="px-5 py-2 bg-gradient-to-r from-amber-600 to-amber-700 hover:from-amber-700 hover:to-amber-800 disabled:from-amber-300 disabled:to-amber-400 text-white font-semibold rounded-lg transition-all shadow"
+          >
+            {t('batch.analyze', { count: words.length })}
+          </button>
+        )}
+      </div>
+
+      {words.length > 0 && !rows.length && (
+        <p className="mt-3 text-sm text-amber-700" style={{fontFamily: 'Georgia, serif'}}>
+          {words.join(' · ')}
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <div className="mt-6 space-y-4">
+          <div>
+            <div className="flex justify-between text-sm text-amber-700 mb-1">
+              <span>
+                {t('batch.progress', { finished: finishedCount, total: rows.length })}
+                {failedCount > 0 && ` • ${t('batch.failedCount', { count: failedCount })}`}
+              </span>
+              {running && <Loader2 className="w-4 h-4 animate-spin" />}
+            </div>
+            <div className="h-3 bg-amber-100 rounded-full overflow-hidden border border-amber-200">
+              <div
+                className="h-full bg-gradient-to-r from-amber-500 to-amber-600 transition-all duration-300"
+                style={{ width: `${(finishedCount / rows.length) * 100}%` }}
+              ></div>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-3">
+            <input
+              type="text"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder={t('batch.filter')}
+              className={`flex-1 ${inputClass}`}
+            />
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={inputClass}>
+              <option value="all">{t('batch.all')}</option>
+              <option value="done">{t('batch.status.done')}</option>
+              <option value="failed">{t('batch.status.failed')}</option>
+              <option value="pending">{t('batch.pending')}</option>
+            </select>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto rounded-lg border border-amber-200 bg-white/80">
+            <table className="w-full text-sm">
+              <thead className="bg-amber-100/80 text-amber-800 sticky top-0">
+                <tr>
+                  <th className="text-left px-4 py-2">{t('batch.columns.word')}</th>
+                  <th className="text-left px-4 py-2">{t('batch.columns.meaning')}</th>
+                  <th className="text-left px-4 py-2">{t('batch.columns.origin')}</th>
+                  <th className="text-left px-4 py-2">{t('batch.columns.status')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map(row => (
+                  <tr
+                    key={row.word}
+                    onClick={() => row.analysis && onOpen(row.word)}
+                    className={`border-t border-amber-100 ${row.analysis ? 'cursor-pointer hover:bg-amber-50' : ''}`}
+                  >
+                    <td className="px-4 py-2 font-medium text-amber-900" style={{fontFamily: 'Georgia, serif'}}>
+                      {row.analysis ? row.analysis.word : row.word}
+                      {row.analysis && typedFormsOf(row).length > 0 && (
+                        <span className="ml-2 text-xs font-normal text-amber-600">
+                          ({typedFormsOf(row).join(', ')})
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{row.analysis ? row.analysis.englishMeaning : ''}</td>
+                    <td className="px-4 py-2 text-gray-600">{row.analysis ? row.analysis.languageFamily : ''}</td>
+                    <td className={`px-4 py-2 ${STATUS_STYLES[row.status]}`}>
+                      {row.status === 'failed' ? (
+                        <span className="flex items-center gap-1" title={row.error}>
+                          <AlertTriangle className="w-4 h-4" />
+                          {t('batch.status.failed')}
+                        </span>
+                      ) : (
+                        <>
+                          {t(`batch.status.${row.status}`)}
+                          {row.status === 'done' && row.cachedAt && ` ${t('batch.cached')}`}
+                          {row.status === 'waiting' && ` ${t('batch.attempt', { attempt: row.attempt + 2 })}`}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
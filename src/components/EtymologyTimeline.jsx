@@ -0,0 +1,52 @@
+import React from 'react';
+import { useTranslation } from '../i18n';
+
+// Stages borrowed through Arabic or a Germanic language stand out from the
+// Latin line of descent.
+const BRANCH_STYLES = {
+  arabic: { dot: 'bg-emerald-600 border-emerald-200', card: 'bg-emerald-50 border-emerald-300', badge: 'bg-emerald-100 text-emerald-800' },
+  germanic: { dot: 'bg-sky-600 border-sky-200', card: 'bg-sky-50 border-sky-300', badge: 'bg-sky-100 text-sky-800' },
+  greek: { dot: 'bg-indigo-500 border-indigo-200', card: 'bg-white/80 border-amber-200', badge: 'bg-indigo-100 text-indigo-800' },
+  other: { dot: 'bg-gray-500 border-gray-200', card: 'bg-white/80 border-amber-200', badge: 'bg-gray-100 text-gray-700' },
+  latin: { dot: 'bg-amber-600 border-amber-200', card: 'bg-white/80 border-amber-200', badge: '' }
+};
+
+const EtymologyTimeline = ({ stages }) => {
+  const t = useTranslation();
+  return (
+    <ol className="relative ml-3 border-l-2 border-amber-300 space-y-5 animate-fade-in">
+      {stages.map((stage, index) => {
+        const style = BRANCH_STYLES[stage.branch] || BRANCH_STYLES.latin;
+        const last = index === stages.length - 1;
+        return (
+          <li key={index} className="relative pl-8">
+            <span className={`absolute -left-[9px] top-4 w-4 h-4 rounded-full border-4 ${style.dot}`}></span>
+            <div className={`p-4 rounded-lg border shadow-sm ${style.card}`}>
+              <div className="flex flex-wrap items-baseline gap-x-3 gap-y-1">
+                <span className="text-sm font-semibold uppercase tracking-wide text-amber-700">{stage.language}</span>
+                {stage.date && <span className="text-sm text-gray-500">{stage.date}</span>}
+                {style.badge && (
+                  <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${style.badge}`}>{t(`origins.${stage.branch}`)}</span>
+                )}
+              </div>
+              <p
+                className={`mt-1 text-2xl italic ${last ? 'font-bold text-amber-900' : 'text-gray-800'}`}
+                style={{fontFamily: 'Georgia, serif'}}
+              >
+                {stage.form}
+              </p>
+              {stage.soundChange && (
+                <p className="mt-1 text-gray-600">
+                  {index > 0 && <span className="italic">{stages[index - 1].form} → {stage.form}: </span>}
+                  {stage.soundChange}
+                </p>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default EtymologyTimeline;
@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import { X, Download, Upload, Plus, Trash2 } from 'lucide-react';
+import { EXPORT_FIELDS, DEFAULT_COLUMNS } from '../export/fields';
+import { toDelimited } from '../export/delimited';
+import { toMarkdown } from '../export/markdown';
+import { buildBackup, readBackup, BackupError } from '../export/backup';
+import { downloadFile } from '../export/download';
+import { getAllCachedAnalyses, restoreCachedAnalyses } from '../storage/analysisCache';
+import { useCachedAnalyses } from '../storage/useCachedAnalyses';
+import { restoreCards } from '../storage/deck';
+import { getLibrary, restoreLibrary } from '../storage/library';
+import { getQuizResults, restoreQuizResults } from '../storage/quizResults';
+import { normalizeWord } from '../analysis/words';
+import { useTranslation } from '../i18n';
+
+const FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+  tsv: { extension: 'tsv', type: 'text/tab-separated-values;charset=utf-8' },
+  markdown: { extension: 'md', type: 'text/markdown;charset=utf-8' },
+  json: { extension: 'json', type: 'application/json' }
+};
+
+const SCOPES = ['current', 'saved', 'deck'];
+
+const selectClass = 'w-full px-3 py-2 border-2 border-amber-300/50 rounded-lg focus:border-amber-500 focus:outline-none bg-white/90 text-amber-900';
+
+const ExportPanel = ({ analysis, deck, language, initialScope = 'saved', onImported, onClose }) => {
+  const t = useTranslation();
+  const [format, setFormat] = useState('csv');
+  const [scope, setScope] = useState(analysis ? initialScope : 'saved');
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [header, setHeader] = useState(false);
+  const [imports, setImports] = useState(0);
+  const [status, setStatus] = useState(null);
+  // Study sheets use the language the learner reads explanations in; the
+  // backup reads every language when it is written
+  const savedAnalyses = useCachedAnalyses(language, imports) || [];
+
+  const getItems = () => {
+    if (scope === 'current') {
+      return analysis ? [analysis] : [];
+    }
+    const byWord = new Map(savedAnalyses.map(record => [record.word, record.analysis]));
+    if (scope === 'deck') {
+      // Cards only keep the fields shown in review; fill the rest in from the
+      // saved analysis when there is one.
+      return deck.map(card => ({ ...byWord.get(normalizeWord(card.word)), ...card }));
+    }
+    return [...byWord.values()].sort((a, b) => a.word.localeCompare(b.word, 'es'));
+  };
+
+  const handleExport = async () => {
+    const date = new Date().toISOString().slice(0, 10);
+    const { extension, type } = FORMATS[format];
+
+    if (format === 'json') {
+      // Read everything afresh: a backup missing the analyses or the library
+      // would look complete but lose the learner's work on restore, so don't
+      // write one
+      let analyses;
+      let library;
+      let quizResults;
+      try {
+        [analyses, library, quizResults] = await Promise.all([getAllCachedAnalyses(), getLibrary(), getQuizResults()]);
+      } catch (err) {
+        console.error('Failed to read data for backup:', err);
+        setStatus({ type: 'error', message: t('export.backupFailed') });
+        return;
+      }
+      const backup = buildBackup({ analyses, deck, library, quizResults });
+      downloadFile(`etymo-backup-${date}.json`, JSON.stringify(backup, null, 2), type);
+      setStatus({
+        type: 'success',
+        message: t('export.exportedBackup', {
+          analyses: analyses.length,
+          cards: deck.length,
+          entries: library.length,
+          records: quizResults.length
+        })
+      });
+      return;
+    }
+
+    const items = getItems();
+    if (!items.length) {
+      setStatus({ type: 'error', message: t('export.nothing') });
+      return;
+    }
+
+    const content = format === 'markdown'
+      ? toMarkdown(items, { t, title: scope === 'current' ? t('export.markdown.wordTitle', { word: items[0].word }) : undefined })
+      : toDelimited(items, columns, { format, header, t });
+    const name = scope === 'current' ? normalizeWord(items[0].word) : scope;
+    downloadFile(`etymo-${name}-${date}.${extension}`, content, type);
+    setStatus({ type: 'success', message: t('export.exportedWords', { count: items.length }) });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const backup = readBackup(await file.text());
+      await restoreCachedAnalyses(backup.analyses);
+      await restoreCards(backup.deck);
+      await restoreLibrary(backup.library);
+      await restoreQuizResults(backup.quizResults);
+      setImports(count => count + 1);
+      if (onImported) await onImported();
+
+      const skipped = backup.skipped ? ` ${t('export.skipped', { count: backup.skipped })}` : '';
+      const imported = t('export.imported', {
+        analyses: backup.analyses.length,
+        cards: backup.deck.length,
+        entries: backup.library.length,
+        records: backup.quizResults.length
+      });
+      setStatus({ type: 'success', message: `${imported}${skipped}` });
+    } catch (err) {
+      console.error('Failed to import backup:', err);
+      setStatus({
+        type: 'error',
+        message: err instanceof BackupError ? err.message : t('export.importFailed')
+      });
+    }
+  };
+
+  const updateColumn = (index, value) => {
+    setColumns(prev => prev.map((column, i) => (i === index ? value : column)));
+  };
+
+  return (
+    <div className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-2xl shadow-lg border border-amber-200/50 p-6 animate-fade-in">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-amber-800" style={{fontFamily: 'Georgia, serif'}}>
+          📦 {t('sidebar.export')}
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-amber-100 rounded-full transition-colors text-amber-700"
+          title={t('export.close')}
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-4">
+        <label className="block">
+          <span className="block text-sm font-medium text-amber-700 mb-1">{t('export.format')}</span>
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className={selectClass}>
+            {Object.keys(FORMATS).map(id => (
+              <option key={id} value={id}>{t(`export.formats.${id}`)}</option>
+            ))}
+          </select>
+        </label>
+
+        {format !== 'json' && (
+          <label className="block">
+            <span className="block text-sm font-medium text-amber-700 mb-1">{t('export.scope')}</span>
+            <select value={scope} onChange={(e) => setScope(e.target.value)} className={selectClass}>
+              {SCOPES
+                .filter(id => id !== 'current' || analysis)
+                .map(id => (
+                  <option key={id} value={id}>{t(`export.scopes.${id}`)}</option>
+                ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {(format === 'csv' || format === 'tsv') && (
+        <div className="mt-4">
+          <span className="block text-sm font-medium text-amber-700 mb-2">
+            {t('export.columns')}
+          </span>
+          <div className="space-y-2">
+            {columns.map((column, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <span className="w-20 text-sm text-amber-700">{t('export.field', { number: index + 1 })}</span>
+                <select value={column} onChange={(e) => updateColumn(index, e.target.value)} className={selectClass}>
+                  {EXPORT_FIELDS.map(field => (
+                    <option key={field.id} value={field.id}>{t(`export.fields.${field.id}`)}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setColumns(prev => prev.filter((_, i) => i !== index))}
+                  disabled={columns.length === 1}
+                  className="p-2 text-amber-700 hover:bg-amber-100 disabled:opacity-40 rounded-lg transition-colors"
+                  title={t('export.removeColumn')}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex items-center justify-between mt-3">
+            <button
+              onClick={() => setColumns(prev => [...prev, EXPORT_FIELDS.find(field => !prev.includes(field.id))?.id || 'word'])}
+              className="flex items-center gap-1 text-sm text-amber-700 hover:text-amber-900"
+            >
+              <Plus className="w-4 h-4" />
+              {t('export.addColumn')}
+            </button>
+            <label className="flex items-center gap-2 text-sm text-amber-700">
+              <input type="checkbox" checked={header} onChange={(e) => setHeader(e.target.checked)} className="accent-amber-600" />
+              {t('export.headerRow')}
+            </label>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3 mt-6">
+        <button
+          onClick={handleExport}
+          className="flex items-center gap-2 px-5 py-3 bg-gradient-to-r from-amber-600 to-amber-700 hover:from-amber-700 hover:to-amber-800 text-white font-semibold rounded-xl transition-all shadow-lg"
+        >
+          <Download className="w-4 h-4" />
+          {t('word.export')}
+        </button>
+        <label className="flex items-center gap-2 px-5 py-3 bg-white/90 hover:bg-amber-50 text-amber-800 font-semibold rounded-xl border-2 border-amber-200 cursor-pointer transition-colors">
+          <Upload className="w-4 h-4" />
+          {t('export.import')}
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+      <p className="text-xs text-amber-600 mt-3">
+        {t('export.importHint')}
+      </p>
+
+      {status && (
+        <div className={`mt-4 p-3 rounded-lg text-sm ${
+          status.type === 'error' ? 'bg-red-50 border border-red-200 text-red-700' : 'bg-green-50 border border-green-200 text-green-800'
+        }`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportPanel;
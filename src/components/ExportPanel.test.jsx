@@ -0,0 +1,54 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ExportPanel from './ExportPanel';
+import * as library from '../storage/library';
+import { downloadFile } from '../export/download';
+import * as analysisCache from '../storage/analysisCache';
+import { loadFixture } from '../testing/mockProvider';
+
+jest.mock('../export/download');
+
+const analysis = loadFixture('biblioteca').reply;
+
+const exportBackup = async (user) => {
+  render(<ExportPanel analysis={analysis} deck={[]} onClose={jest.fn()} />);
+  await user.selectOptions(screen.getByRole('combobox', { name: 'Format' }), 'json');
+  await user.click(screen.getByRole('button', { name: 'Export' }));
+};
+
+test('writes the analyses and the library into the JSON backup', async () => {
+  await analysisCache.cacheAnalysis('biblioteca', { analysis, warnings: [] });
+  await library.recordLookup(analysis);
+  const user = userEvent.setup();
+
+  await exportBackup(user);
+
+  expect(await screen.findByText(/Exported 1 analyses, 0 cards, 1 library entries/)).toBeInTheDocument();
+  const backup = JSON.parse(downloadFile.mock.calls[0][1]);
+  expect(backup.library.map(entry => entry.word)).toEqual(['biblioteca']);
+});
+
+test('writes no backup when the library cannot be read', async () => {
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(library, 'getLibrary').mockRejectedValue(new Error('storage is gone'));
+  const user = userEvent.setup();
+
+  await exportBackup(user);
+
+  expect(await screen.findByText(/no backup was written/)).toBeInTheDocument();
+  expect(downloadFile).not.toHaveBeenCalled();
+  expect(consoleError).toHaveBeenCalledWith('Failed to read data for backup:', expect.any(Error));
+});
+
+test('writes no backup when the saved analyses cannot be read', async () => {
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(analysisCache, 'getAllCachedAnalyses').mockRejectedValue(new Error('storage is gone'));
+  const user = userEvent.setup();
+
+  await exportBackup(user);
+
+  expect(await screen.findByText(/no backup was written/)).toBeInTheDocument();
+  expect(downloadFile).not.toHaveBeenCalled();
+  expect(consoleError).toHaveBeenCalledWith('Failed to read data for backup:', expect.any(Error));
+});
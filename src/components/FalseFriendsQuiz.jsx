@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { X, Check, AlertTriangle, RefreshCw } from 'lucide-react';
+import { useCachedAnalyses } from '../storage/useCachedAnalyses';
+import { buildFalseFriendQuestions } from '../quiz/falseFriends';
+import { useTranslation, BoldMessage } from '../i18n';
+
+const ANSWERS = ['true', 'partial', 'false'];
+
+const QUIZ_LENGTH = 10;
+
+// Asks whether each Spanish word means its English look-alike, using the
+// cognates recorded in saved analyses.
+const FalseFriendsQuiz = ({ language, onClose }) => {
+  const t = useTranslation();
+  const [round, setRound] = useState(0);
+  // Each new round reads the saved analyses again and draws fresh questions
+  const records = useCachedAnalyses(language, round);
+  const [questions, setQuestions] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [answer, setAnswer] = useState(null);
+  const [correctCount, setCorrectCount] = useState(0);
+
+  useEffect(() => {
+    if (!records) return;
+    setQuestions(buildFalseFriendQuestions(records, { count: QUIZ_LENGTH }));
+    setIndex(0);
+    setAnswer(null);
+    setCorrectCount(0);
+  }, [records]);
+
+  const question = questions && questions[index];
+
+  const choose = (reliability) => {
+    if (answer) return;
+    setAnswer(reliability);
+    if (reliability === question.reliability) setCorrectCount(count => count + 1);
+  };
+
+  const next = () => {
+    setIndex(i => i + 1);
+    setAnswer(null);
+  };
+
+  return (
+    <div className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-2xl shadow-lg border border-amber-200/50 p-6 animate-fade-in">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-amber-800 flex items-center gap-2" style={{fontFamily: 'Georgia, serif'}}>
+          <AlertTriangle className="w-5 h-5" />
+          {t('falseFriends.title')}
+        </h3>
+        <div className="flex items-center gap-3">
+          {questions && questions.length > 0 && (
+            <span className="text-sm text-amber-700">
+              {Math.min(index + 1, questions.length)} / {questions.length} • {t('quiz.correctCount', { count: correctCount })}
+            </span>
+          )}
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-amber-100 rounded-full transition-colors text-amber-700"
+            title={t('quiz.close')}
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {questions && !questions.length && (
+        <p className="text-amber-800">{t('falseFriends.empty')}</p>
+      )}
+
+      {question && (
+        <div className="space-y-4">
+          <p className="text-2xl text-center text-amber-900 py-4" style={{fontFamily: 'Georgia, serif'}}>
+            <BoldMessage message={t('falseFriends.question')} values={{ spanish: question.spanish, other: question.english }} />
+          </p>
+          <div className="grid sm:grid-cols-3 gap-3">
+            {ANSWERS.map(option => {
+              const isCorrect = option === question.reliability;
+              const style = !answer
+                ? 'bg-white/90 hover:bg-amber-100 border-amber-200 text-amber-900'
+                : isCorrect
+                  ? 'bg-green-100 border-green-300 text-green-800'
+                  : option === answer
+                    ? 'bg-red-100 border-red-300 text-red-800'
+                    : 'bg-white/60 border-amber-100 text-gray-500';
+              return (
+                <button
+                  key={option}
+                  onClick={() => choose(option)}
+                  className={`py-3 px-4 rounded-xl border-2 font-semibold transition-colors ${style}`}
+                >
+                  {t(`falseFriends.answers.${option}`)}
+                </button>
+              );
+            })}
+          </div>
+
+          {answer && (
+            <div className="animate-fade-in space-y-3">
+              <div className={`p-4 rounded-lg border-l-4 ${answer === question.reliability ? 'bg-green-50 border-green-500' : 'bg-red-50 border-red-500'}`}>
+                <p className="font-semibold text-gray-800 flex items-center gap-2">
+                  {answer === question.reliability ? <Check className="w-4 h-4 text-green-700" /> : <X className="w-4 h-4 text-red-700" />}
+                  {t(`reliability.${question.reliability}`)}: {t('quiz.explain.means', { word: question.spanish, meaning: question.meaning })}
+                </p>
+                <p className="text-gray-700 mt-1">{question.explanation}</p>
+              </div>
+              <button
+                onClick={next}
+                className="w-full bg-gradient-to-r from-amber-600 to-amber-700 hover:from-amber-700 hover:to-amber-800 text-white font-semibold py-3 px-6 rounded-xl transition-all shadow"
+              >
+                {index + 1 < questions.length ? t('quiz.next') : t('quiz.results')}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {questions && questions.length > 0 && !question && (
+        <div className="text-center space-y-4 py-4">
+          <p className="text-2xl font-semibold text-amber-900" style={{fontFamily: 'Georgia, serif'}}>
+            {t('quiz.score', { correct: correctCount, total: questions.length })}
+          </p>
+          <button
+            onClick={() => setRound(r => r + 1)}
+            className="inline-flex items-center gap-2 px-5 py-3 bg-white/90 hover:bg-amber-50 text-amber-800 font-semibold rounded-xl border-2 border-amber-200 transition-colors"
+          >
+            <RefreshCw className="w-4 h-4" />
+            {t('quiz.newRound')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FalseFriendsQuiz;
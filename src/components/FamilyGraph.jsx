@@ -0,0 +1,124 @@
+import React from 'react';
+import { useCachedAnalyses } from '../storage/useCachedAnalyses';
+import { buildFamilyGraph, layoutFamilyGraph } from '../family/graph';
+import { useTranslation } from '../i18n';
+
+const RELATIONSHIPS = {
+  inherited: { color: '#b45309', dash: '' },
+  learned: { color: '#7c3aed', dash: '6 4' },
+  cognate: { color: '#15803d', dash: '2 4' }
+};
+
+// Root in the middle, Spanish descendants on the left, cognates on
+// the right. Saved analyses of the same root add their members too. Every
+// Spanish word other than the current one can be clicked, or focused and
+// entered, to open (or analyze) it.
+const FamilyGraph = ({ family, word, language, onSelectWord }) => {
+  const t = useTranslation();
+  const records = useCachedAnalyses(language, family) || [];
+
+  const graph = buildFamilyGraph(family, word, records);
+  const { width, height, positions } = layoutFamilyGraph(graph);
+  const root = positions.root;
+
+  return (
+    <div className="animate-fade-in">
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        className="w-full h-auto bg-white/70 rounded-xl border border-green-200"
+        role="group"
+        aria-label={t('family.descended', { language: graph.root.language, word: graph.root.word })}
+      >
+        {graph.edges.map(edge => {
+          const to = positions[edge.to];
+          const style = RELATIONSHIPS[edge.relationship];
+          return (
+            <line
+              key={edge.to}
+              x1={root.x}
+              y1={root.y}
+              x2={to.x}
+              y2={to.y}
+              stroke={style.color}
+              strokeWidth="2"
+              strokeDasharray={style.dash}
+              opacity="0.6"
+            />
+          );
+        })}
+
+        {graph.nodes.map(node => {
+          const { x, y } = positions[node.id];
+          const clickable = node.side === 'spanish' && !node.current;
+          const color = RELATIONSHIPS[node.relationship].color;
+          const nodeWidth = Math.max(64, node.word.length * 9 + 24);
+          return (
+            <g
+              key={node.id}
+              transform={`translate(${x}, ${y})`}
+              role={clickable ? 'button' : undefined}
+              tabIndex={clickable ? 0 : undefined}
+              aria-label={clickable ? t(node.analyzed ? 'family.openWord' : 'family.analyzeWord', { word: node.word }) : undefined}
+              onClick={clickable ? () => onSelectWord(node.word) : undefined}
+              onKeyDown={clickable ? (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                onSelectWord(node.word);
+              } : undefined}
+              className={clickable ? 'cursor-pointer' : ''}
+            >
+              <title>
+                {`${node.word} (${node.language}) — ${t(`family.relationships.${node.relationship}`)}`}
+                {clickable && `\n${node.analyzed ? t('family.clickToOpen') : t('family.clickToAnalyze')}`}
+              </title>
+              <rect
+                x={-nodeWidth / 2}
+                y="-15"
+                width={nodeWidth}
+                height="30"
+                rx="15"
+                fill={node.current ? color : 'white'}
+                stroke={color}
+                strokeWidth={node.analyzed || node.current ? 2.5 : 1.5}
+              />
+              <text
+                textAnchor="middle"
+                dy="5"
+                fontSize="14"
+                fontFamily="Georgia, serif"
+                fontWeight={node.current ? 'bold' : 'normal'}
+                fill={node.current ? 'white' : color}
+              >
+                {node.word}
+              </text>
+            </g>
+          );
+        })}
+
+        <g transform={`translate(${root.x}, ${root.y})`}>
+          <ellipse rx="70" ry="32" fill="#fef3c7" stroke="#d97706" strokeWidth="2" />
+          <text textAnchor="middle" dy="-4" fontSize="15" fontWeight="bold" fontFamily="Georgia, serif" fill="#78350f">
+            {graph.root.word}
+          </text>
+          <text textAnchor="middle" dy="14" fontSize="11" fill="#92400e">
+            {graph.root.language}{graph.root.meaning ? ` · “${graph.root.meaning}”` : ''}
+          </text>
+        </g>
+      </svg>
+
+      <div className="flex flex-wrap gap-x-6 gap-y-2 mt-3 text-sm text-gray-700">
+        {Object.entries(RELATIONSHIPS).map(([id, { color, dash }]) => (
+          <span key={id} className="flex items-center gap-2">
+            <svg width="28" height="8">
+              <line x1="0" y1="4" x2="28" y2="4" stroke={color} strokeWidth="2" strokeDasharray={dash} />
+            </svg>
+            {t(`family.relationships.${id}`)}
+          </span>
+        ))}
+        <span className="text-gray-500">{t('family.boldOutline')}</span>
+      </div>
+    </div>
+  );
+};
+
+export default FamilyGraph;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FamilyGraph from './FamilyGraph';
+import { loadFixture } from '../testing/mockProvider';
+
+const { rootFamily } = loadFixture('ventana').reply;
+
+test('opens a Spanish relative from the keyboard', async () => {
+  const onSelectWord = jest.fn();
+  const user = userEvent.setup();
+  render(<FamilyGraph family={rootFamily} word="ventana" language="en" onSelectWord={onSelectWord} />);
+
+  const viento = await screen.findByRole('button', { name: 'Analyze viento' });
+  await user.tab();
+  expect(viento).toHaveFocus();
+  await user.keyboard('{Enter}');
+  await user.keyboard(' ');
+
+  expect(onSelectWord.mock.calls).toEqual([['viento'], ['viento']]);
+});
+
+test('leaves the current word and English cognates unclickable', async () => {
+  render(<FamilyGraph family={rootFamily} word="ventana" language="en" onSelectWord={jest.fn()} />);
+
+  expect(await screen.findAllByRole('button')).toHaveLength(1);
+  expect(screen.queryByRole('button', { name: /ventilate/ })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /ventana/ })).not.toBeInTheDocument();
+});
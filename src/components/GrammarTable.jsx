@@ -0,0 +1,85 @@
+import React from 'react';
+import { useTranslation } from '../i18n';
+
+const PERSONS = ['yo', 'tú', 'él/ella/usted', 'nosotros', 'vosotros', 'ellos/ellas/ustedes'];
+
+// Tense names the prompt asks for, with their message keys
+const TENSE_KEYS = {
+  present: 'present',
+  preterite: 'preterite',
+  imperfect: 'imperfect',
+  future: 'future',
+  conditional: 'conditional',
+  'present subjunctive': 'presentSubjunctive'
+};
+
+const Form = ({ form }) => {
+  const t = useTranslation();
+  return (
+    <span className={form.irregular ? 'font-bold text-red-700' : 'text-gray-800'} title={form.irregular ? t('grammar.irregular') : undefined}>
+      {form.form}{form.irregular && '*'}
+    </span>
+  );
+};
+
+const Detail = ({ label, value }) => (
+  <div className="bg-white/80 px-4 py-3 rounded-lg border border-cyan-200">
+    <div className="text-xs font-semibold uppercase tracking-wide text-cyan-700">{label}</div>
+    <div className="text-lg text-gray-800" style={{fontFamily: 'Georgia, serif'}}>{value}</div>
+  </div>
+);
+
+// Conjugation table for verbs (irregular forms in red with an asterisk),
+// gender and plural for nouns, the four forms of adjectives.
+const GrammarTable = ({ grammar }) => {
+  const t = useTranslation();
+  const conjugation = grammar.conjugation || [];
+  const hasIrregular = conjugation.some(tense => tense.forms.some(form => form && form.irregular));
+
+  return (
+    <div className="space-y-4 animate-fade-in">
+      <div className="flex flex-wrap gap-3">
+        <Detail label={t('grammar.partOfSpeech')} value={t(`grammar.partsOfSpeech.${grammar.partOfSpeech}`)} />
+        {grammar.gender && <Detail label={t('grammar.gender')} value={t(`grammar.genders.${grammar.gender}`)} />}
+        {grammar.feminine && <Detail label={t('grammar.feminine')} value={grammar.feminine} />}
+        {grammar.plural && <Detail label={grammar.feminine ? t('grammar.masculinePlural') : t('grammar.plural')} value={grammar.plural} />}
+        {grammar.femininePlural && <Detail label={t('grammar.femininePlural')} value={grammar.femininePlural} />}
+        {grammar.gerund && <Detail label={t('grammar.gerund')} value={grammar.gerund} />}
+        {grammar.pastParticiple && <Detail label={t('grammar.pastParticiple')} value={grammar.pastParticiple} />}
+      </div>
+
+      {conjugation.length > 0 && (
+        <div className="overflow-x-auto rounded-lg border border-cyan-200 bg-white/80">
+          <table className="w-full text-sm" style={{fontFamily: 'Georgia, serif'}}>
+            <thead className="bg-cyan-100/80 text-cyan-900">
+              <tr>
+                <th className="text-left px-3 py-2"></th>
+                {conjugation.map(tense => {
+                  const key = TENSE_KEYS[tense.tense.toLowerCase()];
+                  return <th key={tense.tense} className="text-left px-3 py-2">{key ? t(`grammar.tenses.${key}`) : tense.tense}</th>;
+                })}
+              </tr>
+            </thead>
+            <tbody>
+              {PERSONS.map((person, index) => (
+                <tr key={person} className="border-t border-cyan-100">
+                  <td className="px-3 py-2 text-cyan-700 italic">{person}</td>
+                  {conjugation.map(tense => (
+                    <td key={tense.tense} className="px-3 py-2">
+                      {tense.forms[index] && <Form form={tense.forms[index]} />}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {hasIrregular && (
+        <p className="text-sm text-gray-600"><span className="font-bold text-red-700">*</span> {t('grammar.irregularForm')}</p>
+      )}
+    </div>
+  );
+};
+
+export default GrammarTable;
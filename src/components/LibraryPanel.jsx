@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { X, Star, Library, Clock, StickyNote } from 'lucide-react';
+import { filterLibrary, collectTags, lookupHistory, lastLookup, SORT_ORDERS } from '../library/search';
+import { useTranslation } from '../i18n';
+
+const inputClass = 'px-3 py-2 border-2 border-amber-300/50 rounded-lg focus:border-amber-500 focus:outline-none bg-white/90 text-amber-900';
+
+const HISTORY_PAGE = 50;
+
+// The learner's notebook: every word looked up, searchable and filterable by
+// favorite and tag, plus the full lookup history.
+const LibraryPanel = ({ library, onOpen, onUpdate, onClose }) => {
+  const t = useTranslation();
+  const [tab, setTab] = useState('words');
+  const [query, setQuery] = useState('');
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [tag, setTag] = useState('');
+  const [order, setOrder] = useState('recent');
+  const [historyLimit, setHistoryLimit] = useState(HISTORY_PAGE);
+
+  const tags = collectTags(library);
+  const entries = filterLibrary(library, { query, favoritesOnly, tag, order });
+  const history = lookupHistory(library);
+
+  return (
+    <div className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-2xl shadow-lg border border-amber-200/50 p-6 animate-fade-in">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-amber-800 flex items-center gap-2" style={{fontFamily: 'Georgia, serif'}}>
+          <Library className="w-5 h-5" />
+          {t('library.title')}
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-amber-100 rounded-full transition-colors text-amber-700"
+          title={t('library.close')}
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        {[['words', t('library.words', { count: library.length })], ['history', t('library.history', { count: history.length })]].map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setTab(id)}
+            className={`px-4 py-1 rounded-full text-sm font-medium border-2 transition-colors ${
+              tab === id ? 'bg-amber-600 border-amber-600 text-white' : 'bg-white/80 border-amber-200 text-amber-800 hover:bg-amber-100'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {!library.length && (
+        <p className="text-amber-800">{t('library.empty')}</p>
+      )}
+
+      {tab === 'words' && library.length > 0 && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-3">
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t('library.search')}
+              className={`flex-1 min-w-[12rem] ${inputClass}`}
+            />
+            <select value={tag} onChange={(e) => setTag(e.target.value)} className={inputClass}>
+              <option value="">{t('library.allTags')}</option>
+              {tags.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <select value={order} onChange={(e) => setOrder(e.target.value)} className={inputClass}>
+              {Object.keys(SORT_ORDERS).map(id => <option key={id} value={id}>{t(`library.sort.${id}`)}</option>)}
+            </select>
+            <button
+              onClick={() => setFavoritesOnly(!favoritesOnly)}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg border-2 transition-colors ${
+                favoritesOnly ? 'bg-yellow-100 border-yellow-300 text-yellow-800' : 'bg-white/90 border-amber-300/50 text-amber-800 hover:bg-amber-50'
+              }`}
+              title={t('library.favoritesOnly')}
+            >
+              <Star className={`w-4 h-4 ${favoritesOnly ? 'fill-yellow-400' : ''}`} />
+              {t('library.favorites')}
+            </button>
+          </div>
+
+          <div className="max-h-[28rem] overflow-y-auto rounded-lg border border-amber-200 bg-white/80 divide-y divide-amber-100">
+            {entries.map(entry => (
+              <div key={entry.word} className="flex items-start gap-3 px-4 py-3 hover:bg-amber-50">
+                <button
+                  onClick={() => onUpdate(entry, { favorite: !entry.favorite })}
+                  className="mt-1 text-yellow-500 hover:text-yellow-600"
+                  title={entry.favorite ? t('library.removeFavorite') : t('library.addFavorite')}
+                >
+                  <Star className={`w-5 h-5 ${entry.favorite ? 'fill-yellow-400' : ''}`} />
+                </button>
+                <button onClick={() => onOpen(entry.displayWord)} className="flex-1 text-left">
+                  <div className="flex flex-wrap items-baseline gap-x-3">
+                    <span className="text-lg font-semibold text-amber-900" style={{fontFamily: 'Georgia, serif'}}>{entry.displayWord}</span>
+                    <span className="text-gray-700">{entry.englishMeaning}</span>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-gray-500">
+                    <span>
+                      {t('library.lastLookup', { date: new Date(lastLookup(entry)).toLocaleString(t.language) })}
+                      {entry.lookups.length > 1 && ` • ${t('library.times', { count: entry.lookups.length })}`}
+                    </span>
+                    {entry.notes && <StickyNote className="w-3 h-3 text-amber-600" />}
+                    {entry.tags.map(name => (
+                      <span key={name} className="px-2 py-0.5 bg-amber-100 text-amber-800 rounded-full">{name}</span>
+                    ))}
+                  </div>
+                </button>
+              </div>
+            ))}
+            {!entries.length && (
+              <p className="px-4 py-6 text-center text-amber-700">{t('library.noMatch')}</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {tab === 'history' && history.length > 0 && (
+        <div className="max-h-[28rem] overflow-y-auto rounded-lg border border-amber-200 bg-white/80 divide-y divide-amber-100">
+          {history.slice(0, historyLimit).map((lookup, index) => (
+            <button
+              key={index}
+              onClick={() => onOpen(lookup.displayWord)}
+              className="w-full flex items-center justify-between gap-3 px-4 py-2 text-left hover:bg-amber-50"
+            >
+              <span className="font-medium text-amber-900" style={{fontFamily: 'Georgia, serif'}}>{lookup.displayWord}</span>
+              <span className="flex items-center gap-1 text-sm text-gray-500">
+                <Clock className="w-3 h-3" />
+                {new Date(lookup.at).toLocaleString(t.language)}
+              </span>
+            </button>
+          ))}
+          {history.length > historyLimit && (
+            <button
+              onClick={() => setHistoryLimit(limit => limit + HISTORY_PAGE)}
+              className="w-full px-4 py-2 text-sm text-amber-700 hover:bg-amber-50"
+            >
+              {t('library.showMore')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LibraryPanel;
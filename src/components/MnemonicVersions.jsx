@@ -0,0 +1,130 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ThumbsUp, ThumbsDown, RefreshCw, Loader2, Check } from 'lucide-react';
+import { MNEMONIC_STYLES } from '../analysis/prompt';
+import { requestMnemonic, describeAnalysisError } from '../analysis/analyze';
+import { AnalysisParseError } from '../analysis/schema';
+import { listMnemonicVersions, addMnemonicVersion, rateMnemonicVersion } from '../library/mnemonics';
+import { useTranslation } from '../i18n';
+
+// Every mnemonic for the word, each with thumbs up/down and a button to keep
+// it as the learner's own, plus a control to ask for a new one in a chosen
+// style. Ratings are saved on the library entry.
+const MnemonicVersions = ({ analysis, entry, settings, preferredStyles, onUpdate }) => {
+  const t = useTranslation();
+  const [style, setStyle] = useState(preferredStyles[0] || 'keyword');
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Generating takes a few seconds; the entry may have been rated or updated
+  // in the meantime.
+  const latestRef = useRef({ entry, onUpdate });
+  latestRef.current = { entry, onUpdate };
+
+  useEffect(() => {
+    setError(null);
+    return () => {
+      if (controllerRef.current) controllerRef.current.abort();
+    };
+  }, [entry.word]);
+
+  const versions = listMnemonicVersions(entry, analysis);
+
+  const generate = async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setGenerating(true);
+    setError(null);
+    try {
+      const text = await requestMnemonic(analysis.word, style, settings, {
+        avoid: versions.map(version => version.text),
+        signal: controller.signal
+      });
+      const latest = latestRef.current;
+      if (latest.entry.word === entry.word) {
+        latest.onUpdate({ mnemonicVersions: addMnemonicVersion(latest.entry, text, style) });
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Error generating mnemonic:', err);
+      setError(err instanceof AnalysisParseError
+        ? t('mnemonic.unreadable')
+        : describeAnalysisError(err, settings, t));
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setGenerating(false);
+      }
+    }
+  };
+
+  return (
+    <div className="space-y-4 animate-fade-in">
+      {versions.map((version, index) => {
+        const isMine = entry.mnemonic === version.text;
+        return (
+          <div key={index} className="bg-white/80 p-6 rounded-lg border-l-4 border-blue-500 shadow-inner">
+            <p className="text-gray-700 leading-relaxed text-lg italic" style={{fontFamily: 'Georgia, serif'}}>
+              {version.text}
+            </p>
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-3">
+              <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">
+                {t(`mnemonic.styles.${version.style || 'original'}`)}
+              </span>
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => onUpdate({ mnemonic: isMine ? '' : version.text })}
+                  className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm transition-colors ${
+                    isMine ? 'bg-amber-100 text-amber-800' : 'text-blue-700 hover:bg-blue-100'
+                  }`}
+                  title={isMine ? t('mnemonic.stopUsingTitle') : t('mnemonic.useTitle')}
+                >
+                  {isMine && <Check className="w-4 h-4" />}
+                  {isMine ? t('mnemonic.yours') : t('mnemonic.use')}
+                </button>
+                <button
+                  onClick={() => onUpdate({ mnemonicVersions: rateMnemonicVersion(entry, version, 'up') })}
+                  className={`p-2 rounded-full transition-colors ${version.rating === 'up' ? 'bg-green-100 text-green-700' : 'text-gray-500 hover:bg-blue-100'}`}
+                  title={t('mnemonic.rateUp')}
+                >
+                  <ThumbsUp className={`w-4 h-4 ${version.rating === 'up' ? 'fill-green-200' : ''}`} />
+                </button>
+                <button
+                  onClick={() => onUpdate({ mnemonicVersions: rateMnemonicVersion(entry, version, 'down') })}
+                  className={`p-2 rounded-full transition-colors ${version.rating === 'down' ? 'bg-red-100 text-red-700' : 'text-gray-500 hover:bg-blue-100'}`}
+                  title={t('mnemonic.rateDown')}
+                >
+                  <ThumbsDown className={`w-4 h-4 ${version.rating === 'down' ? 'fill-red-200' : ''}`} />
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={style}
+          onChange={(e) => setStyle(e.target.value)}
+          disabled={generating}
+          className="px-3 py-2 border-2 border-blue-200 rounded-lg focus:border-blue-500 focus:outline-none bg-white/90 text-blue-900"
+        >
+          {Object.keys(MNEMONIC_STYLES).map(id => (
+            <option key={id} value={id}>{t(`mnemonic.styles.${id}`)}{preferredStyles.includes(id) ? ' 👍' : ''}</option>
+          ))}
+        </select>
+        <button
+          onClick={generate}
+          disabled={generating}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white font-semibold rounded-lg transition-colors"
+        >
+          {generating ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+          {generating ? t('mnemonic.writing') : t('mnemonic.new')}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default MnemonicVersions;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { useCachedAnalyses } from '../storage/useCachedAnalyses';
+import { normalizeWord } from '../analysis/words';
+import { useTranslation } from '../i18n';
+
+const TYPE_STYLES = {
+  prefix: { className: 'bg-sky-50 border-sky-300 text-sky-900', badge: 'bg-sky-100 text-sky-800' },
+  root: { className: 'bg-amber-50 border-amber-300 text-amber-900', badge: 'bg-amber-100 text-amber-800' },
+  suffix: { className: 'bg-rose-50 border-rose-300 text-rose-900', badge: 'bg-rose-100 text-rose-800' },
+  compound: { className: 'bg-lime-50 border-lime-300 text-lime-900', badge: 'bg-lime-100 text-lime-800' }
+};
+
+const isAffix = (part) => part.type === 'prefix' || part.type === 'suffix';
+
+// Affixes are written with their hyphens ("-teca", "re-"); looking one up
+// needs the bare form
+const bareText = (part) => part.text.trim().replace(/^-+|-+$/g, '');
+
+const affixKey = (part) => `${part.type}:${normalizeWord(bareText(part))}`;
+
+// The word split into prefix, root, suffix and compound parts. Clicking a part
+// analyzes it; each affix lists other words built with it, from the model and
+// from saved analyses that use the same affix.
+const MorphemeBreakdown = ({ word, morphemes, language, onSelectWord }) => {
+  const t = useTranslation();
+  const records = useCachedAnalyses(language, morphemes) || [];
+
+  const current = normalizeWord(word);
+  const savedWords = new Set(records.map(record => record.word));
+
+  const wordsWithAffix = (part) => {
+    const key = affixKey(part);
+    const fromLibrary = records
+      .filter(record => record.word !== current && (record.analysis.morphemes || []).some(other => affixKey(other) === key))
+      .map(record => record.analysis.word);
+    const seen = new Set();
+    return [...fromLibrary, ...(part.relatedWords || [])].filter(related => {
+      const normalized = normalizeWord(related);
+      if (normalized === current || seen.has(normalized)) return false;
+      seen.add(normalized);
+      return true;
+    });
+  };
+
+  const affixes = morphemes.filter(isAffix);
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex flex-wrap items-stretch gap-2">
+        {morphemes.map((part, index) => {
+          const style = TYPE_STYLES[part.type];
+          return (
+            <React.Fragment key={index}>
+              {index > 0 && <span className="self-center text-2xl text-gray-400">+</span>}
+              <button
+                onClick={() => onSelectWord(bareText(part))}
+                className={`text-left p-4 rounded-lg border-2 shadow-sm hover:shadow-md transition-all ${style.className}`}
+                title={t('morphemes.analyze', { word: bareText(part) })}
+              >
+                <div className="flex items-center gap-2 mb-1">
+                  <span className="text-2xl font-bold" style={{fontFamily: 'Georgia, serif'}}>{part.text}</span>
+                  <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${style.badge}`}>{t(`morphemes.types.${part.type}`)}</span>
+                </div>
+                <div className="text-gray-700">“{part.meaning}”</div>
+                <div className="text-sm text-gray-500 italic">{part.origin}</div>
+              </button>
+            </React.Fragment>
+          );
+        })}
+      </div>
+
+      {affixes.map((part, index) => {
+        const related = wordsWithAffix(part);
+        if (!related.length) return null;
+        return (
+          <div key={index}>
+            <h4 className="font-semibold text-gray-700 mb-2">
+              {t('morphemes.otherWords')} <span className="italic" style={{fontFamily: 'Georgia, serif'}}>{part.text}</span>
+            </h4>
+            <div className="flex flex-wrap gap-2">
+              {related.map(relatedWord => (
+                <button
+                  key={relatedWord}
+                  onClick={() => onSelectWord(relatedWord)}
+                  className={`px-4 py-1 rounded-full border-2 transition-colors ${TYPE_STYLES[part.type].className} ${
+                    savedWords.has(normalizeWord(relatedWord)) ? 'font-bold' : ''
+                  }`}
+                  style={{fontFamily: 'Georgia, serif'}}
+                  title={savedWords.has(normalizeWord(relatedWord)) ? t('morphemes.openSaved') : t('morphemes.analyze', { word: relatedWord })}
+                >
+                  {relatedWord}
+                </button>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MorphemeBreakdown;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { Tag, X } from 'lucide-react';
+import { normalizeTag } from '../library/search';
+import { useTranslation } from '../i18n';
+
+const textareaClass = 'w-full px-4 py-3 border-2 border-amber-300/50 rounded-lg focus:border-amber-500 focus:outline-none bg-white/90 text-gray-800';
+
+// The learner's own tags, notes and mnemonic for the word on screen. Text is
+// saved when the field loses focus.
+const NotebookSection = ({ entry, knownTags, onUpdate }) => {
+  const t = useTranslation();
+  const [notes, setNotes] = useState(entry.notes);
+  const [mnemonic, setMnemonic] = useState(entry.mnemonic);
+  const [newTag, setNewTag] = useState('');
+
+  useEffect(() => {
+    setNotes(entry.notes);
+    setMnemonic(entry.mnemonic);
+  }, [entry.word, entry.notes, entry.mnemonic]);
+
+  const addTag = () => {
+    const tag = normalizeTag(newTag);
+    setNewTag('');
+    if (tag && !entry.tags.includes(tag)) onUpdate({ tags: [...entry.tags, tag] });
+  };
+
+  const saveText = (field, value) => {
+    if (value !== entry[field]) onUpdate({ [field]: value });
+  };
+
+  return (
+    <div className="space-y-5">
+      <div>
+        <span className="block text-sm font-medium text-amber-700 mb-2">{t('notebook.tags')}</span>
+        <div className="flex flex-wrap items-center gap-2">
+          {entry.tags.map(tag => (
+            <span key={tag} className="flex items-center gap-1 pl-3 pr-1 py-1 bg-amber-100 text-amber-800 rounded-full text-sm">
+              {tag}
+              <button
+                onClick={() => onUpdate({ tags: entry.tags.filter(other => other !== tag) })}
+                className="p-0.5 hover:bg-amber-200 rounded-full"
+                title={t('notebook.removeTag', { tag })}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+          <div className="flex items-center gap-1">
+            <Tag className="w-4 h-4 text-amber-600" />
+            <input
+              type="text"
+              value={newTag}
+              onChange={(e) => setNewTag(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addTag()}
+              onBlur={addTag}
+              list="etymo-tags"
+              placeholder={t('notebook.addTag')}
+              className="px-2 py-1 border-b-2 border-amber-200 focus:border-amber-500 focus:outline-none bg-transparent text-sm text-amber-900"
+            />
+            <datalist id="etymo-tags">
+              {knownTags.filter(tag => !entry.tags.includes(tag)).map(tag => <option key={tag} value={tag} />)}
+            </datalist>
+          </div>
+        </div>
+      </div>
+
+      <label className="block">
+        <span className="block text-sm font-medium text-amber-700 mb-2">{t('notebook.mnemonic')}</span>
+        <textarea
+          value={mnemonic}
+          onChange={(e) => setMnemonic(e.target.value)}
+          onBlur={() => saveText('mnemonic', mnemonic.trim())}
+          rows={2}
+          placeholder={t('notebook.mnemonicPlaceholder')}
+          className={textareaClass}
+          style={{fontFamily: 'Georgia, serif'}}
+        />
+      </label>
+
+      <label className="block">
+        <span className="block text-sm font-medium text-amber-700 mb-2">{t('notebook.notes')}</span>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          onBlur={() => saveText('notes', notes.trim())}
+          rows={4}
+          placeholder={t('notebook.notesPlaceholder')}
+          className={textareaClass}
+        />
+      </label>
+    </div>
+  );
+};
+
+export default NotebookSection;
@@ -0,0 +1,313 @@
+import React, { useState, useEffect } from 'react';
+import { X, Check, Puzzle, RefreshCw, Settings } from 'lucide-react';
+import { useCachedAnalyses } from '../storage/useCachedAnalyses';
+import { getQuizResults, recordQuizAnswer } from '../storage/quizResults';
+import { QUIZ_MODES, QUIZ_SOURCES, buildQuiz, selectQuizRecords, checkAnswer } from '../quiz/exercises';
+import { summarizeResults, WEAK_ACCURACY } from '../quiz/accuracy';
+import { collectTags } from '../library/search';
+import { useTranslation, BoldMessage } from '../i18n';
+
+const inputClass = 'px-3 py-2 border-2 border-amber-300/50 rounded-lg focus:border-amber-500 focus:outline-none bg-white/90 text-amber-900';
+
+const QUESTION_COUNTS = [5, 10, 20];
+
+// The last answers for a word as green and red dots, oldest first
+const AnswerDots = ({ answers }) => (
+  <span className="flex gap-1">
+    {answers.map((answer, index) => (
+      <span key={index} className={`w-2 h-2 rounded-full ${answer.correct ? 'bg-green-500' : 'bg-red-400'}`} />
+    ))}
+  </span>
+);
+
+const AccuracyList = ({ summaries, onSelectWord }) => {
+  const t = useTranslation();
+  return (
+    <div className="max-h-72 overflow-y-auto rounded-lg border border-amber-200 bg-white/80 divide-y divide-amber-100">
+      {summaries.map(summary => (
+        <button
+          key={summary.word}
+          onClick={() => onSelectWord(summary.displayWord)}
+          className="w-full flex items-center justify-between gap-3 px-4 py-2 text-left hover:bg-amber-50"
+          title={t('quiz.analyzeWord', { word: summary.displayWord })}
+        >
+          <span className="font-medium text-amber-900" style={{fontFamily: 'Georgia, serif'}}>{summary.displayWord}</span>
+          <span className="flex items-center gap-3 text-sm text-gray-600">
+            <AnswerDots answers={summary.recentAnswers} />
+            <span className={summary.recent < WEAK_ACCURACY ? 'font-semibold text-red-700' : 'text-green-700'}>
+              {summary.recent}%
+            </span>
+            <span className="text-gray-400 w-24 text-right">{t('quiz.overall', { accuracy: summary.accuracy, total: summary.total })}</span>
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Exercises generated from saved analyses: meaning, cognate, origin
+// language and fill-the-gap. Every answer is stored per word, so the setup
+// screen shows accuracy over time and can quiz just the weakest words.
+const QuizPanel = ({ library, language, onSelectWord, onClose }) => {
+  const t = useTranslation();
+  const records = useCachedAnalyses(language);
+  const [results, setResults] = useState([]);
+  const [modes, setModes] = useState(QUIZ_MODES);
+  const [source, setSource] = useState('all');
+  const [tag, setTag] = useState('');
+  const [count, setCount] = useState(10);
+  const [notice, setNotice] = useState(null);
+  const [questions, setQuestions] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [answer, setAnswer] = useState(null);
+  const [typed, setTyped] = useState('');
+  const [correctCount, setCorrectCount] = useState(0);
+
+  useEffect(() => {
+    getQuizResults()
+      .then(setResults)
+      .catch(err => console.error('Failed to load quiz results:', err));
+  }, []);
+
+  const tags = collectTags(library);
+  const pool = records ? selectQuizRecords(records, { source, tag, library, results }) : [];
+  const summaries = summarizeResults(results);
+  const question = questions && questions[index];
+
+  const toggleMode = (mode) => {
+    setModes(prev => (prev.includes(mode) ? prev.filter(other => other !== mode) : [...prev, mode]));
+  };
+
+  const start = () => {
+    const built = buildQuiz(pool, { modes, count });
+    if (!built.length) {
+      setNotice(t('quiz.notEnough'));
+      return;
+    }
+    setNotice(null);
+    setQuestions(built);
+    setIndex(0);
+    setAnswer(null);
+    setTyped('');
+    setCorrectCount(0);
+  };
+
+  const submit = (given) => {
+    if (answer || !given.trim()) return;
+    const checked = checkAnswer(question, given);
+    setAnswer({ given, ...checked });
+    if (checked.correct) setCorrectCount(c => c + 1);
+    recordQuizAnswer(question, checked.correct)
+      .then(updated => setResults(prev => [...prev.filter(other => other.word !== updated.word), updated]))
+      .catch(err => console.error('Failed to save quiz answer:', err));
+  };
+
+  const next = () => {
+    setIndex(i => i + 1);
+    setAnswer(null);
+    setTyped('');
+  };
+
+  const roundWords = new Set((questions || []).map(item => item.key));
+
+  // Origins are asked as branch ids; everything else is shown as written
+  const choiceLabel = (choice) => (question.mode === 'origin' ? t(`origins.${choice}`) : choice);
+  const explanation = question && (typeof question.explanation === 'string'
+    ? question.explanation
+    : question.explanation && t(question.explanation.key, question.explanation.values).trim());
+
+  return (
+    <div className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-2xl shadow-lg border border-amber-200/50 p-6 animate-fade-in">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-amber-800 flex items-center gap-2" style={{fontFamily: 'Georgia, serif'}}>
+          <Puzzle className="w-5 h-5" />
+          {t('quiz.title')}
+        </h3>
+        <div className="flex items-center gap-3">
+          {question && (
+            <span className="text-sm text-amber-700">
+              {index + 1} / {questions.length} • {t('quiz.correctCount', { count: correctCount })}
+            </span>
+          )}
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-amber-100 rounded-full transition-colors text-amber-700"
+            title={t('quiz.close')}
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {records && !records.length && (
+        <p className="text-amber-800">{t('quiz.empty')}</p>
+      )}
+
+      {records && records.length > 0 && !questions && (
+        <div className="space-y-5">
+          <div>
+            <span className="block text-sm font-medium text-amber-700 mb-2">{t('quiz.questionTypes')}</span>
+            <div className="flex flex-wrap gap-2">
+              {QUIZ_MODES.map(mode => (
+                <button
+                  key={mode}
+                  onClick={() => toggleMode(mode)}
+                  className={`px-4 py-1 rounded-full text-sm font-medium border-2 transition-colors ${
+                    modes.includes(mode) ? 'bg-amber-600 border-amber-600 text-white' : 'bg-white/80 border-amber-200 text-amber-800 hover:bg-amber-100'
+                  }`}
+                >
+                  {t(`quiz.modes.${mode}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-3">
+            <select value={source} onChange={(e) => setSource(e.target.value)} className={inputClass}>
+              {QUIZ_SOURCES.map(id => (
+                <option key={id} value={id} disabled={id === 'tag' && !tags.length}>{t(`quiz.sources.${id}`)}</option>
+              ))}
+            </select>
+            {source === 'tag' && (
+              <select value={tag} onChange={(e) => setTag(e.target.value)} className={inputClass}>
+                <option value="">{t('quiz.chooseTag')}</option>
+                {tags.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            )}
+            <select value={count} onChange={(e) => setCount(Number(e.target.value))} className={inputClass}>
+              {QUESTION_COUNTS.map(n => <option key={n} value={n}>{t('quiz.questions', { count: n })}</option>)}
+            </select>
+          </div>
+
+          <button
+            onClick={start}
+            disabled={!pool.length || !modes.length}
+            className="w-full bg-gradient-to-r from-amber-600 to-amber-700 hover:from-amber-700 hover:to-amber-800 disabled:from-gray-400 disabled:to-gray-500 text-white font-semibold py-3 px-6 rounded-xl transition-all shadow"
+          >
+            {pool.length ? t('quiz.start', { count: pool.length }) : t('quiz.noMatch')}
+          </button>
+          {notice && <p className="text-sm text-amber-800">{notice}</p>}
+
+          {summaries.length > 0 && (
+            <div>
+              <h4 className="font-semibold text-amber-800 mb-2">{t('quiz.accuracy')}</h4>
+              <p className="text-xs text-gray-500 mb-2">{t('quiz.accuracyHint')}</p>
+              <AccuracyList summaries={summaries} onSelectWord={onSelectWord} />
+            </div>
+          )}
+        </div>
+      )}
+
+      {question && (
+        <div className="space-y-4">
+          <span className="inline-block text-xs font-semibold px-2 py-0.5 rounded-full bg-amber-100 text-amber-800">
+            {t(`quiz.modes.${question.mode}`)}
+          </span>
+
+          {question.mode === 'cloze' ? (
+            <div className="text-center py-2 space-y-2">
+              <p className="text-2xl text-amber-900" style={{fontFamily: 'Georgia, serif'}}>
+                {question.before}
+                <span className="inline-block min-w-[5rem] border-b-2 border-amber-500 mx-1">{answer ? question.answer : ' '}</span>
+                {question.after}
+              </p>
+              <p className="text-gray-600 italic">{question.translation}</p>
+              <div className="flex gap-2 max-w-sm mx-auto">
+                <input
+                  type="text"
+                  value={typed}
+                  onChange={(e) => setTyped(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && submit(typed)}
+                  disabled={Boolean(answer)}
+                  placeholder={t('quiz.missingWord')}
+                  autoFocus
+                  className={`flex-1 ${inputClass}`}
+                />
+                <button
+                  onClick={() => submit(typed)}
+                  disabled={Boolean(answer) || !typed.trim()}
+                  className="px-4 py-2 bg-amber-600 hover:bg-amber-700 disabled:opacity-50 text-white font-semibold rounded-lg transition-colors"
+                >
+                  {t('quiz.check')}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <p className="text-2xl text-center text-amber-900 py-2" style={{fontFamily: 'Georgia, serif'}}>
+                <BoldMessage message={t(`quiz.prompts.${question.mode}`)} values={{ word: question.word }} />
+              </p>
+              <div className="grid sm:grid-cols-2 gap-3">
+                {question.choices.map(choice => {
+                  const isCorrect = choice === question.answer;
+                  const style = !answer
+                    ? 'bg-white/90 hover:bg-amber-100 border-amber-200 text-amber-900'
+                    : isCorrect
+                      ? 'bg-green-100 border-green-300 text-green-800'
+                      : choice === answer.given
+                        ? 'bg-red-100 border-red-300 text-red-800'
+                        : 'bg-white/60 border-amber-100 text-gray-500';
+                  return (
+                    <button
+                      key={choice}
+                      onClick={() => submit(choice)}
+                      className={`py-3 px-4 rounded-xl border-2 font-semibold transition-colors ${style}`}
+                    >
+                      {choiceLabel(choice)}
+                    </button>
+                  );
+                })}
+              </div>
+            </>
+          )}
+
+          {answer && (
+            <div className="animate-fade-in space-y-3">
+              <div className={`p-4 rounded-lg border-l-4 ${answer.correct ? 'bg-green-50 border-green-500' : 'bg-red-50 border-red-500'}`}>
+                <p className="font-semibold text-gray-800 flex items-center gap-2">
+                  {answer.correct ? <Check className="w-4 h-4 text-green-700" /> : <X className="w-4 h-4 text-red-700" />}
+                  {answer.correct ? t('quiz.correct') : t('quiz.answerIs', { answer: choiceLabel(question.answer) })}
+                  {answer.correct && !answer.exact && ` ${t('quiz.watchAccents', { answer: question.answer })}`}
+                </p>
+                {explanation && <p className="text-gray-700 mt-1">{explanation}</p>}
+              </div>
+              <button
+                onClick={next}
+                className="w-full bg-gradient-to-r from-amber-600 to-amber-700 hover:from-amber-700 hover:to-amber-800 text-white font-semibold py-3 px-6 rounded-xl transition-all shadow"
+              >
+                {index + 1 < questions.length ? t('quiz.next') : t('quiz.results')}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {questions && !question && (
+        <div className="space-y-4">
+          <p className="text-2xl text-center font-semibold text-amber-900 py-2" style={{fontFamily: 'Georgia, serif'}}>
+            {t('quiz.score', { correct: correctCount, total: questions.length })}
+          </p>
+          <AccuracyList summaries={summaries.filter(summary => roundWords.has(summary.word))} onSelectWord={onSelectWord} />
+          <div className="flex flex-wrap justify-center gap-3">
+            <button
+              onClick={start}
+              className="inline-flex items-center gap-2 px-5 py-3 bg-white/90 hover:bg-amber-50 text-amber-800 font-semibold rounded-xl border-2 border-amber-200 transition-colors"
+            >
+              <RefreshCw className="w-4 h-4" />
+              {t('quiz.newRound')}
+            </button>
+            <button
+              onClick={() => setQuestions(null)}
+              className="inline-flex items-center gap-2 px-5 py-3 bg-white/90 hover:bg-amber-50 text-amber-800 font-semibold rounded-xl border-2 border-amber-200 transition-colors"
+            >
+              <Settings className="w-4 h-4" />
+              {t('quiz.changeSettings')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizPanel;
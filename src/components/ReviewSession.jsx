@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { GraduationCap, X } from 'lucide-react';
+import { GRADES, isDue, formatInterval } from '../review/scheduler';
+import { useTranslation } from '../i18n';
+
+const GRADE_STYLES = {
+  again: 'bg-red-100 hover:bg-red-200 text-red-800 border-red-200',
+  hard: 'bg-orange-100 hover:bg-orange-200 text-orange-800 border-orange-200',
+  good: 'bg-green-100 hover:bg-green-200 text-green-800 border-green-200',
+  easy: 'bg-blue-100 hover:bg-blue-200 text-blue-800 border-blue-200'
+};
+
+// Works through the cards that were due when the session started. Cards
+// answered "Again" go to the back of the queue and come round once more.
+const ReviewSession = ({ deck, onGrade, onClose }) => {
+  const t = useTranslation();
+  const [queue, setQueue] = useState(() =>
+    deck.filter(card => isDue(card)).sort((a, b) => new Date(a.due) - new Date(b.due)).map(card => card.id)
+  );
+  const [showAnswer, setShowAnswer] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  // Set while a grade is being saved, so a repeated key press or double click
+  // doesn't grade the same card twice
+  const gradingRef = useRef(false);
+
+  const card = deck.find(entry => entry.id === queue[0]);
+
+  const grade = async (value) => {
+    if (!card || gradingRef.current) return;
+    gradingRef.current = true;
+    try {
+      await onGrade(card, value);
+      setQueue(prev => (value === 'again' ? [...prev.slice(1), prev[0]] : prev.slice(1)));
+      setReviewedCount(count => count + 1);
+      setShowAnswer(false);
+    } finally {
+      gradingRef.current = false;
+    }
+  };
+
+  // Space reveals the answer, 1-4 grade it
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.key === ' ' && !showAnswer) {
+        e.preventDefault();
+        setShowAnswer(true);
+      } else if (showAnswer && ['1', '2', '3', '4'].includes(e.key)) {
+        grade(GRADES[Number(e.key) - 1]);
+      }
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
+
+  const nextDue = deck
+    .filter(entry => !isDue(entry))
+    .map(entry => new Date(entry.due))
+    .sort((a, b) => a - b)[0];
+
+  return (
+    <div className="bg-white/90 backdrop-blur-sm rounded-2xl shadow-2xl border-2 border-amber-200/60 overflow-hidden animate-fade-in">
+      <div className="bg-gradient-to-r from-amber-600 to-amber-700 text-white px-8 py-5 flex items-center justify-between">
+        <h2 className="text-2xl font-bold flex items-center gap-3" style={{fontFamily: 'Georgia, serif'}}>
+          <GraduationCap className="w-6 h-6" />
+          {t('review.title')}
+        </h2>
+        <div className="flex items-center gap-4 text-sm">
+          <span className="text-amber-100">
+            {t('review.progress', { left: queue.length, reviewed: reviewedCount, total: deck.length })}
+          </span>
+          <button
+            onClick={onClose}
+            className="p-2 bg-white/20 hover:bg-white/30 rounded-full transition-colors"
+            title={t('review.leave')}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {card ? (
+        <div className="p-8 space-y-6">
+          <div className="text-center py-6">
+            <p className="text-5xl font-bold text-amber-900" style={{fontFamily: 'Georgia, serif'}}>
+              {card.word}
+            </p>
+          </div>
+
+          {showAnswer ? (
+            <div className="space-y-4 animate-fade-in">
+              <p className="text-2xl text-center text-amber-800" style={{fontFamily: 'Georgia, serif'}}>
+                {card.englishMeaning}
+              </p>
+              <div className="bg-blue-50 p-5 rounded-lg border-l-4 border-blue-500">
+                <p className="text-gray-700 italic leading-relaxed" style={{fontFamily: 'Georgia, serif'}}>
+                  🧠 {card.mnemonic}
+                </p>
+              </div>
+              <div className="bg-amber-50 p-5 rounded-lg border-l-4 border-amber-500">
+                <p className="text-gray-700 leading-relaxed" style={{fontFamily: 'Georgia, serif'}}>
+                  🧬 {card.etymology}
+                </p>
+              </div>
+              <div className="grid grid-cols-4 gap-3 pt-2">
+                {GRADES.map((value, index) => (
+                  <button
+                    key={value}
+                    onClick={() => grade(value)}
+                    className={`py-3 rounded-xl border-2 font-semibold transition-colors ${GRADE_STYLES[value]}`}
+                    title={t('review.shortcut', { key: index + 1 })}
+                  >
+                    <div>{t(`review.grades.${value}`)}</div>
+                    <div className="text-xs font-normal opacity-75">{formatInterval(card, value)}</div>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => setShowAnswer(true)}
+              className="w-full bg-gradient-to-r from-amber-600 to-amber-700 hover:from-amber-700 hover:to-amber-800 text-white font-semibold py-4 px-6 rounded-xl transition-all duration-300 shadow-lg"
+              title={t('review.shortcut', { key: t('review.space') })}
+            >
+              {t('review.showAnswer')}
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="p-10 text-center text-amber-800 space-y-2">
+          <p className="text-2xl font-semibold" style={{fontFamily: 'Georgia, serif'}}>
+            {deck.length ? `🎉 ${t('review.caughtUp')}` : t('review.emptyDeck')}
+          </p>
+          <p className="text-amber-700">
+            {deck.length
+              ? nextDue && t('review.nextDue', { date: nextDue.toLocaleString(t.language) })
+              : t('review.emptyHint', { button: t('word.addToDeck') })}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewSession;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Mic, Square, Volume2, X } from 'lucide-react';
+import { createWebSpeechRecognizer, RecognitionError } from '../speech/recognition';
+import { scoreAttempt } from '../speech/score';
+import { useTranslation } from '../i18n';
+
+const webSpeechRecognizer = createWebSpeechRecognizer();
+
+// Recognition error codes with a message of their own (sayIt.errors.*)
+const ERROR_KEYS = {
+  'no-speech': 'noSpeech',
+  'audio-capture': 'audioCapture',
+  'not-allowed': 'notAllowed',
+  'service-not-allowed': 'notAllowed',
+  network: 'network',
+  'not-supported': 'notSupported'
+};
+
+const scoreStyle = (score) => {
+  if (score >= 85) return 'text-green-700';
+  if (score >= 60) return 'text-amber-700';
+  return 'text-red-700';
+};
+
+// "Say it" practice: the learner picks the word or a sample sentence, records
+// themselves and gets a score with the missed syllables or words marked.
+// `recognizer` defaults to the browser's; see speech/recognition.js.
+const SayItPanel = ({ analysis, voice, onListen, onClose, recognizer = webSpeechRecognizer }) => {
+  const t = useTranslation();
+  const targets = [analysis.word, ...analysis.sampleSentences.map(sentence => sentence.spanish)];
+  const [targetIndex, setTargetIndex] = useState(0);
+  const [listening, setListening] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const abortControllerRef = useRef(null);
+
+  const stopListening = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  };
+
+  useEffect(() => () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  }, []);
+
+  const target = targets[targetIndex] || analysis.word;
+
+  const selectTarget = (index) => {
+    stopListening();
+    setTargetIndex(index);
+    setResult(null);
+    setError('');
+  };
+
+  const record = async () => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setListening(true);
+    setError('');
+    setResult(null);
+
+    try {
+      const alternatives = await recognizer.listen({ lang: voice ? voice.lang : 'es-ES', signal: controller.signal });
+      if (!controller.signal.aborted) setResult(scoreAttempt(target, alternatives));
+    } catch (err) {
+      if (err instanceof RecognitionError && err.code === 'aborted') return;
+      console.error('Speech recognition failed:', err);
+      const key = err instanceof RecognitionError && ERROR_KEYS[err.code];
+      setError(key ? t(`sayIt.errors.${key}`) : t('sayIt.errors.failed'));
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+        setListening(false);
+      }
+    }
+  };
+
+  return (
+    <section className="border border-teal-200 rounded-xl p-6 bg-gradient-to-br from-teal-50 to-cyan-50 animate-fade-in">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-2xl font-semibold text-teal-800 flex items-center gap-3" style={{fontFamily: 'Georgia, serif'}}>
+          🗣️ {t('word.sayIt')}
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-teal-100 rounded-full transition-colors text-teal-700"
+          title={t('sayIt.close')}
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {!recognizer.isAvailable() ? (
+        <p className="text-teal-800">{t('sayIt.errors.notSupported')}</p>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {targets.map((text, index) => (
+              <button
+                key={index}
+                onClick={() => selectTarget(index)}
+                className={`px-4 py-1 rounded-full text-sm font-medium border-2 transition-colors ${
+                  index === targetIndex ? 'bg-teal-600 border-teal-600 text-white' : 'bg-white/80 border-teal-200 text-teal-800 hover:bg-teal-100'
+                }`}
+              >
+                {index === 0 ? t('sayIt.word') : t('sayIt.sentence', { number: index })}
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-white/80 p-5 rounded-lg border border-teal-200 flex items-center justify-between gap-4">
+            <p className="text-2xl text-gray-800" style={{fontFamily: 'Georgia, serif'}}>
+              {result
+                ? result.segments.map((segment, index) => (
+                  <span
+                    key={index}
+                    className={segment.matched ? 'text-green-700' : 'text-red-600 underline decoration-wavy decoration-red-400'}
+                  >
+                    {segment.text}{targetIndex > 0 ? ' ' : ''}
+                  </span>
+                ))
+                : target}
+            </p>
+            <div className="flex items-center gap-2 shrink-0">
+              <button
+                onClick={() => onListen(target)}
+                disabled={!voice}
+                className="p-3 text-teal-700 hover:bg-teal-100 disabled:opacity-40 rounded-full transition-colors"
+                title={t('sayIt.listen')}
+              >
+                <Volume2 className="w-5 h-5" />
+              </button>
+              {listening ? (
+                <button
+                  onClick={stopListening}
+                  className="flex items-center gap-2 px-5 py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-xl transition-colors animate-pulse"
+                >
+                  <Square className="w-4 h-4" />
+                  {t('search.cancel')}
+                </button>
+              ) : (
+                <button
+                  onClick={record}
+                  className="flex items-center gap-2 px-5 py-3 bg-gradient-to-r from-teal-600 to-teal-700 hover:from-teal-700 hover:to-teal-800 text-white font-semibold rounded-xl transition-all shadow"
+                >
+                  <Mic className="w-4 h-4" />
+                  {t('sayIt.record')}
+                </button>
+              )}
+            </div>
+          </div>
+
+          {listening && <p className="text-teal-700">{t('sayIt.listening')}</p>}
+
+          {error && (
+            <div className="p-3 rounded-lg text-sm bg-red-50 border border-red-200 text-red-700">{error}</div>
+          )}
+
+          {result && (
+            <div className="flex flex-wrap items-baseline gap-x-6 gap-y-1">
+              <span className={`text-3xl font-bold ${scoreStyle(result.score)}`}>{result.score}%</span>
+              <span className="text-gray-600">
+                {t('sayIt.heard')} <span className="italic">“{result.heard}”</span>
+              </span>
+              {result.segments.some(segment => !segment.matched) && (
+                <span className="text-sm text-gray-500">{t('sayIt.missed')}</span>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SayItPanel;
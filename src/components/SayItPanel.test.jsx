@@ -0,0 +1,69 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SayItPanel from './SayItPanel';
+import { createScriptedRecognizer, RecognitionError } from '../speech/recognition';
+import { loadFixture } from '../testing/mockProvider';
+import { SPANISH_VOICE } from '../testing/browserStubs';
+
+const analysis = loadFixture('biblioteca').reply;
+
+const renderPanel = (recognizer) => render(
+  <SayItPanel analysis={analysis} voice={SPANISH_VOICE} onListen={jest.fn()} onClose={jest.fn()} recognizer={recognizer} />
+);
+
+const record = (user) => user.click(screen.getByRole('button', { name: 'Record' }));
+
+test('scores a word said right', async () => {
+  const user = userEvent.setup();
+  renderPanel(createScriptedRecognizer(['biblioteca']));
+
+  await record(user);
+
+  expect(await screen.findByText('100%')).toBeInTheDocument();
+  expect(screen.getByText('“biblioteca”')).toBeInTheDocument();
+  expect(screen.queryByText(/Underlined parts/)).not.toBeInTheDocument();
+});
+
+test('marks the syllables that were not heard', async () => {
+  const user = userEvent.setup();
+  renderPanel(createScriptedRecognizer(['biblio']));
+
+  await record(user);
+
+  expect(await screen.findByText('75%')).toBeInTheDocument();
+  expect(screen.getByText(/Underlined parts/)).toBeInTheDocument();
+  expect(screen.getByText('te')).toHaveClass('underline');
+  expect(screen.getByText('bi')).not.toHaveClass('underline');
+});
+
+test('scores the best of the alternatives for a sample sentence', async () => {
+  const user = userEvent.setup();
+  renderPanel(createScriptedRecognizer([['la biblioteca cierra', 'La biblioteca cierra a las ocho']]));
+
+  await user.click(screen.getByRole('button', { name: 'Sentence 2' }));
+  await record(user);
+
+  expect(await screen.findByText('100%')).toBeInTheDocument();
+  expect(screen.getByText('“La biblioteca cierra a las ocho”')).toBeInTheDocument();
+});
+
+test('explains a recognition error and lets the learner try again', async () => {
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const user = userEvent.setup();
+  renderPanel(createScriptedRecognizer([new RecognitionError('not-allowed'), 'biblioteca']));
+
+  await record(user);
+  expect(await screen.findByText(/Microphone access was blocked/)).toBeInTheDocument();
+  expect(consoleError).toHaveBeenCalledWith('Speech recognition failed:', expect.any(RecognitionError));
+
+  await record(user);
+  expect(await screen.findByText('100%')).toBeInTheDocument();
+  expect(screen.queryByText(/Microphone access was blocked/)).not.toBeInTheDocument();
+});
+
+test('says so when there is no recognizer', () => {
+  renderPanel({ ...createScriptedRecognizer([]), isAvailable: () => false });
+  expect(screen.getByText(/Speech recognition is not supported/)).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Record' })).not.toBeInTheDocument();
+});
@@ -0,0 +1,148 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { PROVIDERS } from '../providers';
+import { EXPLANATION_LANGUAGES } from '../analysis/prompt';
+import { INTERFACE_LANGUAGES, useTranslation } from '../i18n';
+
+const selectClass = 'w-full px-3 py-2 border-2 border-amber-300/50 rounded-lg focus:border-amber-500 focus:outline-none bg-white/90 text-amber-900';
+
+const SettingsPanel = ({ settings, onChange, onClose }) => {
+  const t = useTranslation();
+  const provider = PROVIDERS[settings.provider];
+  const config = settings.providers[provider.id] || {};
+
+  const updateField = (field, value) => {
+    onChange({
+      ...settings,
+      providers: {
+        ...settings.providers,
+        [provider.id]: { ...config, [field]: value }
+      }
+    });
+  };
+
+  const renderField = (field) => {
+    const inputClass = 'w-full px-3 py-2 border-2 border-amber-300/50 rounded-lg focus:border-amber-500 focus:outline-none bg-white/90 text-amber-900';
+
+    if (field === 'temperature') {
+      return (
+        <div className="flex items-center gap-3">
+          <input
+            type="range"
+            min="0"
+            max="2"
+            step="0.1"
+            value={config.temperature ?? provider.defaults.temperature}
+            onChange={(e) => updateField('temperature', parseFloat(e.target.value))}
+            className="flex-1 accent-amber-600"
+          />
+          <span className="w-10 text-right text-sm text-amber-800">{config.temperature ?? provider.defaults.temperature}</span>
+        </div>
+      );
+    }
+
+    if (field === 'maxTokens') {
+      return (
+        <input
+          type="number"
+          min="1"
+          value={config.maxTokens ?? ''}
+          onChange={(e) => updateField('maxTokens', parseInt(e.target.value, 10) || provider.defaults.maxTokens)}
+          className={inputClass}
+        />
+      );
+    }
+
+    return (
+      <input
+        type={field === 'apiKey' ? 'password' : 'text'}
+        value={config[field] ?? ''}
+        onChange={(e) => updateField(field, e.target.value)}
+        placeholder={provider.defaults[field] || ''}
+        autoComplete="off"
+        className={inputClass}
+      />
+    );
+  };
+
+  return (
+    <div className="bg-gradient-to-r from-amber-50 to-orange-50 rounded-2xl shadow-lg border border-amber-200/50 p-6 animate-fade-in">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-amber-800" style={{fontFamily: 'Georgia, serif'}}>
+          ⚙️ {t('settings.title')}
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-amber-100 rounded-full transition-colors text-amber-700"
+          title={t('settings.close')}
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-4 mb-6">
+        <label className="block">
+          <span className="block text-sm font-medium text-amber-700 mb-1">{t('settings.interfaceLanguage')}</span>
+          <select
+            value={settings.interfaceLanguage}
+            onChange={(e) => onChange({ ...settings, interfaceLanguage: e.target.value })}
+            className={selectClass}
+          >
+            {Object.entries(INTERFACE_LANGUAGES).map(([code, { label }]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          <span className="block text-sm font-medium text-amber-700 mb-1">{t('settings.explanationLanguage')}</span>
+          <select
+            value={settings.explanationLanguage}
+            onChange={(e) => onChange({ ...settings, explanationLanguage: e.target.value })}
+            className={selectClass}
+          >
+            {Object.keys(EXPLANATION_LANGUAGES).map(code => (
+              <option key={code} value={code}>{t(`languages.${code}`)}</option>
+            ))}
+          </select>
+        </label>
+        <p className="text-xs text-amber-600 sm:col-span-2">{t('settings.explanationHint')}</p>
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-4">
+        <label className="block sm:col-span-2">
+          <span className="block text-sm font-medium text-amber-700 mb-1">{t('settings.provider')}</span>
+          <select
+            value={provider.id}
+            onChange={(e) => onChange({ ...settings, provider: e.target.value })}
+            className={selectClass}
+          >
+            {Object.values(PROVIDERS).map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        {provider.fields.map(field => (
+          <label key={field} className="block">
+            <span className="block text-sm font-medium text-amber-700 mb-1">{t(`settings.fields.${field}`)}</span>
+            {renderField(field)}
+          </label>
+        ))}
+      </div>
+
+      {provider.description && (
+        <p className="text-sm text-amber-700 italic mt-3">{provider.description}</p>
+      )}
+      {provider.isAvailable && !provider.isAvailable() && (
+        <p className="text-sm text-red-700 mt-3">{t('settings.unavailable')}</p>
+      )}
+      {provider.fields.includes('apiKey') && (
+        <p className="text-xs text-amber-600 mt-3">
+          {t('settings.apiKeyNote')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Play } from 'lucide-react';
+import { breakIntoSyllables } from '../speech/syllables';
+import { speakSequence, speakText, stopSpeaking, slowRate } from '../speech/speak';
+import { useTranslation } from '../i18n';
+
+// Shown in the word header. "Play" speaks each syllable slowly, highlighting
+// it, then the whole word at the chosen rate; a syllable can also be clicked
+// on its own.
+const SyllableBreakdown = ({ text, pronunciation, voice, rate }) => {
+  const t = useTranslation();
+  const [activeIndex, setActiveIndex] = useState(null);
+  const syllables = breakIntoSyllables(text, pronunciation);
+
+  useEffect(() => () => stopSpeaking(), []);
+
+  const playAll = async () => {
+    const parts = [
+      ...syllables.map(syllable => ({ text: syllable.text, rate: slowRate(rate) })),
+      { text, rate }
+    ];
+    const finished = await speakSequence(parts, {
+      voice,
+      onPart: index => setActiveIndex(index < syllables.length ? index : null)
+    });
+    if (finished) setActiveIndex(null);
+  };
+
+  const playSyllable = async (index) => {
+    setActiveIndex(index);
+    if (await speakText(syllables[index].text, { voice, rate: slowRate(rate) })) setActiveIndex(null);
+  };
+
+  return (
+    <div className="mt-4 flex flex-wrap items-end gap-2">
+      {syllables.map((syllable, index) => (
+        <React.Fragment key={index}>
+          {index > 0 && syllable.wordIndex !== syllables[index - 1].wordIndex && <span className="w-3"></span>}
+          <button
+            onClick={() => playSyllable(index)}
+            disabled={!voice}
+            className={`flex flex-col items-center px-3 py-1 rounded-lg transition-all ${
+              syllable.stressed ? 'bg-white text-amber-800 font-bold' : 'bg-white/20 text-white'
+            } ${activeIndex === index ? 'ring-2 ring-yellow-300 scale-110' : ''}`}
+            title={syllable.stressed ? t('syllables.stressed') : undefined}
+          >
+            <span className="text-xl" style={{fontFamily: 'Georgia, serif'}}>{syllable.text}</span>
+            {syllable.guide && (
+              <span className={`text-xs ${syllable.stressed ? 'text-amber-600' : 'text-amber-200'}`}>{syllable.guide}</span>
+            )}
+          </button>
+        </React.Fragment>
+      ))}
+      <button
+        onClick={playAll}
+        disabled={!voice}
+        className="ml-2 flex items-center gap-1 px-3 py-2 bg-white/20 hover:bg-white/30 disabled:opacity-50 rounded-lg text-sm transition-colors"
+        title={t('syllables.playTitle')}
+      >
+        <Play className="w-4 h-4" />
+        {t('syllables.play')}
+      </button>
+    </div>
+  );
+};
+
+export default SyllableBreakdown;
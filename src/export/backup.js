@@ -0,0 +1,105 @@
+import { validateAnalysis } from '../analysis/schema';
+
+export const BACKUP_FORMAT = 'etymo-backup';
+export const BACKUP_VERSION = 1;
+
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+// `analyses` are analysis cache records, `deck` flashcards, `library` the
+// learner's library entries and `quizResults` their per-word quiz answers, all
+// exactly as stored so a restore is lossless.
+export const buildBackup = ({ analyses, deck, library = [], quizResults = [] }, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: now.toISOString(),
+  analyses,
+  deck,
+  library,
+  quizResults
+});
+
+const isValidCard = (card) =>
+  card !== null && typeof card === 'object' &&
+  typeof card.id === 'string' &&
+  typeof card.word === 'string' &&
+  !Number.isNaN(new Date(card.due).getTime()) &&
+  ['interval', 'ease', 'reps', 'lapses'].every(key => Number.isFinite(card[key]));
+
+const isValidEntry = (entry) =>
+  entry !== null && typeof entry === 'object' &&
+  typeof entry.word === 'string' &&
+  typeof entry.displayWord === 'string' &&
+  Array.isArray(entry.lookups) && entry.lookups.every(at => typeof at === 'string') &&
+  Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string');
+
+const isValidQuizResult = (result) =>
+  result !== null && typeof result === 'object' &&
+  typeof result.word === 'string' &&
+  Array.isArray(result.answers) &&
+  result.answers.every(answer => answer && typeof answer.at === 'string' && typeof answer.correct === 'boolean');
+
+// Parses and checks a backup file. Backups made before the library or the
+// quiz existed have no `library` or `quizResults` and restore without them. Entries that don't validate are counted
+// in `skipped` rather than failing the whole import.
+export const readBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new BackupError('The file is not valid JSON.');
+  }
+
+  if (!data || data.format !== BACKUP_FORMAT) {
+    throw new BackupError('This is not an Etymo backup file.');
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new BackupError('This backup was made by a newer version of Etymo.');
+  }
+
+  let skipped = 0;
+  const analyses = [];
+  for (const record of Array.isArray(data.analyses) ? data.analyses : []) {
+    const { analysis } = record && typeof record.key === 'string'
+      ? validateAnalysis(record.analysis, record.word)
+      : {};
+    if (analysis) {
+      analyses.push({ ...record, analysis });
+    } else {
+      skipped++;
+    }
+  }
+
+  const deck = [];
+  for (const card of Array.isArray(data.deck) ? data.deck : []) {
+    if (isValidCard(card)) {
+      deck.push(card);
+    } else {
+      skipped++;
+    }
+  }
+
+  const library = [];
+  for (const entry of Array.isArray(data.library) ? data.library : []) {
+    if (isValidEntry(entry)) {
+      library.push({ favorite: false, notes: '', mnemonic: '', mnemonicVersions: [], ...entry });
+    } else {
+      skipped++;
+    }
+  }
+
+  const quizResults = [];
+  for (const result of Array.isArray(data.quizResults) ? data.quizResults : []) {
+    if (isValidQuizResult(result)) {
+      quizResults.push({ displayWord: result.word, ...result });
+    } else {
+      skipped++;
+    }
+  }
+
+  return { analyses, deck, library, quizResults, skipped };
+};
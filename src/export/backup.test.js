@@ -0,0 +1,48 @@
+import { buildBackup, readBackup, BackupError, BACKUP_FORMAT } from './backup';
+import { validateAnalysis } from '../analysis/schema';
+import { loadFixture } from '../testing/mockProvider';
+
+const { analysis } = validateAnalysis(loadFixture('biblioteca').reply, 'biblioteca');
+
+const record = { key: '6:biblioteca', word: 'biblioteca', promptVersion: 6, language: 'en', analysis, warnings: [], cachedAt: '2024-03-01T12:00:00.000Z' };
+const card = { id: 'biblioteca', word: 'biblioteca', due: '2024-03-02T12:00:00.000Z', interval: 1, ease: 2.5, reps: 1, lapses: 0 };
+const entry = { word: 'biblioteca', displayWord: 'biblioteca', lookups: ['2024-03-01T12:00:00.000Z'], tags: ['books'] };
+const quizResult = { word: 'biblioteca', answers: [{ at: '2024-03-01T12:00:00.000Z', correct: true }] };
+
+const backupText = (contents) => JSON.stringify({ format: BACKUP_FORMAT, version: 1, ...contents });
+
+test('reads back what buildBackup wrote', () => {
+  const backup = buildBackup({ analyses: [record], deck: [card], library: [entry], quizResults: [quizResult] });
+  const read = readBackup(JSON.stringify(backup));
+
+  expect(read.analyses).toEqual([record]);
+  expect(read.deck).toEqual([card]);
+  expect(read.library).toEqual([{ favorite: false, notes: '', mnemonic: '', mnemonicVersions: [], ...entry }]);
+  expect(read.quizResults).toEqual([{ displayWord: 'biblioteca', ...quizResult }]);
+  expect(read.skipped).toBe(0);
+});
+
+test('restores backups made before the library and the quiz existed', () => {
+  const read = readBackup(backupText({ analyses: [record], deck: [card] }));
+  expect(read).toEqual(expect.objectContaining({ library: [], quizResults: [], skipped: 0 }));
+});
+
+test('skips entries that don\'t validate instead of failing the import', () => {
+  const read = readBackup(backupText({
+    analyses: [record, { ...record, key: undefined }, { ...record, analysis: { word: 'x' } }],
+    deck: [card, { ...card, due: 'someday' }],
+    library: [entry, { ...entry, tags: 'books' }],
+    quizResults: [quizResult, { word: 'x', answers: [{ correct: 'yes' }] }]
+  }));
+
+  expect([read.analyses, read.deck, read.library, read.quizResults].map(list => list.length)).toEqual([1, 1, 1, 1]);
+  expect(read.skipped).toBe(5);
+});
+
+test.each([
+  ['not JSON', 'The file is not valid JSON.'],
+  [JSON.stringify({ format: 'anki' }), 'This is not an Etymo backup file.'],
+  [JSON.stringify({ format: BACKUP_FORMAT, version: 99 }), 'This backup was made by a newer version of Etymo.']
+])('rejects %s', (text, message) => {
+  expect(() => readBackup(text)).toThrow(new BackupError(message));
+});
@@ -0,0 +1,28 @@
+import { getField } from './fields';
+
+export const DELIMITERS = {
+  csv: ',',
+  tsv: '\t'
+};
+
+// RFC 4180 quoting; Anki's importer understands the same rules for both
+// comma- and tab-separated files.
+const quote = (value, delimiter) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// `t` translates the header row's field labels; it is only needed with
+// `header`.
+export const toDelimited = (items, columns, { format = 'csv', header = false, t } = {}) => {
+  const delimiter = DELIMITERS[format];
+  const fields = columns.map(getField);
+  const rows = items.map(item => fields.map(field => quote(field.get(item), delimiter)).join(delimiter));
+  if (header) {
+    rows.unshift(fields.map(field => quote(t(`export.fields.${field.id}`), delimiter)).join(delimiter));
+  }
+  return rows.join('\n') + '\n';
+};
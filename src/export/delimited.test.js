@@ -0,0 +1,15 @@
+import { toDelimited } from './delimited';
+import { createTranslator } from '../i18n';
+
+const item = { word: 'ventana', englishMeaning: 'window', mnemonic: 'A VENT, "window"' };
+
+test('quotes values that contain the delimiter or quotes', () => {
+  expect(toDelimited([item], ['word', 'mnemonic'])).toBe('ventana,"A VENT, ""window"""\n');
+  expect(toDelimited([item], ['word', 'mnemonic'], { format: 'tsv' })).toBe('ventana\t"A VENT, ""window"""\n');
+});
+
+test('labels the header row in the interface language', () => {
+  const columns = ['word', 'englishMeaning'];
+  expect(toDelimited([item], columns, { header: true, t: createTranslator('en') })).toBe('Spanish word,English meaning\nventana,window\n');
+  expect(toDelimited([item], columns, { header: true, t: createTranslator('es') })).toBe('Palabra en español,Significado\nventana,window\n');
+});
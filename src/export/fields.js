@@ -0,0 +1,27 @@
+// "Classical Latin fenestra → Old Spanish finiestra → Modern Spanish ventana"
+export const formatStages = (stages = []) => stages.map(stage => `${stage.language} ${stage.form}`).join(' → ');
+
+// "biblio- (book) + -teca (case, place where things are kept)"
+export const formatMorphemes = (morphemes = []) => morphemes.map(part => `${part.text} (${part.meaning})`).join(' + ');
+
+// Fields that can be mapped to CSV/TSV columns. `get` receives an analysis
+// (or a deck card merged over its analysis) and returns plain text. Labels
+// are the `export.fields.<id>` messages.
+export const EXPORT_FIELDS = [
+  { id: 'word', get: item => item.word },
+  { id: 'englishMeaning', get: item => item.englishMeaning },
+  { id: 'etymology', get: item => item.etymology },
+  { id: 'etymologyStages', get: item => formatStages(item.etymologyStages) },
+  { id: 'morphemes', get: item => formatMorphemes(item.morphemes) },
+  { id: 'mnemonic', get: item => item.mnemonic },
+  { id: 'relatedEnglishWords', get: item => (item.relatedEnglishWords || []).join(', ') },
+  { id: 'sampleSentences', get: item => (item.sampleSentences || []).map(s => `${s.spanish} — ${s.english}`).join('\n') },
+  { id: 'pronunciation', get: item => item.pronunciation },
+  { id: 'languageFamily', get: item => item.languageFamily },
+  { id: 'confidence', get: item => item.confidence }
+];
+
+// Front/back layout that Anki's "Basic" note type expects
+export const DEFAULT_COLUMNS = ['word', 'englishMeaning', 'mnemonic', 'etymology'];
+
+export const getField = (id) => EXPORT_FIELDS.find(field => field.id === id);
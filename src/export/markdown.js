@@ -0,0 +1,60 @@
+import { formatMorphemes } from './fields';
+
+const renderAnalysis = (item, t) => {
+  const lines = [`## ${item.word} — ${item.englishMeaning}`, ''];
+
+  const details = [item.pronunciation && `/${item.pronunciation}/`, item.languageFamily].filter(Boolean);
+  if (details.length) {
+    lines.push(`*${details.join(' · ')}*`, '');
+  }
+
+  lines.push(`**${t('export.markdown.etymology')}** ${item.etymology}`, '');
+
+  if (item.etymologyStages && item.etymologyStages.length) {
+    item.etymologyStages.forEach((stage, index) => {
+      const date = stage.date ? ` (${stage.date})` : '';
+      const change = stage.soundChange ? ` — ${stage.soundChange}` : '';
+      lines.push(`${index + 1}. ${stage.language}${date}: *${stage.form}*${change}`);
+    });
+    lines.push('');
+  }
+
+  if (item.morphemes && item.morphemes.length > 1) {
+    lines.push(`**${t('export.markdown.wordParts')}** ${formatMorphemes(item.morphemes)}`, '');
+  }
+
+  if (item.relatedEnglishWords && item.relatedEnglishWords.length) {
+    lines.push(`**${t('export.markdown.related')}** ${item.relatedEnglishWords.join(', ')}`, '');
+  }
+
+  const tricky = (item.cognates || []).filter(cognate => cognate.reliability !== 'true');
+  if (tricky.length) {
+    lines.push(`**${t('export.markdown.watchOut')}**`, '');
+    tricky.forEach(cognate => {
+      lines.push(`- ${cognate.word} (${t(`reliability.${cognate.reliability}`).toLowerCase()}): ${cognate.explanation}`);
+    });
+    lines.push('');
+  }
+
+  lines.push(`> 🧠 ${item.mnemonic}`, '');
+
+  if (item.sampleSentences && item.sampleSentences.length) {
+    lines.push(`**${t('export.markdown.sentences')}**`, '');
+    item.sampleSentences.forEach(sentence => {
+      lines.push(`- *${sentence.spanish}* — ${sentence.english}`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+// A printable study sheet: one section per word, in the order given, with
+// headings in the interface language of `t`.
+export const toMarkdown = (items, { t, title = t('export.markdown.title'), now = new Date() }) => [
+  `# ${title}`,
+  '',
+  `_${t('export.markdown.exported', { date: now.toLocaleDateString(t.language), count: items.length })}_`,
+  '',
+  ...items.map(item => renderAnalysis(item, t))
+].join('\n');
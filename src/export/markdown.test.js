@@ -0,0 +1,26 @@
+import { toMarkdown } from './markdown';
+import { validateAnalysis } from '../analysis/schema';
+import { createTranslator } from '../i18n';
+import { loadFixture } from '../testing/mockProvider';
+
+const { analysis } = validateAnalysis(loadFixture('biblioteca').reply, 'biblioteca');
+const now = new Date('2024-03-01T12:00:00.000Z');
+
+test('writes the study sheet in English', () => {
+  const sheet = toMarkdown([analysis], { t: createTranslator('en'), now });
+
+  expect(sheet).toMatch(/^# Etymo study sheet\n\n_Exported .+ · 1 word_/);
+  expect(sheet).toContain('**Etymology.** From Latin bibliotheca');
+  expect(sheet).toContain('- library (false friend): ');
+  expect(sheet).toContain('**Sample sentences**');
+});
+
+test('writes the headings in the interface language', () => {
+  const sheet = toMarkdown([analysis, analysis], { t: createTranslator('es'), title: 'Mis palabras', now });
+
+  expect(sheet).toMatch(/^# Mis palabras\n\n_Exportada el .+ · 2 palabras_/);
+  expect(sheet).toContain('**Etimología.** From Latin bibliotheca');
+  expect(sheet).toContain('**Cuidado con:**');
+  expect(sheet).toContain('- library (falso amigo): ');
+  expect(sheet).not.toMatch(/Sample sentences|Watch out|Word parts/);
+});
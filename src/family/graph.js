@@ -0,0 +1,89 @@
+import { normalizeWord, stripAccents } from '../analysis/words';
+
+// Families from different analyses are merged when they share a root. The
+// model writes the same root in different ways ("cor, cordis", "cor (cordis)",
+// "Latin cor"), so only the language's last word and the root's first token
+// are compared.
+export const rootKey = ({ root, rootLanguage }) => {
+  const language = stripAccents(rootLanguage).toLowerCase().split(/\s+/).pop();
+  const form = stripAccents(root).toLowerCase().match(/[\p{L}-]+/u);
+  return `${language}:${form ? form[0] : ''}`;
+};
+
+const nodeId = (language, word) => `${language.toLowerCase()}:${normalizeWord(word)}`;
+
+const isSpanish = (language) => /spanish|español|castellano/i.test(language);
+
+// Builds { root, nodes, edges } for the family of `word`, adding members
+// listed by other saved analyses of the same root. Nodes that have an
+// analysis of their own are marked `analyzed`, so they can be opened.
+export const buildFamilyGraph = (family, word, records = []) => {
+  const key = rootKey(family);
+  const analyzedWords = new Set(records.map(record => record.word));
+  const nodes = new Map();
+
+  const addMember = ({ word: memberWord, language, relationship }) => {
+    const id = nodeId(language, memberWord);
+    if (nodes.has(id)) return;
+    const spanish = isSpanish(language);
+    const normalized = normalizeWord(memberWord);
+    nodes.set(id, {
+      id,
+      word: memberWord,
+      language,
+      relationship: spanish && relationship === 'cognate' ? 'learned' : relationship,
+      side: spanish ? 'spanish' : 'other',
+      current: spanish && normalized === normalizeWord(word),
+      analyzed: analyzedWords.has(normalized)
+    });
+  };
+
+  addMember({ word, language: 'Spanish', relationship: 'inherited' });
+  family.members.forEach(addMember);
+  records
+    .filter(record => record.analysis.rootFamily && rootKey(record.analysis.rootFamily) === key)
+    .forEach(record => record.analysis.rootFamily.members.forEach(addMember));
+
+  // The current word may have been listed as learned; trust the model over
+  // the placeholder added above.
+  const listed = family.members.find(member => isSpanish(member.language) && normalizeWord(member.word) === normalizeWord(word));
+  if (listed) nodes.get(nodeId('Spanish', word)).relationship = listed.relationship;
+
+  const nodeList = [...nodes.values()];
+  return {
+    root: { id: 'root', word: family.root, language: family.rootLanguage, meaning: family.rootMeaning },
+    nodes: nodeList,
+    edges: nodeList.map(node => ({ from: 'root', to: node.id, relationship: node.relationship }))
+  };
+};
+
+// Places the root in the middle, Spanish descendants fanned out on the left
+// and English (and other) relatives on the right. Returns { width, height,
+// positions } with positions keyed by node id.
+export const layoutFamilyGraph = (graph, { width = 640, rowHeight = 44 } = {}) => {
+  const columns = {
+    spanish: graph.nodes.filter(node => node.side === 'spanish'),
+    other: graph.nodes.filter(node => node.side === 'other')
+  };
+  const rows = Math.max(columns.spanish.length, columns.other.length, 1);
+  const height = Math.max(200, rows * rowHeight + 40);
+  const center = { x: width / 2, y: height / 2 };
+  const radiusX = width / 2 - 90;
+  const radiusY = height / 2 - 30;
+  const positions = { root: center };
+
+  Object.entries(columns).forEach(([side, nodes]) => {
+    const direction = side === 'spanish' ? -1 : 1;
+    nodes.forEach((node, index) => {
+      // Spread over a shallow arc from -70° to 70° around the horizontal,
+      // flattened so the outer nodes stay clear of the root
+      const angle = nodes.length === 1 ? 0 : (-70 + (140 * index) / (nodes.length - 1)) * (Math.PI / 180);
+      positions[node.id] = {
+        x: center.x + direction * radiusX * (0.75 + 0.25 * Math.cos(angle)),
+        y: center.y + radiusY * Math.sin(angle)
+      };
+    });
+  });
+
+  return { width, height, positions };
+};
@@ -0,0 +1,53 @@
+import { rootKey, buildFamilyGraph, layoutFamilyGraph } from './graph';
+import { loadFixture } from '../testing/mockProvider';
+
+const ventana = loadFixture('ventana').reply;
+
+const nodeSummary = (graph) => graph.nodes.map(node => `${node.side}:${node.word}:${node.relationship}`);
+
+test('rootKey matches the same root however the model wrote it', () => {
+  const key = rootKey({ root: 'cor, cordis', rootLanguage: 'Latin' });
+  expect(rootKey({ root: 'cor (cordis)', rootLanguage: 'Classical Latin' })).toBe(key);
+  expect(rootKey({ root: 'Cor', rootLanguage: 'latin' })).toBe(key);
+  expect(rootKey({ root: 'cor', rootLanguage: 'Old French' })).not.toBe(key);
+});
+
+describe('buildFamilyGraph', () => {
+  test('puts the word and its family around the root', () => {
+    const graph = buildFamilyGraph(ventana.rootFamily, 'ventana');
+
+    expect(graph.root).toEqual({ id: 'root', word: 'ventus', language: 'Latin', meaning: 'wind' });
+    expect(nodeSummary(graph)).toEqual(['spanish:ventana:inherited', 'spanish:viento:inherited', 'other:ventilate:cognate']);
+    expect(graph.nodes.filter(node => node.current).map(node => node.word)).toEqual(['ventana']);
+    expect(graph.edges).toHaveLength(3);
+  });
+
+  test('treats Spanish "cognates" as learned borrowings', () => {
+    const family = { ...ventana.rootFamily, members: [{ word: 'ventilar', language: 'Spanish', relationship: 'cognate' }] };
+    expect(nodeSummary(buildFamilyGraph(family, 'ventana'))).toContain('spanish:ventilar:learned');
+  });
+
+  test('merges members of saved analyses that share the root and marks analyzed words', () => {
+    const saved = [
+      { word: 'viento', analysis: { rootFamily: { root: 'ventus, venti', rootLanguage: 'Latin', members: [{ word: 'vent', language: 'English', relationship: 'cognate' }] } } },
+      { word: 'corazón', analysis: { rootFamily: { root: 'cor', rootLanguage: 'Latin', members: [{ word: 'cordial', language: 'Spanish', relationship: 'learned' }] } } }
+    ];
+    const graph = buildFamilyGraph(ventana.rootFamily, 'ventana', saved);
+
+    expect(graph.nodes.map(node => node.word)).toEqual(['ventana', 'viento', 'ventilate', 'vent']);
+    expect(graph.nodes.filter(node => node.analyzed).map(node => node.word)).toEqual(['viento']);
+  });
+});
+
+test('layoutFamilyGraph places Spanish words left of the root and the rest right of it', () => {
+  const graph = buildFamilyGraph(ventana.rootFamily, 'ventana');
+  const { width, height, positions } = layoutFamilyGraph(graph);
+
+  expect(positions.root).toEqual({ x: width / 2, y: height / 2 });
+  graph.nodes.forEach(node => {
+    const position = positions[node.id];
+    expect(node.side === 'spanish' ? position.x < positions.root.x : position.x > positions.root.x).toBe(true);
+    expect(position.y).toBeGreaterThanOrEqual(0);
+    expect(position.y).toBeLessThanOrEqual(height);
+  });
+});
@@ -0,0 +1,355 @@
+// Interface messages in English. Keys are grouped by the part of the app
+// they appear in; `{name}` is filled in by translate() and a `_one` key is
+// the singular of a message with a count.
+const en = {
+  // Header and search
+  'app.enterWord': 'Please enter a Spanish word',
+  'header.review': 'Review',
+  'header.reviewTitle': 'Review flashcards',
+  'header.settingsTitle': 'Settings',
+  'header.byline': 'by SpanishPro PowerTools',
+  'header.tagline': 'AI-Powered Etymology Analyzer & Mnemonics Engine',
+  'header.intro': 'Explore word origins, create memory aids, and understand linguistic connections. Perfect for deep vocabulary analysis and building lasting memory associations.',
+  'search.placeholder': 'Enter a Spanish word (e.g., biblioteca, ventana, corazón)...',
+  'search.repairing': 'Repairing Response...',
+  'search.analyzing': 'Analyzing Etymology...',
+  'search.analyze': 'Analyze Etymology',
+  'search.cancel': 'Cancel',
+  'search.cancelTitle': 'Stop this analysis',
+  'search.batch': 'Analyze a word list or a Spanish passage',
+
+  // Word card
+  'word.pronounce': 'Pronounce word ({voice})',
+  'word.noVoice': 'No voice selected',
+  'word.syllables': 'Syllable by syllable',
+  'word.voiceAndSpeed': 'Voice and speed',
+  'word.reanalyze': 'Re-analyze',
+  'word.reanalyzeTitle': 'Ask the AI again instead of using the saved analysis',
+  'word.sayIt': 'Say it',
+  'word.sayItTitle': 'Practice saying the word and its sentences',
+  'word.inDeck': 'In deck',
+  'word.inDeckTitle': 'Already in your flashcard deck',
+  'word.addToDeck': 'Add to deck',
+  'word.addToDeckTitle': 'Add this word to your flashcard deck',
+  'word.export': 'Export',
+  'word.exportTitle': 'Export this analysis (CSV/TSV for Anki, Markdown)',
+  'word.copy': 'Copy',
+  'word.copied': 'Copied!',
+  'word.copyLink': 'Copy link',
+  'word.copyLinkTitle': 'Copy a link to this analysis',
+  'word.linkCopied': 'Link copied!',
+  'word.cachedOn': 'Cached on {date}',
+  'word.confidence': 'Confidence:',
+  'confidence.high': 'high',
+  'confidence.medium': 'medium',
+  'confidence.low': 'low',
+  'voice.select': 'Select Spanish Voice:',
+  'voice.local': 'Local',
+  'voice.remote': 'Remote',
+  'voice.none': 'No Spanish voices found on this system.',
+  'voice.speed': 'Speed',
+  'voice.repeatSlow': 'Play slowly first, then at normal speed',
+  'syllables.play': 'Play',
+  'syllables.playTitle': 'Syllable by syllable, then the whole word',
+  'syllables.stressed': 'Stressed syllable',
+  'card.didYouMean': 'Did you mean {word}?',
+  'card.inputForm': '“{form}” is the {description}, so the analysis below is for {word}.',
+
+  // Sections of an analysis
+  'sections.etymology': 'Etymology & Historical Evolution',
+  'sections.irregularities': 'Why the irregular forms?',
+  'sections.conjugation': 'Conjugation',
+  'sections.grammar': 'Grammar',
+  'sections.wordParts': 'Word Parts',
+  'sections.related': 'Related {language} Words',
+  'sections.mnemonic': 'Memory Device',
+  'sections.sentences': 'Sample Sentences',
+  'sections.notebook': 'My Notebook',
+  'origins.latin': 'Latin',
+  'origins.greek': 'Greek',
+  'origins.arabic': 'Arabic',
+  'origins.germanic': 'Germanic',
+  'origins.other': 'Other',
+  'grammar.partOfSpeech': 'Part of speech',
+  'grammar.gender': 'Gender',
+  'grammar.partsOfSpeech.verb': 'verb',
+  'grammar.partsOfSpeech.noun': 'noun',
+  'grammar.partsOfSpeech.adjective': 'adjective',
+  'grammar.partsOfSpeech.other': 'other',
+  'grammar.genders.masculine': 'masculine',
+  'grammar.genders.feminine': 'feminine',
+  'grammar.feminine': 'Feminine',
+  'grammar.plural': 'Plural',
+  'grammar.masculinePlural': 'Masculine plural',
+  'grammar.femininePlural': 'Feminine plural',
+  'grammar.gerund': 'Gerund',
+  'grammar.pastParticiple': 'Past participle',
+  'grammar.irregular': 'Irregular',
+  'grammar.irregularForm': 'Irregular form',
+  'grammar.tenses.present': 'Present',
+  'grammar.tenses.preterite': 'Preterite',
+  'grammar.tenses.imperfect': 'Imperfect',
+  'grammar.tenses.future': 'Future',
+  'grammar.tenses.conditional': 'Conditional',
+  'grammar.tenses.presentSubjunctive': 'Present subjunctive',
+  'morphemes.types.prefix': 'Prefix',
+  'morphemes.types.root': 'Root',
+  'morphemes.types.suffix': 'Suffix',
+  'morphemes.types.compound': 'Compound part',
+  'morphemes.analyze': 'Analyze {word}',
+  'morphemes.openSaved': 'Open saved analysis',
+  'morphemes.otherWords': 'Other words with',
+  'related.graph': 'Family graph',
+  'related.list': 'Word list',
+  'related.watchOut': 'Watch out',
+  'reliability.true': 'True cognate',
+  'reliability.partial': 'Partial cognate',
+  'reliability.false': 'False friend',
+  'family.descended': 'Words descended from {language} {word}',
+  'family.relationships.inherited': 'Inherited (popular)',
+  'family.relationships.learned': 'Learned borrowing (cultismo)',
+  'family.relationships.cognate': 'Cognate',
+  'family.clickToOpen': 'Click to open',
+  'family.clickToAnalyze': 'Click to analyze',
+  'family.openWord': 'Open {word}',
+  'family.analyzeWord': 'Analyze {word}',
+  'family.boldOutline': 'Bold outline: already analyzed',
+  'mnemonic.yours': 'Your mnemonic',
+  'mnemonic.use': 'Use as mine',
+  'mnemonic.useTitle': 'Use this as your mnemonic',
+  'mnemonic.stopUsingTitle': 'Stop using this as your mnemonic',
+  'mnemonic.rateUp': 'This one works for me',
+  'mnemonic.rateDown': 'This one doesn\'t click',
+  'mnemonic.new': 'New mnemonic',
+  'mnemonic.writing': 'Writing...',
+  'mnemonic.unreadable': 'The new mnemonic couldn\'t be read. Please try again.',
+  'mnemonic.styles.original': 'Original',
+  'mnemonic.styles.keyword': 'Keyword / sound-alike',
+  'mnemonic.styles.visual': 'Visual story',
+  'mnemonic.styles.etymology': 'Etymology-based',
+  'mnemonic.styles.rhyme': 'Rhyme',
+  'sentences.listen': 'Listen to the sentence',
+  'notebook.tags': 'Tags',
+  'notebook.removeTag': 'Remove tag {tag}',
+  'notebook.addTag': 'Add a tag, e.g. "unit 3"',
+  'notebook.mnemonic': 'My mnemonic',
+  'notebook.mnemonicPlaceholder': 'The memory hook that works for you...',
+  'notebook.notes': 'Notes',
+  'notebook.notesPlaceholder': 'Where you met the word, usage notes, questions for class...',
+  'copy.etymology': 'Etymology',
+  'copy.mnemonic': 'Mnemonic',
+
+  // Sidebar and footer
+  'sidebar.recent': 'Recent Searches',
+  'sidebar.library': 'My Library',
+  'sidebar.export': 'Export & Backup',
+  'sidebar.falseFriends': 'False Friends Quiz',
+  'sidebar.quiz': 'Word Quiz',
+  'sidebar.proTip': 'Pro Tip',
+  'sidebar.proTipText': 'Try analyzing compound words like "sacacorchos" or words with Arabic origins like "almohada" for fascinating etymological journeys!',
+  'footer.heritage': 'Uncover the rich linguistic heritage connecting Spanish to Latin, Arabic, Germanic, and Celtic languages',
+
+  // Errors
+  'errors.offline': 'You\'re offline and this word hasn\'t been analyzed on this device yet.',
+  'errors.rateLimited': 'Too many requests. Please wait a minute and try again.',
+  'errors.provider': 'API Error: {message}. Please check your {provider} settings.',
+  'errors.unreadable': 'The AI\'s answer couldn\'t be read, even after asking it to fix it ({problems}). Please try again.',
+  'errors.generic': 'Failed to analyze the word. Please try again.',
+
+  // Settings
+  'settings.title': 'Settings',
+  'settings.close': 'Close settings',
+  'settings.interfaceLanguage': 'Interface language',
+  'settings.explanationLanguage': 'Explanations and related words in',
+  'settings.explanationHint': 'Meanings, sentence translations, cognates and mnemonics are written in this language. Choose Spanish for explanations in Spanish only.',
+  'settings.provider': 'Provider',
+  'settings.fields.baseUrl': 'Base URL',
+  'settings.fields.apiKey': 'API key',
+  'settings.fields.model': 'Model',
+  'settings.fields.temperature': 'Temperature',
+  'settings.fields.maxTokens': 'Max tokens',
+  'settings.unavailable': 'This provider is not available on this page.',
+  'settings.apiKeyNote': 'The API key is stored in this browser\'s local storage and sent from the browser. Use the Etymo server for public deployments.',
+  'languages.en': 'English',
+  'languages.es': 'Spanish',
+  'languages.pt': 'Portuguese',
+  'languages.fr': 'French',
+  'languages.it': 'Italian',
+
+  // Batch analysis
+  'batch.title': 'Batch Analysis',
+  'batch.close': 'Close batch analysis',
+  'batch.placeholder': 'Paste a word list (one per line or comma separated) or a Spanish paragraph...',
+  'batch.upload': 'Upload .txt / .csv',
+  'batch.parallel': 'Parallel requests',
+  'batch.found': '{count} words found',
+  'batch.found_one': '{count} word found',
+  'batch.firstOnly': '(first {max} only)',
+  'batch.stop': 'Stop',
+  'batch.analyze': 'Analyze {count} words',
+  'batch.analyze_one': 'Analyze {count} word',
+  'batch.progress': '{finished} / {total} analyzed',
+  'batch.failedCount': '{count} failed',
+  'batch.filter': 'Filter by word or meaning...',
+  'batch.all': 'All',
+  'batch.pending': 'Pending',
+  'batch.columns.word': 'Word',
+  'batch.columns.meaning': 'Meaning',
+  'batch.columns.origin': 'Origin',
+  'batch.columns.status': 'Status',
+  'batch.status.queued': 'Queued',
+  'batch.status.running': 'Analyzing…',
+  'batch.status.waiting': 'Rate limited, retrying…',
+  'batch.status.done': 'Done',
+  'batch.status.failed': 'Failed',
+  'batch.cached': '(cached)',
+  'batch.attempt': '(attempt {attempt})',
+
+  // Library
+  'library.title': 'My Library',
+  'library.close': 'Close library',
+  'library.words': 'Words ({count})',
+  'library.history': 'History ({count})',
+  'library.empty': 'Words you analyze are saved here, with your notes, tags and favorites.',
+  'library.search': 'Search words, meanings, notes and tags...',
+  'library.allTags': 'All tags',
+  'library.sort.recent': 'Recently looked up',
+  'library.sort.alphabetical': 'A–Z',
+  'library.sort.frequent': 'Most looked up',
+  'library.favorites': 'Favorites',
+  'library.favoritesOnly': 'Show favorites only',
+  'library.addFavorite': 'Add to favorites',
+  'library.removeFavorite': 'Remove from favorites',
+  'library.lastLookup': 'Last looked up {date}',
+  'library.times': '{count} times',
+  'library.noMatch': 'No saved words match.',
+  'library.showMore': 'Show more',
+
+  // Export and backup
+  'export.close': 'Close export',
+  'export.format': 'Format',
+  'export.formats.csv': 'CSV (Anki import)',
+  'export.formats.tsv': 'TSV (Anki import)',
+  'export.formats.markdown': 'Markdown study sheet',
+  'export.formats.json': 'JSON backup (everything)',
+  'export.scope': 'What',
+  'export.scopes.current': 'This word',
+  'export.scopes.saved': 'All analyzed words',
+  'export.scopes.deck': 'Flashcard deck',
+  'export.columns': 'Columns (map them to your note type\'s fields when importing into Anki)',
+  'export.field': 'Field {number}',
+  'export.fields.word': 'Spanish word',
+  'export.fields.englishMeaning': 'English meaning',
+  'export.fields.etymology': 'Etymology',
+  'export.fields.etymologyStages': 'Etymology timeline',
+  'export.fields.morphemes': 'Word parts',
+  'export.fields.mnemonic': 'Mnemonic',
+  'export.fields.relatedEnglishWords': 'Related English words',
+  'export.fields.sampleSentences': 'Sample sentences',
+  'export.fields.pronunciation': 'Pronunciation',
+  'export.fields.languageFamily': 'Language family',
+  'export.fields.confidence': 'Confidence',
+  'export.markdown.title': 'Etymo study sheet',
+  'export.markdown.wordTitle': 'Etymo: {word}',
+  'export.markdown.exported': 'Exported {date} · {count} words',
+  'export.markdown.exported_one': 'Exported {date} · {count} word',
+  'export.markdown.etymology': 'Etymology.',
+  'export.markdown.wordParts': 'Word parts:',
+  'export.markdown.related': 'Related English words:',
+  'export.markdown.watchOut': 'Watch out:',
+  'export.markdown.sentences': 'Sample sentences',
+  'export.removeColumn': 'Remove column',
+  'export.addColumn': 'Add column',
+  'export.headerRow': 'Header row',
+  'export.import': 'Import JSON backup',
+  'export.importHint': 'Importing a backup adds its analyses, cards, library and quiz results; entries for the same word are replaced by the backup\'s version.',
+  'export.nothing': 'Nothing to export yet.',
+  'export.exportedWords': 'Exported {count} words.',
+  'export.exportedWords_one': 'Exported {count} word.',
+  'export.exportedBackup': 'Exported {analyses} analyses, {cards} cards, {entries} library entries and {records} quiz records.',
+  'export.imported': 'Imported {analyses} analyses, {cards} cards, {entries} library entries and {records} quiz records.',
+  'export.skipped': 'Skipped {count} invalid entries.',
+  'export.backupFailed': 'Couldn\'t read your saved analyses, library and quiz results, so no backup was written. Please try again.',
+  'export.importFailed': 'Failed to import the backup.',
+
+  // Flashcard review
+  'review.title': 'Review',
+  'review.progress': '{left} left • {reviewed} reviewed • {total} in deck',
+  'review.leave': 'Leave review',
+  'review.showAnswer': 'Show Answer',
+  'review.shortcut': 'Shortcut: {key}',
+  'review.space': 'space',
+  'review.grades.again': 'Again',
+  'review.grades.hard': 'Hard',
+  'review.grades.good': 'Good',
+  'review.grades.easy': 'Easy',
+  'review.caughtUp': 'All caught up!',
+  'review.emptyDeck': 'Your deck is empty',
+  'review.nextDue': 'Next card due {date}.',
+  'review.emptyHint': 'Analyze a word and press "{button}" to start building it.',
+
+  // Pronunciation practice
+  'sayIt.close': 'Close practice',
+  'sayIt.word': 'Word',
+  'sayIt.sentence': 'Sentence {number}',
+  'sayIt.listen': 'Listen first',
+  'sayIt.record': 'Record',
+  'sayIt.listening': 'Listening… say it now.',
+  'sayIt.heard': 'Heard:',
+  'sayIt.missed': 'Underlined parts didn\'t come through. Listen and try again.',
+  'sayIt.errors.noSpeech': 'Didn\'t hear anything. Press record and speak clearly.',
+  'sayIt.errors.audioCapture': 'No microphone was found.',
+  'sayIt.errors.notAllowed': 'Microphone access was blocked. Allow it in your browser to practice.',
+  'sayIt.errors.network': 'The speech recognition service could not be reached.',
+  'sayIt.errors.notSupported': 'Speech recognition is not supported in this browser. Try Chrome or Edge.',
+  'sayIt.errors.failed': 'Speech recognition failed. Please try again.',
+
+  // Quizzes
+  'quiz.title': 'Word Quiz',
+  'quiz.close': 'Close quiz',
+  'quiz.empty': 'No saved analyses yet. Analyze a few words first; the quiz is built from them.',
+  'quiz.questionTypes': 'Question types',
+  'quiz.modes.meaning': 'Meaning',
+  'quiz.modes.cognate': 'Cognate',
+  'quiz.modes.origin': 'Origin language',
+  'quiz.modes.cloze': 'Fill the gap',
+  'quiz.sources.all': 'All saved words',
+  'quiz.sources.week': 'This week\'s words',
+  'quiz.sources.weak': 'My weakest words',
+  'quiz.sources.tag': 'A library tag',
+  'quiz.chooseTag': 'Choose a tag',
+  'quiz.questions': '{count} questions',
+  'quiz.start': 'Start quiz ({count} words)',
+  'quiz.start_one': 'Start quiz ({count} word)',
+  'quiz.noMatch': 'No words match',
+  'quiz.notEnough': 'These words don\'t have enough material for the chosen question types yet. Try more words or other types.',
+  'quiz.accuracy': 'Your accuracy, weakest first',
+  'quiz.accuracyHint': 'Dots are your last answers, followed by your recent and overall accuracy.',
+  'quiz.analyzeWord': 'Analyze {word}',
+  'quiz.overall': '{accuracy}% of {total}',
+  'quiz.correctCount': '{count} correct',
+  'quiz.prompts.meaning': 'What does {word} mean?',
+  'quiz.prompts.cognate': 'Which word shares a root with {word}?',
+  'quiz.prompts.origin': 'Which language does {word} come from?',
+  'quiz.missingWord': 'Missing word',
+  'quiz.check': 'Check',
+  'quiz.correct': 'Correct',
+  'quiz.answerIs': 'The answer is {answer}',
+  'quiz.watchAccents': '(watch the accents: {answer})',
+  'quiz.explain.means': '{word} means “{meaning}”.',
+  'quiz.explain.from': 'From {language} {form}. {family}',
+  'quiz.explain.formOf': '{form} is a form of {word}, “{meaning}”.',
+  'quiz.next': 'Next question',
+  'quiz.results': 'See results',
+  'quiz.score': '{correct} / {total} correct',
+  'quiz.newRound': 'New round',
+  'quiz.changeSettings': 'Change settings',
+  'falseFriends.title': 'False Friends Quiz',
+  'falseFriends.empty': 'No cognates saved yet. Analyze a few words first; their related words become quiz questions.',
+  'falseFriends.question': 'Does {spanish} mean {other}?',
+  'falseFriends.answers.true': 'Yes, same meaning',
+  'falseFriends.answers.partial': 'Only in some senses',
+  'falseFriends.answers.false': 'No, it\'s a false friend'
+};
+
+export default en;
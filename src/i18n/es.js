@@ -0,0 +1,354 @@
+// Interface messages in Spanish, with the same keys as en.js
+const es = {
+  // Header and search
+  'app.enterWord': 'Escribe una palabra en español',
+  'header.review': 'Repasar',
+  'header.reviewTitle': 'Repasar las tarjetas',
+  'header.settingsTitle': 'Ajustes',
+  'header.byline': 'de SpanishPro PowerTools',
+  'header.tagline': 'Analizador etimológico y generador de mnemotecnias con IA',
+  'header.intro': 'Explora el origen de las palabras, crea recursos para recordarlas y descubre sus conexiones lingüísticas. Ideal para estudiar el vocabulario a fondo y fijarlo en la memoria.',
+  'search.placeholder': 'Escribe una palabra en español (p. ej., biblioteca, ventana, corazón)...',
+  'search.repairing': 'Reparando la respuesta...',
+  'search.analyzing': 'Analizando la etimología...',
+  'search.analyze': 'Analizar la etimología',
+  'search.cancel': 'Cancelar',
+  'search.cancelTitle': 'Detener este análisis',
+  'search.batch': 'Analizar una lista de palabras o un texto en español',
+
+  // Word card
+  'word.pronounce': 'Pronunciar la palabra ({voice})',
+  'word.noVoice': 'Ninguna voz seleccionada',
+  'word.syllables': 'Sílaba a sílaba',
+  'word.voiceAndSpeed': 'Voz y velocidad',
+  'word.reanalyze': 'Volver a analizar',
+  'word.reanalyzeTitle': 'Preguntar de nuevo a la IA en lugar de usar el análisis guardado',
+  'word.sayIt': 'Dilo',
+  'word.sayItTitle': 'Practicar la pronunciación de la palabra y sus frases',
+  'word.inDeck': 'En el mazo',
+  'word.inDeckTitle': 'Ya está en tu mazo de tarjetas',
+  'word.addToDeck': 'Añadir al mazo',
+  'word.addToDeckTitle': 'Añadir esta palabra a tu mazo de tarjetas',
+  'word.export': 'Exportar',
+  'word.exportTitle': 'Exportar este análisis (CSV/TSV para Anki, Markdown)',
+  'word.copy': 'Copiar',
+  'word.copied': '¡Copiado!',
+  'word.copyLink': 'Copiar enlace',
+  'word.copyLinkTitle': 'Copiar un enlace a este análisis',
+  'word.linkCopied': '¡Enlace copiado!',
+  'word.cachedOn': 'Guardado el {date}',
+  'word.confidence': 'Fiabilidad:',
+  'confidence.high': 'alta',
+  'confidence.medium': 'media',
+  'confidence.low': 'baja',
+  'voice.select': 'Elige una voz en español:',
+  'voice.local': 'Local',
+  'voice.remote': 'Remota',
+  'voice.none': 'No se han encontrado voces en español en este sistema.',
+  'voice.speed': 'Velocidad',
+  'voice.repeatSlow': 'Reproducir primero despacio y luego a velocidad normal',
+  'syllables.play': 'Reproducir',
+  'syllables.playTitle': 'Sílaba a sílaba y luego la palabra entera',
+  'syllables.stressed': 'Sílaba tónica',
+  'card.didYouMean': '¿Quisiste decir {word}?',
+  'card.inputForm': '«{form}» es {description}, así que el análisis de abajo es de {word}.',
+
+  // Sections of an analysis
+  'sections.etymology': 'Etimología y evolución histórica',
+  'sections.irregularities': '¿Por qué las formas irregulares?',
+  'sections.conjugation': 'Conjugación',
+  'sections.grammar': 'Gramática',
+  'sections.wordParts': 'Partes de la palabra',
+  'sections.related': 'Palabras relacionadas en {language}',
+  'sections.mnemonic': 'Truco para recordarla',
+  'sections.sentences': 'Frases de ejemplo',
+  'sections.notebook': 'Mi cuaderno',
+  'origins.latin': 'Latín',
+  'origins.greek': 'Griego',
+  'origins.arabic': 'Árabe',
+  'origins.germanic': 'Germánico',
+  'origins.other': 'Otro',
+  'grammar.partOfSpeech': 'Categoría',
+  'grammar.gender': 'Género',
+  'grammar.partsOfSpeech.verb': 'verbo',
+  'grammar.partsOfSpeech.noun': 'sustantivo',
+  'grammar.partsOfSpeech.adjective': 'adjetivo',
+  'grammar.partsOfSpeech.other': 'otra',
+  'grammar.genders.masculine': 'masculino',
+  'grammar.genders.feminine': 'femenino',
+  'grammar.feminine': 'Femenino',
+  'grammar.plural': 'Plural',
+  'grammar.masculinePlural': 'Masculino plural',
+  'grammar.femininePlural': 'Femenino plural',
+  'grammar.gerund': 'Gerundio',
+  'grammar.pastParticiple': 'Participio',
+  'grammar.irregular': 'Irregular',
+  'grammar.irregularForm': 'Forma irregular',
+  'grammar.tenses.present': 'Presente',
+  'grammar.tenses.preterite': 'Pretérito indefinido',
+  'grammar.tenses.imperfect': 'Pretérito imperfecto',
+  'grammar.tenses.future': 'Futuro',
+  'grammar.tenses.conditional': 'Condicional',
+  'grammar.tenses.presentSubjunctive': 'Presente de subjuntivo',
+  'morphemes.types.prefix': 'Prefijo',
+  'morphemes.types.root': 'Raíz',
+  'morphemes.types.suffix': 'Sufijo',
+  'morphemes.types.compound': 'Parte del compuesto',
+  'morphemes.analyze': 'Analizar {word}',
+  'morphemes.openSaved': 'Abrir el análisis guardado',
+  'morphemes.otherWords': 'Otras palabras con',
+  'related.graph': 'Árbol de la familia',
+  'related.list': 'Lista de palabras',
+  'related.watchOut': 'Cuidado',
+  'reliability.true': 'Cognado verdadero',
+  'reliability.partial': 'Cognado parcial',
+  'reliability.false': 'Falso amigo',
+  'family.descended': 'Palabras que descienden de {language} {word}',
+  'family.relationships.inherited': 'Heredada (patrimonial)',
+  'family.relationships.learned': 'Préstamo culto (cultismo)',
+  'family.relationships.cognate': 'Cognado',
+  'family.clickToOpen': 'Haz clic para abrirla',
+  'family.clickToAnalyze': 'Haz clic para analizarla',
+  'family.openWord': 'Abrir {word}',
+  'family.analyzeWord': 'Analizar {word}',
+  'family.boldOutline': 'Borde grueso: ya analizada',
+  'mnemonic.yours': 'Tu truco',
+  'mnemonic.use': 'Usar como mío',
+  'mnemonic.useTitle': 'Usar este como tu truco',
+  'mnemonic.stopUsingTitle': 'Dejar de usar este como tu truco',
+  'mnemonic.rateUp': 'Este me funciona',
+  'mnemonic.rateDown': 'Este no me sirve',
+  'mnemonic.new': 'Nuevo truco',
+  'mnemonic.writing': 'Escribiendo...',
+  'mnemonic.unreadable': 'No se ha podido leer el nuevo truco. Inténtalo de nuevo.',
+  'mnemonic.styles.original': 'Original',
+  'mnemonic.styles.keyword': 'Palabra clave / parecido sonoro',
+  'mnemonic.styles.visual': 'Historia visual',
+  'mnemonic.styles.etymology': 'Basado en la etimología',
+  'mnemonic.styles.rhyme': 'Rima',
+  'sentences.listen': 'Escuchar la frase',
+  'notebook.tags': 'Etiquetas',
+  'notebook.removeTag': 'Quitar la etiqueta {tag}',
+  'notebook.addTag': 'Añade una etiqueta, p. ej. «unidad 3»',
+  'notebook.mnemonic': 'Mi truco',
+  'notebook.mnemonicPlaceholder': 'El truco que te funciona a ti...',
+  'notebook.notes': 'Notas',
+  'notebook.notesPlaceholder': 'Dónde viste la palabra, notas de uso, preguntas para clase...',
+  'copy.etymology': 'Etimología',
+  'copy.mnemonic': 'Truco',
+
+  // Sidebar and footer
+  'sidebar.recent': 'Búsquedas recientes',
+  'sidebar.library': 'Mi biblioteca',
+  'sidebar.export': 'Exportar y copia de seguridad',
+  'sidebar.falseFriends': 'Test de falsos amigos',
+  'sidebar.quiz': 'Test de palabras',
+  'sidebar.proTip': 'Consejo',
+  'sidebar.proTipText': '¡Prueba a analizar palabras compuestas como «sacacorchos» o de origen árabe como «almohada» para hacer viajes etimológicos fascinantes!',
+  'footer.heritage': 'Descubre la rica herencia lingüística que une el español con el latín, el árabe y las lenguas germánicas y celtas',
+
+  // Errors
+  'errors.offline': 'No tienes conexión y esta palabra todavía no se ha analizado en este dispositivo.',
+  'errors.rateLimited': 'Demasiadas solicitudes. Espera un minuto y vuelve a intentarlo.',
+  'errors.provider': 'Error de la API: {message}. Revisa los ajustes de {provider}.',
+  'errors.unreadable': 'No se ha podido leer la respuesta de la IA, ni siquiera después de pedirle que la corrigiera ({problems}). Inténtalo de nuevo.',
+  'errors.generic': 'No se ha podido analizar la palabra. Inténtalo de nuevo.',
+
+  // Settings
+  'settings.title': 'Ajustes',
+  'settings.close': 'Cerrar los ajustes',
+  'settings.interfaceLanguage': 'Idioma de la interfaz',
+  'settings.explanationLanguage': 'Explicaciones y palabras relacionadas en',
+  'settings.explanationHint': 'Los significados, las traducciones de las frases, los cognados y los trucos se escriben en este idioma. Elige español para tener las explicaciones solo en español.',
+  'settings.provider': 'Proveedor',
+  'settings.fields.baseUrl': 'URL base',
+  'settings.fields.apiKey': 'Clave de API',
+  'settings.fields.model': 'Modelo',
+  'settings.fields.temperature': 'Temperatura',
+  'settings.fields.maxTokens': 'Máximo de tokens',
+  'settings.unavailable': 'Este proveedor no está disponible en esta página.',
+  'settings.apiKeyNote': 'La clave de API se guarda en el almacenamiento local de este navegador y se envía desde él. Usa el servidor de Etymo para instalaciones públicas.',
+  'languages.en': 'inglés',
+  'languages.es': 'español',
+  'languages.pt': 'portugués',
+  'languages.fr': 'francés',
+  'languages.it': 'italiano',
+
+  // Batch analysis
+  'batch.title': 'Análisis por lotes',
+  'batch.close': 'Cerrar el análisis por lotes',
+  'batch.placeholder': 'Pega una lista de palabras (una por línea o separadas por comas) o un párrafo en español...',
+  'batch.upload': 'Subir .txt / .csv',
+  'batch.parallel': 'Solicitudes en paralelo',
+  'batch.found': '{count} palabras encontradas',
+  'batch.found_one': '{count} palabra encontrada',
+  'batch.firstOnly': '(solo las {max} primeras)',
+  'batch.stop': 'Detener',
+  'batch.analyze': 'Analizar {count} palabras',
+  'batch.analyze_one': 'Analizar {count} palabra',
+  'batch.progress': '{finished} / {total} analizadas',
+  'batch.failedCount': '{count} con error',
+  'batch.filter': 'Filtrar por palabra o significado...',
+  'batch.all': 'Todas',
+  'batch.pending': 'Pendientes',
+  'batch.columns.word': 'Palabra',
+  'batch.columns.meaning': 'Significado',
+  'batch.columns.origin': 'Origen',
+  'batch.columns.status': 'Estado',
+  'batch.status.queued': 'En cola',
+  'batch.status.running': 'Analizando…',
+  'batch.status.waiting': 'Límite de solicitudes, reintentando…',
+  'batch.status.done': 'Hecho',
+  'batch.status.failed': 'Error',
+  'batch.cached': '(guardada)',
+  'batch.attempt': '(intento {attempt})',
+
+  // Library
+  'library.title': 'Mi biblioteca',
+  'library.close': 'Cerrar la biblioteca',
+  'library.words': 'Palabras ({count})',
+  'library.history': 'Historial ({count})',
+  'library.empty': 'Las palabras que analizas se guardan aquí, con tus notas, etiquetas y favoritos.',
+  'library.search': 'Buscar palabras, significados, notas y etiquetas...',
+  'library.allTags': 'Todas las etiquetas',
+  'library.sort.recent': 'Consultadas recientemente',
+  'library.sort.alphabetical': 'A–Z',
+  'library.sort.frequent': 'Más consultadas',
+  'library.favorites': 'Favoritas',
+  'library.favoritesOnly': 'Mostrar solo las favoritas',
+  'library.addFavorite': 'Añadir a favoritas',
+  'library.removeFavorite': 'Quitar de favoritas',
+  'library.lastLookup': 'Última consulta: {date}',
+  'library.times': '{count} veces',
+  'library.noMatch': 'Ninguna palabra guardada coincide.',
+  'library.showMore': 'Mostrar más',
+
+  // Export and backup
+  'export.close': 'Cerrar la exportación',
+  'export.format': 'Formato',
+  'export.formats.csv': 'CSV (importar en Anki)',
+  'export.formats.tsv': 'TSV (importar en Anki)',
+  'export.formats.markdown': 'Hoja de estudio en Markdown',
+  'export.formats.json': 'Copia de seguridad JSON (todo)',
+  'export.scope': 'Qué',
+  'export.scopes.current': 'Esta palabra',
+  'export.scopes.saved': 'Todas las palabras analizadas',
+  'export.scopes.deck': 'Mazo de tarjetas',
+  'export.columns': 'Columnas (asígnalas a los campos de tu tipo de nota al importar en Anki)',
+  'export.field': 'Campo {number}',
+  'export.fields.word': 'Palabra en español',
+  'export.fields.englishMeaning': 'Significado',
+  'export.fields.etymology': 'Etimología',
+  'export.fields.etymologyStages': 'Evolución etimológica',
+  'export.fields.morphemes': 'Partes de la palabra',
+  'export.fields.mnemonic': 'Truco para recordarla',
+  'export.fields.relatedEnglishWords': 'Palabras relacionadas',
+  'export.fields.sampleSentences': 'Frases de ejemplo',
+  'export.fields.pronunciation': 'Pronunciación',
+  'export.fields.languageFamily': 'Familia lingüística',
+  'export.fields.confidence': 'Fiabilidad',
+  'export.markdown.title': 'Hoja de estudio de Etymo',
+  'export.markdown.wordTitle': 'Etymo: {word}',
+  'export.markdown.exported': 'Exportada el {date} · {count} palabras',
+  'export.markdown.exported_one': 'Exportada el {date} · {count} palabra',
+  'export.markdown.etymology': 'Etimología.',
+  'export.markdown.wordParts': 'Partes de la palabra:',
+  'export.markdown.related': 'Palabras relacionadas:',
+  'export.markdown.watchOut': 'Cuidado con:',
+  'export.markdown.sentences': 'Frases de ejemplo',
+  'export.removeColumn': 'Quitar la columna',
+  'export.addColumn': 'Añadir columna',
+  'export.headerRow': 'Fila de encabezado',
+  'export.import': 'Importar copia de seguridad JSON',
+  'export.importHint': 'Al importar una copia se añaden sus análisis, tarjetas, biblioteca y resultados de los tests; las entradas de la misma palabra se sustituyen por las de la copia.',
+  'export.nothing': 'Todavía no hay nada que exportar.',
+  'export.exportedWords': 'Se han exportado {count} palabras.',
+  'export.exportedWords_one': 'Se ha exportado {count} palabra.',
+  'export.exportedBackup': 'Se han exportado {analyses} análisis, {cards} tarjetas, {entries} entradas de la biblioteca y {records} resultados de tests.',
+  'export.imported': 'Se han importado {analyses} análisis, {cards} tarjetas, {entries} entradas de la biblioteca y {records} resultados de tests.',
+  'export.skipped': 'Se han omitido {count} entradas no válidas.',
+  'export.backupFailed': 'No se han podido leer tus análisis guardados, tu biblioteca ni tus resultados de tests, así que no se ha creado la copia de seguridad. Inténtalo de nuevo.',
+  'export.importFailed': 'No se ha podido importar la copia de seguridad.',
+
+  // Flashcard review
+  'review.title': 'Repaso',
+  'review.progress': 'Quedan {left} • {reviewed} repasadas • {total} en el mazo',
+  'review.leave': 'Salir del repaso',
+  'review.showAnswer': 'Mostrar la respuesta',
+  'review.shortcut': 'Atajo: {key}',
+  'review.space': 'espacio',
+  'review.grades.again': 'Otra vez',
+  'review.grades.hard': 'Difícil',
+  'review.grades.good': 'Bien',
+  'review.grades.easy': 'Fácil',
+  'review.caughtUp': '¡Todo al día!',
+  'review.emptyDeck': 'Tu mazo está vacío',
+  'review.nextDue': 'La próxima tarjeta toca el {date}.',
+  'review.emptyHint': 'Analiza una palabra y pulsa «{button}» para empezar a crearlo.',
+
+  // Pronunciation practice
+  'sayIt.close': 'Cerrar la práctica',
+  'sayIt.word': 'Palabra',
+  'sayIt.sentence': 'Frase {number}',
+  'sayIt.listen': 'Escuchar primero',
+  'sayIt.record': 'Grabar',
+  'sayIt.listening': 'Escuchando… dilo ahora.',
+  'sayIt.heard': 'Se ha oído:',
+  'sayIt.missed': 'Las partes subrayadas no se han entendido. Escucha y vuelve a intentarlo.',
+  'sayIt.errors.noSpeech': 'No se ha oído nada. Pulsa grabar y habla con claridad.',
+  'sayIt.errors.audioCapture': 'No se ha encontrado ningún micrófono.',
+  'sayIt.errors.notAllowed': 'Se ha bloqueado el acceso al micrófono. Permítelo en tu navegador para practicar.',
+  'sayIt.errors.network': 'No se ha podido conectar con el servicio de reconocimiento de voz.',
+  'sayIt.errors.notSupported': 'Este navegador no admite el reconocimiento de voz. Prueba con Chrome o Edge.',
+  'sayIt.errors.failed': 'Ha fallado el reconocimiento de voz. Inténtalo de nuevo.',
+
+  // Quizzes
+  'quiz.title': 'Test de palabras',
+  'quiz.close': 'Cerrar el test',
+  'quiz.empty': 'Todavía no hay análisis guardados. Analiza primero algunas palabras; el test se crea a partir de ellas.',
+  'quiz.questionTypes': 'Tipos de pregunta',
+  'quiz.modes.meaning': 'Significado',
+  'quiz.modes.cognate': 'Cognado',
+  'quiz.modes.origin': 'Lengua de origen',
+  'quiz.modes.cloze': 'Completar el hueco',
+  'quiz.sources.all': 'Todas las palabras guardadas',
+  'quiz.sources.week': 'Las palabras de esta semana',
+  'quiz.sources.weak': 'Mis palabras más flojas',
+  'quiz.sources.tag': 'Una etiqueta de la biblioteca',
+  'quiz.chooseTag': 'Elige una etiqueta',
+  'quiz.questions': '{count} preguntas',
+  'quiz.start': 'Empezar el test ({count} palabras)',
+  'quiz.start_one': 'Empezar el test ({count} palabra)',
+  'quiz.noMatch': 'Ninguna palabra coincide',
+  'quiz.notEnough': 'Estas palabras todavía no tienen material suficiente para los tipos de pregunta elegidos. Prueba con más palabras o con otros tipos.',
+  'quiz.accuracy': 'Tus aciertos, de menos a más',
+  'quiz.accuracyHint': 'Los puntos son tus últimas respuestas; después, tu porcentaje de aciertos reciente y total.',
+  'quiz.analyzeWord': 'Analizar {word}',
+  'quiz.overall': '{accuracy}% de {total}',
+  'quiz.correctCount': '{count} aciertos',
+  'quiz.correctCount_one': '{count} acierto',
+  'quiz.prompts.meaning': '¿Qué significa {word}?',
+  'quiz.prompts.cognate': '¿Qué palabra comparte raíz con {word}?',
+  'quiz.prompts.origin': '¿De qué lengua viene {word}?',
+  'quiz.missingWord': 'Palabra que falta',
+  'quiz.check': 'Comprobar',
+  'quiz.correct': 'Correcto',
+  'quiz.answerIs': 'La respuesta es {answer}',
+  'quiz.watchAccents': '(cuidado con las tildes: {answer})',
+  'quiz.explain.means': '{word} significa «{meaning}».',
+  'quiz.explain.from': 'Viene de: {language} {form}. {family}',
+  'quiz.explain.formOf': '{form} es una forma de {word}, «{meaning}».',
+  'quiz.next': 'Siguiente pregunta',
+  'quiz.results': 'Ver resultados',
+  'quiz.score': '{correct} / {total} aciertos',
+  'quiz.newRound': 'Nueva ronda',
+  'quiz.changeSettings': 'Cambiar los ajustes',
+  'falseFriends.title': 'Test de falsos amigos',
+  'falseFriends.empty': 'Todavía no hay cognados guardados. Analiza primero algunas palabras; sus palabras relacionadas se convierten en preguntas.',
+  'falseFriends.question': '¿{spanish} significa {other}?',
+  'falseFriends.answers.true': 'Sí, lo mismo',
+  'falseFriends.answers.partial': 'Solo en algunos sentidos',
+  'falseFriends.answers.false': 'No, es un falso amigo'
+};
+
+export default es;
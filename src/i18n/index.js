@@ -0,0 +1,45 @@
+import React, { useContext } from 'react';
+import en from './en';
+import es from './es';
+
+// Interface languages, each with its message catalog. Missing messages fall
+// back to English, so a catalog can lag behind while it's being translated.
+export const INTERFACE_LANGUAGES = {
+  en: { label: 'English', messages: en },
+  es: { label: 'Español', messages: es }
+};
+
+export const detectInterfaceLanguage = (languages = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language]) => {
+  const match = languages.map(tag => (tag || '').slice(0, 2).toLowerCase()).find(code => INTERFACE_LANGUAGES[code]);
+  return match || 'en';
+};
+
+// `{name}` placeholders are filled from `values`. With a numeric `count`,
+// a `key_one` message is used for 1 when the catalog has one.
+export const translate = (language, key, values = {}) => {
+  const { messages } = INTERFACE_LANGUAGES[language] || INTERFACE_LANGUAGES.en;
+  const keys = values.count === 1 ? [`${key}_one`, key] : [key];
+  const template = [messages, en].flatMap(catalog => keys.map(candidate => catalog[candidate])).find(Boolean) || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+};
+
+export const createTranslator = (language) => {
+  const t = (key, values) => translate(language, key, values);
+  t.language = INTERFACE_LANGUAGES[language] ? language : 'en';
+  return t;
+};
+
+export const I18nContext = React.createContext(createTranslator('en'));
+
+// The translator for the interface language chosen in settings
+export const useTranslation = () => useContext(I18nContext);
+
+// A message (translated without values) with its placeholders filled in bold,
+// for questions that emphasize the words being asked about
+export const BoldMessage = ({ message, values }) => (
+  <>
+    {message.split(/\{(\w+)\}/).map((part, index) => (
+      index % 2 ? <span key={index} className="font-bold">{values[part]}</span> : part
+    ))}
+  </>
+);
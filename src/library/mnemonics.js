@@ -0,0 +1,44 @@
+import { MNEMONIC_STYLES } from '../analysis/prompt';
+
+// Every mnemonic shown for a word: the one from the analysis first (style
+// null, since the prompt doesn't say which it used), then the regenerated
+// ones oldest first. Ratings live on the library entry's `mnemonicVersions`,
+// matched by text, so the analysis' own mnemonic can be rated too.
+export const listMnemonicVersions = (entry, analysis) => {
+  const saved = (entry && entry.mnemonicVersions) || [];
+  const original = saved.find(version => version.text === analysis.mnemonic);
+  return [
+    original || { text: analysis.mnemonic, style: null, rating: null },
+    ...saved.filter(version => version.text !== analysis.mnemonic)
+  ];
+};
+
+export const addMnemonicVersion = (entry, text, style, now = new Date()) => [
+  ...(entry.mnemonicVersions || []),
+  { text, style, rating: null, createdAt: now.toISOString() }
+];
+
+// Clicking the current rating again clears it.
+export const rateMnemonicVersion = (entry, version, rating, now = new Date()) => {
+  const saved = entry.mnemonicVersions || [];
+  const next = version.rating === rating ? null : rating;
+  if (saved.some(other => other.text === version.text)) {
+    return saved.map(other => (other.text === version.text ? { ...other, rating: next } : other));
+  }
+  return [{ ...version, rating: next, createdAt: now.toISOString() }, ...saved];
+};
+
+// Styles with more thumbs up than down across the library, best first.
+// These are passed to the analysis prompt.
+export const preferredMnemonicStyles = (library) => {
+  const scores = {};
+  for (const entry of library) {
+    for (const version of entry.mnemonicVersions || []) {
+      if (!MNEMONIC_STYLES[version.style] || !version.rating) continue;
+      scores[version.style] = (scores[version.style] || 0) + (version.rating === 'up' ? 1 : -1);
+    }
+  }
+  return Object.keys(scores)
+    .filter(style => scores[style] > 0)
+    .sort((a, b) => scores[b] - scores[a]);
+};
@@ -0,0 +1,57 @@
+import { listMnemonicVersions, addMnemonicVersion, rateMnemonicVersion, preferredMnemonicStyles } from './mnemonics';
+
+const now = new Date('2024-03-01T12:00:00.000Z');
+const analysis = { mnemonic: 'A VENT in the wall lets the wind in.' };
+
+describe('listMnemonicVersions', () => {
+  test('starts with the analysis mnemonic, then the regenerated ones', () => {
+    const entry = { mnemonicVersions: [{ text: 'Ven, tana!', style: 'rhyme', rating: 'up' }] };
+    expect(listMnemonicVersions(entry, analysis)).toEqual([
+      { text: analysis.mnemonic, style: null, rating: null },
+      { text: 'Ven, tana!', style: 'rhyme', rating: 'up' }
+    ]);
+  });
+
+  test('shows the rating saved for the analysis mnemonic', () => {
+    const entry = { mnemonicVersions: [{ text: analysis.mnemonic, style: null, rating: 'down' }] };
+    expect(listMnemonicVersions(entry, analysis)).toEqual([{ text: analysis.mnemonic, style: null, rating: 'down' }]);
+  });
+
+  test('works without a library entry', () => {
+    expect(listMnemonicVersions(undefined, analysis)).toHaveLength(1);
+  });
+});
+
+test('addMnemonicVersion appends an unrated version', () => {
+  expect(addMnemonicVersion({}, 'Ven, tana!', 'rhyme', now)).toEqual([
+    { text: 'Ven, tana!', style: 'rhyme', rating: null, createdAt: now.toISOString() }
+  ]);
+});
+
+describe('rateMnemonicVersion', () => {
+  const version = { text: 'Ven, tana!', style: 'rhyme', rating: null, createdAt: now.toISOString() };
+
+  test('rates a saved version and clears it when rated the same again', () => {
+    const rated = rateMnemonicVersion({ mnemonicVersions: [version] }, version, 'up', now);
+    expect(rated).toEqual([{ ...version, rating: 'up' }]);
+    expect(rateMnemonicVersion({ mnemonicVersions: rated }, rated[0], 'up', now)).toEqual([version]);
+  });
+
+  test('saves the analysis mnemonic the first time it is rated', () => {
+    const [original] = listMnemonicVersions({}, analysis);
+    expect(rateMnemonicVersion({ mnemonicVersions: [version] }, original, 'down', now)).toEqual([
+      { text: analysis.mnemonic, style: null, rating: 'down', createdAt: now.toISOString() },
+      version
+    ]);
+  });
+});
+
+test('preferredMnemonicStyles ranks styles liked more than disliked', () => {
+  const library = [
+    { mnemonicVersions: [{ style: 'rhyme', rating: 'up' }, { style: 'story', rating: 'up' }, { style: null, rating: 'up' }] },
+    { mnemonicVersions: [{ style: 'rhyme', rating: 'up' }, { style: 'story', rating: 'down' }, { style: 'visual', rating: 'up' }] },
+    { mnemonicVersions: [{ style: 'visual', rating: null }, { style: 'made-up', rating: 'up' }] },
+    {}
+  ];
+  expect(preferredMnemonicStyles(library)).toEqual(['rhyme', 'visual']);
+});
@@ -0,0 +1,34 @@
+// Searching, filtering and sorting the library (see storage/library.js).
+
+export const lastLookup = (entry) => entry.lookups[entry.lookups.length - 1] || entry.createdAt;
+
+export const SORT_ORDERS = {
+  recent: { compare: (a, b) => lastLookup(b).localeCompare(lastLookup(a)) },
+  alphabetical: { compare: (a, b) => a.displayWord.localeCompare(b.displayWord, 'es') },
+  frequent: { compare: (a, b) => b.lookups.length - a.lookups.length }
+};
+
+// Matches the query against the word, its meaning, tags, notes and the
+// learner's mnemonic.
+const matches = (entry, query) => [entry.displayWord, entry.englishMeaning, entry.notes, entry.mnemonic, ...entry.tags]
+  .some(text => text && text.toLowerCase().includes(query));
+
+export const filterLibrary = (entries, { query = '', favoritesOnly = false, tag = '', order = 'recent' } = {}) => {
+  const normalizedQuery = query.trim().toLowerCase();
+  return entries
+    .filter(entry =>
+      (!favoritesOnly || entry.favorite) &&
+      (!tag || entry.tags.includes(tag)) &&
+      (!normalizedQuery || matches(entry, normalizedQuery)))
+    .sort(SORT_ORDERS[order].compare);
+};
+
+export const collectTags = (entries) =>
+  [...new Set(entries.flatMap(entry => entry.tags))].sort((a, b) => a.localeCompare(b, 'es'));
+
+// Every lookup, newest first: [{ word, displayWord, at }]
+export const lookupHistory = (entries) => entries
+  .flatMap(entry => entry.lookups.map(at => ({ word: entry.word, displayWord: entry.displayWord, at })))
+  .sort((a, b) => b.at.localeCompare(a.at));
+
+export const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ');
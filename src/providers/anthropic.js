@@ -0,0 +1,71 @@
+import { ProviderError, parseRetryAfter } from './errors.js';
+import { readEventStream } from './streams.js';
+
+const postMessages = async (messages, { baseUrl, apiKey, model, temperature, maxTokens }, { signal, stream = false } = {}) => {
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/messages`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      // Required for calls made straight from the browser
+      'anthropic-dangerous-direct-browser-access': 'true',
+      'Content-Type': 'application/json'
+    },
+    signal,
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream
+    })
+  });
+
+  if (!response.ok) {
+    throw new ProviderError(`Anthropic API error: ${response.status} ${response.statusText}`, {
+      provider: 'anthropic',
+      status: response.status,
+      retryAfterSeconds: parseRetryAfter(response)
+    });
+  }
+  return response;
+};
+
+export const anthropic = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  fields: ['apiKey', 'model', 'temperature', 'maxTokens'],
+  defaults: {
+    baseUrl: 'https://api.anthropic.com/v1',
+    apiKey: '',
+    model: 'claude-sonnet-4-20250514',
+    temperature: 0.7,
+    maxTokens: 2000
+  },
+  async complete(messages, config, { signal } = {}) {
+    const response = await postMessages(messages, config, { signal });
+    const data = await response.json();
+    return data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  },
+  async stream(messages, config, { signal, onText } = {}) {
+    const response = await postMessages(messages, config, { signal, stream: true });
+    let fullText = '';
+    await readEventStream(response, ({ event, data }) => {
+      if (event === 'error') {
+        throw new ProviderError(`Anthropic API error: ${JSON.parse(data).error?.message || 'stream error'}`, {
+          provider: 'anthropic'
+        });
+      }
+      if (event !== 'content_block_delta') return;
+      const { delta } = JSON.parse(data);
+      if (delta.type === 'text_delta') {
+        fullText += delta.text;
+        onText(delta.text);
+      }
+    });
+    return fullText;
+  }
+};
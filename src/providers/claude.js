@@ -0,0 +1,30 @@
+import { ProviderError } from './errors.js';
+
+// `window.claude.complete(prompt)` is injected by the host page (e.g. Claude
+// artifacts). It takes a single prompt string and picks its own model, so the
+// model/temperature/max_tokens settings don't apply here.
+const flattenMessages = (messages) => {
+  if (messages.length === 1) {
+    return messages[0].content;
+  }
+  return messages
+    .map(message => `${message.role === 'assistant' ? 'Assistant' : 'Human'}: ${message.content}`)
+    .join('\n\n');
+};
+
+export const claude = {
+  id: 'claude',
+  label: 'Claude (window.claude)',
+  description: "Uses the host page's window.claude.complete(); model and sampling options are managed by the host.",
+  fields: [],
+  defaults: {},
+  isAvailable() {
+    return typeof window !== 'undefined' && typeof window.claude?.complete === 'function';
+  },
+  async complete(messages) {
+    if (!this.isAvailable()) {
+      throw new ProviderError('window.claude.complete() is not available on this page', { provider: 'claude' });
+    }
+    return window.claude.complete(flattenMessages(messages));
+  }
+};
@@ -0,0 +1,17 @@
+// Raised by provider adapters when the backend answers with a non-2xx status
+// or cannot be reached at all. `status` is the HTTP status when there is one,
+// `retryAfterSeconds` the backend's Retry-After hint on 429/503.
+export class ProviderError extends Error {
+  constructor(message, { provider, status, retryAfterSeconds } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+export const parseRetryAfter = (response) => {
+  const seconds = Number(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : undefined;
+};
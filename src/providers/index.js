@@ -0,0 +1,36 @@
+import { openai } from './openai.js';
+import { anthropic } from './anthropic.js';
+import { claude } from './claude.js';
+import { local } from './local.js';
+import { proxy } from './proxy.js';
+
+export { ProviderError } from './errors.js';
+
+// Every adapter exposes the same shape:
+//   id, label        identifiers used in settings and the UI
+//   description      optional note shown in the settings panel
+//   fields           which settings the panel shows for it
+//   defaults         default value of each of those settings
+//   complete(messages, config, { signal }) -> Promise<string>
+//   stream(messages, config, { signal, onText })  optional; calls onText with
+//                    each piece of text as it arrives and resolves to the whole
+// Adapters with `remotePrompt: true` receive the task request instead of
+// messages and leave prompt building to the server.
+//
+// Relative imports in this directory (and in analysis/prompt.js) carry the
+// `.js` extension because server/ loads them as native ES modules.
+export const PROVIDERS = {
+  [proxy.id]: proxy,
+  [openai.id]: openai,
+  [anthropic.id]: anthropic,
+  [claude.id]: claude,
+  [local.id]: local
+};
+
+export const getProvider = (id) => {
+  const provider = PROVIDERS[id];
+  if (!provider) {
+    throw new Error(`Unknown provider: ${id}`);
+  }
+  return provider;
+};
@@ -0,0 +1,22 @@
+import { requestChatCompletion, streamChatCompletion } from './openai.js';
+
+// Any server speaking the OpenAI chat completions API: Ollama (`ollama serve`),
+// llama.cpp's `llama-server`, LM Studio, vLLM...
+export const local = {
+  id: 'local',
+  label: 'Local (OpenAI-compatible)',
+  fields: ['baseUrl', 'model', 'temperature', 'maxTokens', 'apiKey'],
+  defaults: {
+    baseUrl: 'http://localhost:11434/v1',
+    apiKey: '',
+    model: 'llama3.1',
+    temperature: 0.7,
+    maxTokens: 2000
+  },
+  complete(messages, config, options) {
+    return requestChatCompletion({ providerId: 'local', label: 'Local model', ...config }, messages, options);
+  },
+  stream(messages, config, options) {
+    return streamChatCompletion({ providerId: 'local', label: 'Local model', ...config }, messages, options);
+  }
+};
@@ -0,0 +1,71 @@
+import { ProviderError, parseRetryAfter } from './errors.js';
+import { readEventStream } from './streams.js';
+
+// Shared by the OpenAI adapter and the local OpenAI-compatible adapter.
+const postChatCompletion = async ({ providerId, label, baseUrl, apiKey, model, temperature, maxTokens }, messages, { signal, stream = false } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    signal,
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream
+    })
+  });
+
+  if (!response.ok) {
+    throw new ProviderError(`${label} API error: ${response.status} ${response.statusText}`, {
+      provider: providerId,
+      status: response.status,
+      retryAfterSeconds: parseRetryAfter(response)
+    });
+  }
+  return response;
+};
+
+export const requestChatCompletion = async (config, messages, options) => {
+  const response = await postChatCompletion(config, messages, options);
+  const data = await response.json();
+  return data.choices[0].message.content;
+};
+
+export const streamChatCompletion = async (config, messages, { signal, onText } = {}) => {
+  const response = await postChatCompletion(config, messages, { signal, stream: true });
+  let fullText = '';
+  await readEventStream(response, ({ data }) => {
+    if (data === '[DONE]') return;
+    const text = JSON.parse(data).choices[0]?.delta?.content;
+    if (text) {
+      fullText += text;
+      onText(text);
+    }
+  });
+  return fullText;
+};
+
+export const openai = {
+  id: 'openai',
+  label: 'OpenAI',
+  fields: ['apiKey', 'model', 'temperature', 'maxTokens'],
+  defaults: {
+    baseUrl: 'https://api.openai.com/v1',
+    apiKey: '',
+    model: 'gpt-4o',
+    temperature: 0.7,
+    maxTokens: 2000
+  },
+  complete(messages, config, options) {
+    return requestChatCompletion({ providerId: 'openai', label: 'OpenAI', ...config }, messages, options);
+  },
+  stream(messages, config, options) {
+    return streamChatCompletion({ providerId: 'openai', label: 'OpenAI', ...config }, messages, options);
+  }
+};
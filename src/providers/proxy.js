@@ -0,0 +1,56 @@
+import { ProviderError, parseRetryAfter } from './errors.js';
+import { readTextStream } from './streams.js';
+
+const postRequest = async (request, { baseUrl }, signal) => {
+  let response;
+  try {
+    response = await fetch(`${baseUrl.replace(/\/$/, '')}/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal,
+      body: JSON.stringify(request)
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new ProviderError('Etymo server unreachable', { provider: 'proxy' });
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new ProviderError(`Etymo server error: ${response.status} ${data.error || response.statusText}`, {
+      provider: 'proxy',
+      status: response.status,
+      retryAfterSeconds: parseRetryAfter(response)
+    });
+  }
+  return response;
+};
+
+// Talks to the Etymo server in server/, which holds the API key, builds the
+// prompt and forwards it to the configured model.
+export const proxy = {
+  id: 'proxy',
+  label: 'Etymo server',
+  description: 'Model, temperature and API key are configured on the server (see server/README.md).',
+  fields: ['baseUrl'],
+  remotePrompt: true,
+  defaults: {
+    baseUrl: '/api'
+  },
+  async complete(request, config, { signal } = {}) {
+    const response = await postRequest(request, config, signal);
+    const data = await response.json();
+    return data.content;
+  },
+  // With `stream: true` the server answers with the model's text as a
+  // chunked text/plain body.
+  async stream(request, config, { signal, onText } = {}) {
+    const response = await postRequest({ ...request, stream: true }, config, signal);
+    try {
+      return await readTextStream(response, onText);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      throw new ProviderError('Etymo server stream interrupted', { provider: 'proxy' });
+    }
+  }
+};
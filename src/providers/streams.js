@@ -0,0 +1,49 @@
+// Readers for streamed fetch() responses. Both work on the WHATWG stream that
+// browsers and Node 18+ expose as `response.body`.
+
+const readChunks = async (response, onChunk) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  for (;;) {
+    const { done, value } = await reader.read();
+    const text = decoder.decode(value, { stream: !done });
+    if (text) onChunk(text);
+    if (done) return;
+  }
+};
+
+// Plain text body, delivered as it arrives. Resolves to the whole text.
+export const readTextStream = async (response, onText) => {
+  let fullText = '';
+  await readChunks(response, (text) => {
+    fullText += text;
+    onText(text);
+  });
+  return fullText;
+};
+
+// Server-sent events. Calls onEvent({ event, data }) for each complete event.
+export const readEventStream = async (response, onEvent) => {
+  let buffer = '';
+
+  const dispatch = (raw) => {
+    let event = 'message';
+    const data = [];
+    for (const line of raw.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (data.length) onEvent({ event, data: data.join('\n') });
+  };
+
+  await readChunks(response, (text) => {
+    buffer += text;
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  });
+  if (buffer.trim()) dispatch(buffer);
+};
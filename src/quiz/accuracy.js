@@ -0,0 +1,31 @@
+// Per-word accuracy from stored quiz answers (storage/quizResults.js).
+
+const RECENT_ANSWERS = 10;
+
+// Words below this recent accuracy count as weak
+export const WEAK_ACCURACY = 70;
+
+const percent = (answers) => (answers.length
+  ? Math.round(100 * answers.filter(answer => answer.correct).length / answers.length)
+  : null);
+
+// `recent` is the accuracy over the last few answers, so improvement shows
+// even when early mistakes drag the overall figure down.
+export const summarizeResult = (result) => {
+  const recentAnswers = result.answers.slice(-RECENT_ANSWERS);
+  return {
+    word: result.word,
+    displayWord: result.displayWord,
+    total: result.answers.length,
+    accuracy: percent(result.answers),
+    recent: percent(recentAnswers),
+    recentAnswers,
+    lastAt: result.answers.length ? result.answers[result.answers.length - 1].at : null
+  };
+};
+
+// Weakest first, then the most practised
+export const summarizeResults = (results) => results
+  .filter(result => result.answers.length)
+  .map(summarizeResult)
+  .sort((a, b) => a.recent - b.recent || b.total - a.total);
@@ -0,0 +1,236 @@
+import { shuffle } from './falseFriends';
+import { classifyRelatedWords } from '../analysis/cognates';
+import { normalizeWord, stripAccents } from '../analysis/words';
+import { summarizeResults, WEAK_ACCURACY } from './accuracy';
+
+// Warm-up exercises built from saved analyses. Every question carries the
+// dictionary form it tests (`key`, normalized like the library) so answers
+// can be tracked per word. Explanations are either text from the analysis or
+// a `{ key, values }` message for the interface to translate.
+
+export const QUIZ_MODES = ['meaning', 'cognate', 'origin', 'cloze'];
+
+export const ORIGINS = ['latin', 'greek', 'arabic', 'germanic', 'other'];
+
+export const QUIZ_SOURCES = ['all', 'week', 'weak', 'tag'];
+
+const CHOICE_COUNT = 4;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Compared without case or accents
+const fold = (text) => stripAccents(text.trim().toLowerCase());
+
+const wordKey = (record) => normalizeWord(record.analysis.word);
+
+const pickDistractors = (answer, candidates, random) => {
+  const seen = new Set([fold(answer)]);
+  const distractors = [];
+  for (const candidate of shuffle(candidates, random)) {
+    if (seen.has(fold(candidate))) continue;
+    seen.add(fold(candidate));
+    distractors.push(candidate);
+    if (distractors.length === CHOICE_COUNT - 1) break;
+  }
+  return distractors;
+};
+
+const choiceQuestion = (record, mode, answer, candidates, random, extra) => {
+  const distractors = pickDistractors(answer, candidates, random);
+  if (!distractors.length) return null;
+  return {
+    mode,
+    key: wordKey(record),
+    word: record.analysis.word,
+    answer,
+    choices: shuffle([answer, ...distractors], random),
+    ...extra
+  };
+};
+
+const meaningQuestion = (record, records, random) => choiceQuestion(
+  record,
+  'meaning',
+  record.analysis.englishMeaning,
+  records.filter(other => other !== record).map(other => other.analysis.englishMeaning),
+  random,
+  { explanation: record.analysis.etymology }
+);
+
+// False friends would make the "right" answer misleading, so only true,
+// partial and unclassified related words are asked for.
+const cognateQuestion = (record, records, random) => {
+  const related = classifyRelatedWords(record.analysis).filter(item => item.reliability !== 'false');
+  if (!related.length) return null;
+  const own = new Set(classifyRelatedWords(record.analysis).map(item => fold(item.word)));
+  const pick = related[Math.floor(random() * related.length)];
+  return choiceQuestion(
+    record,
+    'cognate',
+    pick.word,
+    records
+      .filter(other => other !== record)
+      .flatMap(other => other.analysis.relatedEnglishWords || [])
+      .filter(word => !own.has(fold(word))),
+    random,
+    {
+      explanation: pick.explanation ||
+        { key: 'quiz.explain.means', values: { word: record.analysis.word, meaning: record.analysis.englishMeaning } }
+    }
+  );
+};
+
+// Matched against the etymology with accents folded, in any of the
+// explanation languages: "Latin", "latín", "latim", "latino"; "Greek",
+// "griego", "grego", "grec", "greco"; and so on.
+const ORIGIN_PATTERNS = [
+  ['arabic', /\b(arab|andalus)/i],
+  ['greek', /\b(greek|grieg[oa]|greg[oa]|grec|grecque|grec[oa]|greci|grechi)s?\b/i],
+  ['germanic', /\b(german|goth|gotic|visigo|god[oa]s?\b|frankish|francic|francique|francon)/i],
+  ['latin', /\b(latin|latim)/i]
+];
+
+// The oldest etymology stage says where the word comes from. Analyses made
+// before stages existed fall back to the first language the etymology
+// mentions.
+export const originOf = (analysis) => {
+  const stages = analysis.etymologyStages || [];
+  if (stages.length) return stages[0].branch;
+
+  const etymology = stripAccents(analysis.etymology || '');
+  let origin = null;
+  let earliest = Infinity;
+  for (const [branch, pattern] of ORIGIN_PATTERNS) {
+    const match = pattern.exec(etymology);
+    if (match && match.index < earliest) {
+      origin = branch;
+      earliest = match.index;
+    }
+  }
+  return origin;
+};
+
+const originQuestion = (record) => {
+  const origin = originOf(record.analysis);
+  if (!origin) return null;
+  const oldest = (record.analysis.etymologyStages || [])[0];
+  return {
+    mode: 'origin',
+    key: wordKey(record),
+    word: record.analysis.word,
+    answer: origin,
+    choices: ORIGINS,
+    explanation: oldest
+      ? { key: 'quiz.explain.from', values: { language: oldest.language, form: oldest.form, family: record.analysis.languageFamily || '' } }
+      : record.analysis.etymology
+  };
+};
+
+// Spellings of the word that may appear in its sentences: the dictionary
+// form, what was typed, and the inflected forms from the grammar table.
+const knownForms = (analysis) => {
+  const grammar = analysis.grammar || {};
+  return [
+    analysis.word,
+    analysis.inputForm && analysis.inputForm.form,
+    grammar.plural,
+    grammar.feminine,
+    grammar.femininePlural,
+    grammar.gerund,
+    grammar.pastParticiple,
+    ...(grammar.conjugation || []).flatMap(tense => tense.forms.map(form => form && form.form))
+  ].filter(Boolean).map(fold);
+};
+
+const sharedPrefix = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length++;
+  return length;
+};
+
+// Finds the word in a sentence: a known form, or failing that a token that
+// shares most of the word's stem (hablamos for hablar).
+export const findWordInSentence = (sentence, analysis) => {
+  const forms = new Set(knownForms(analysis));
+  const stem = fold(analysis.word);
+  const tokens = [...sentence.matchAll(/\p{L}+/gu)];
+  const match = tokens.find(token => forms.has(fold(token[0]))) ||
+    tokens.find(token => sharedPrefix(fold(token[0]), stem) >= Math.max(4, stem.length - 3));
+  return match ? { index: match.index, text: match[0] } : null;
+};
+
+const clozeQuestion = (record, records, random) => {
+  const sentences = shuffle(record.analysis.sampleSentences || [], random);
+  for (const sentence of sentences) {
+    const found = findWordInSentence(sentence.spanish, record.analysis);
+    if (!found) continue;
+    return {
+      mode: 'cloze',
+      key: wordKey(record),
+      word: record.analysis.word,
+      answer: found.text,
+      before: sentence.spanish.slice(0, found.index),
+      after: sentence.spanish.slice(found.index + found.text.length),
+      translation: sentence.english,
+      explanation: {
+        key: 'quiz.explain.formOf',
+        values: { form: found.text, word: record.analysis.word, meaning: record.analysis.englishMeaning }
+      }
+    };
+  }
+  return null;
+};
+
+const BUILDERS = {
+  meaning: meaningQuestion,
+  cognate: cognateQuestion,
+  origin: originQuestion,
+  cloze: clozeQuestion
+};
+
+// The saved analyses a quiz draws on: all of them, those analyzed or looked
+// up in the last seven days (a warm-up on the week's words), those whose
+// recent quiz accuracy is below WEAK_ACCURACY, or those with a library tag.
+// An inflected form cached alongside its lemma counts once.
+export const selectQuizRecords = (records, { source = 'all', tag, library = [], results = [], now = new Date() } = {}) => {
+  const entries = new Map(library.map(entry => [entry.word, entry]));
+  const since = new Date(now.getTime() - WEEK_MS).toISOString();
+  const weak = new Set(summarizeResults(results).filter(summary => summary.recent < WEAK_ACCURACY).map(summary => summary.word));
+
+  const includes = {
+    all: () => true,
+    week: (key, record, entry) => record.cachedAt >= since || Boolean(entry && entry.lookups.some(at => at >= since)),
+    weak: (key) => weak.has(key),
+    tag: (key, record, entry) => Boolean(entry && entry.tags.includes(tag))
+  }[source];
+
+  const seen = new Set();
+  return records.filter(record => {
+    const key = wordKey(record);
+    if (seen.has(key) || !includes(key, record, entries.get(key))) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Typed cloze answers are accepted without accents; `exact` says whether the
+// accents were right too.
+export const checkAnswer = (question, given) => {
+  const correct = fold(given) === fold(question.answer);
+  return { correct, exact: correct && given.trim().toLowerCase() === question.answer.toLowerCase() };
+};
+
+// Up to `count` questions across the chosen modes, taking the modes in turn
+// so a short quiz still mixes them, and each word at most once per mode.
+export const buildQuiz = (records, { modes = QUIZ_MODES, count = 10, random = Math.random } = {}) => {
+  const pools = modes.map(mode => shuffle(records, random)
+    .map(record => BUILDERS[mode](record, records, random))
+    .filter(Boolean));
+
+  const questions = [];
+  while (questions.length < count && pools.some(pool => pool.length)) {
+    for (const pool of pools) {
+      if (pool.length && questions.length < count) questions.push(pool.shift());
+    }
+  }
+  return shuffle(questions, random);
+};
@@ -0,0 +1,87 @@
+import { findWordInSentence, buildQuiz, originOf } from './exercises';
+import { validateAnalysis } from '../analysis/schema';
+import { loadFixture } from '../testing/mockProvider';
+
+const recordOf = (name) => ({ word: name, analysis: validateAnalysis(loadFixture(name).reply, name).analysis });
+const records = [recordOf('biblioteca'), recordOf('ventana')];
+
+// Repeatable stand-in for Math.random
+const seededRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+describe('findWordInSentence', () => {
+  const hablar = {
+    word: 'hablar',
+    grammar: { conjugation: [{ tense: 'present', forms: [{ person: 'yo', form: 'hablo' }, null, { person: 'él', form: 'habla' }] }] }
+  };
+
+  test('finds the dictionary form or an inflected form from the grammar table', () => {
+    expect(findWordInSentence('Hay dos bibliotecas aquí.', records[0].analysis)).toEqual({ index: 8, text: 'bibliotecas' });
+    expect(findWordInSentence('Ella habla despacio.', hablar)).toEqual({ index: 5, text: 'habla' });
+  });
+
+  test('matches without case or accents', () => {
+    expect(findWordInSentence('BIBLIOTECA MUNICIPAL', records[0].analysis)).toEqual({ index: 0, text: 'BIBLIOTECA' });
+  });
+
+  test('falls back to a token sharing the stem', () => {
+    expect(findWordInSentence('Nosotros hablamos mucho.', hablar)).toEqual({ index: 9, text: 'hablamos' });
+  });
+
+  test('returns null when the word is not in the sentence', () => {
+    expect(findWordInSentence('Abre la puerta.', records[1].analysis)).toBeNull();
+  });
+});
+
+describe('originOf', () => {
+  test('takes the branch of the oldest etymology stage', () => {
+    expect(originOf(records[0].analysis)).toBe('greek');
+  });
+
+  test.each([
+    ['From Latin fenestra.', 'latin'],
+    ['Del latín fenestra, y este del griego.', 'latin'],
+    ['Do latim fenestra.', 'latin'],
+    ['Del griego biblion y el latín bibliotheca.', 'greek'],
+    ['Du grec biblion.', 'greek'],
+    ['Dal greco biblion.', 'greek'],
+    ['Del árabe hispánico aḍḍáy‘a.', 'arabic'],
+    ['De l\'arabe al-qutn.', 'arabic'],
+    ['Del gótico *spaura.', 'germanic'],
+    ['Del fráncico *want.', 'germanic'],
+    ['Of unknown origin.', null]
+  ])('reads the first language named in "%s" for older analyses', (etymology, origin) => {
+    expect(originOf({ etymology })).toBe(origin);
+  });
+});
+
+describe('buildQuiz', () => {
+  test('asks each word at most once per mode', () => {
+    const quiz = buildQuiz(records, { modes: ['origin'], count: 10, random: seededRandom(1) });
+    expect(quiz.map(question => question.key).sort()).toEqual(['biblioteca', 'ventana']);
+    expect(quiz.map(question => question.answer).sort()).toEqual(['greek', 'latin']);
+  });
+
+  test('takes the modes in turn so a short quiz still mixes them', () => {
+    const quiz = buildQuiz(records, { modes: ['meaning', 'cloze'], count: 2, random: seededRandom(1) });
+    expect(quiz.map(question => question.mode).sort()).toEqual(['cloze', 'meaning']);
+  });
+
+  test('blanks the word out of a sample sentence for cloze questions', () => {
+    const [question] = buildQuiz([records[1]], { modes: ['cloze'], random: seededRandom(1) });
+    expect(question).toEqual(expect.objectContaining({
+      answer: 'ventana',
+      before: 'Abre la ',
+      after: ', por favor.',
+      translation: 'Open the window, please.'
+    }));
+  });
+
+  test('gives the same quiz for the same random source', () => {
+    const build = () => buildQuiz(records, { random: seededRandom(7) });
+    expect(build()).toEqual(build());
+    expect(build().length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,31 @@
+// Questions for the false-friends quiz, built from saved analyses: "Does
+// éxito mean exit?" The learner answers with a cognate reliability.
+
+export const shuffle = (items, random = Math.random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// False and partial cognates are what the quiz is for; true cognates are
+// mixed in so that "false friend" isn't always the answer.
+export const buildFalseFriendQuestions = (records, { count = 10, random = Math.random } = {}) => {
+  const questions = records.flatMap(record => (record.analysis.cognates || []).map(cognate => ({
+    spanish: record.analysis.word,
+    meaning: record.analysis.englishMeaning,
+    english: cognate.word,
+    reliability: cognate.reliability,
+    explanation: cognate.explanation
+  })));
+
+  const tricky = shuffle(questions.filter(question => question.reliability !== 'true'), random);
+  const trueCognates = shuffle(questions.filter(question => question.reliability === 'true'), random);
+  const trueCount = Math.min(trueCognates.length, Math.max(1, Math.floor(count / 3)));
+  const selected = [...tricky.slice(0, count - trueCount), ...trueCognates.slice(0, trueCount)];
+  // Top up with true cognates when there aren't enough tricky pairs
+  const topUp = trueCognates.slice(trueCount, trueCount + count - selected.length);
+  return shuffle([...selected, ...topUp], random);
+};
@@ -0,0 +1,66 @@
+// SM-2 style scheduling with Anki's four answer buttons. Intervals are in
+// days; a failed card comes back after RELEARN_MINUTES in the same session.
+
+export const GRADES = ['again', 'hard', 'good', 'easy'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_MINUTES = 10;
+const MIN_EASE = 1.3;
+
+export const newCardSchedule = (now = new Date()) => ({
+  due: now.toISOString(),
+  interval: 0,
+  ease: 2.5,
+  reps: 0,
+  lapses: 0
+});
+
+// Returns the scheduling fields for `card` after answering with `grade`.
+export const scheduleCard = (card, grade, now = new Date()) => {
+  let { interval, ease, reps, lapses } = card;
+
+  if (grade === 'again') {
+    return {
+      due: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000).toISOString(),
+      interval: 0,
+      ease: Math.max(MIN_EASE, Math.round((ease - 0.2) * 100) / 100),
+      reps: 0,
+      lapses: lapses + 1,
+      lastReviewed: now.toISOString()
+    };
+  }
+
+  const goodInterval = reps === 0 ? 1 : reps === 1 ? 6 : Math.round(interval * ease);
+  if (grade === 'hard') {
+    interval = reps === 0 ? 1 : Math.max(interval + 1, Math.round(interval * 1.2));
+    ease = Math.max(MIN_EASE, ease - 0.15);
+  } else if (grade === 'good') {
+    interval = goodInterval;
+  } else if (grade === 'easy') {
+    interval = reps === 0 ? 4 : Math.round(goodInterval * 1.3);
+    ease += 0.15;
+  } else {
+    throw new Error(`Unknown grade: ${grade}`);
+  }
+
+  return {
+    due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    interval,
+    ease: Math.round(ease * 100) / 100,
+    reps: reps + 1,
+    lapses,
+    lastReviewed: now.toISOString()
+  };
+};
+
+export const isDue = (card, now = new Date()) => new Date(card.due) <= now;
+
+// Short label for the grade buttons, e.g. "10m", "1d", "2mo".
+export const formatInterval = (card, grade, now = new Date()) => {
+  const minutes = Math.round((new Date(scheduleCard(card, grade, now).due) - now) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const days = Math.round(minutes / (24 * 60));
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${(days / 365).toFixed(1)}y`;
+};
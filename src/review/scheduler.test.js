@@ -0,0 +1,58 @@
+import { newCardSchedule, scheduleCard, isDue, formatInterval } from './scheduler';
+
+const now = new Date('2024-03-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysUntil = (schedule) => (new Date(schedule.due) - now) / DAY_MS;
+
+describe('scheduleCard', () => {
+  const fresh = newCardSchedule(now);
+
+  test('steps a new card through 1 and 6 days, then multiplies by the ease', () => {
+    const first = scheduleCard(fresh, 'good', now);
+    const second = scheduleCard(first, 'good', now);
+    const third = scheduleCard(second, 'good', now);
+
+    expect([first, second, third].map(schedule => schedule.interval)).toEqual([1, 6, 15]);
+    expect(daysUntil(third)).toBe(15);
+    expect(third.reps).toBe(3);
+  });
+
+  test('brings a failed card back in ten minutes with a lower ease', () => {
+    const learned = { ...fresh, interval: 15, reps: 3, ease: 2.5 };
+    const failed = scheduleCard(learned, 'again', now);
+
+    expect(new Date(failed.due) - now).toBe(10 * 60 * 1000);
+    expect(failed).toEqual(expect.objectContaining({ interval: 0, reps: 0, lapses: 1, ease: 2.3 }));
+  });
+
+  test('never lets the ease drop below 1.3', () => {
+    const struggling = { ...fresh, ease: 1.35, reps: 2, interval: 6 };
+    expect(scheduleCard(struggling, 'hard', now).ease).toBe(1.3);
+    expect(scheduleCard(struggling, 'again', now).ease).toBe(1.3);
+  });
+
+  test('grows hard answers slowly and easy answers fast', () => {
+    const learned = { ...fresh, interval: 10, reps: 3, ease: 2.5 };
+    expect(scheduleCard(learned, 'hard', now).interval).toBe(12);
+    expect(scheduleCard(learned, 'good', now).interval).toBe(25);
+    expect(scheduleCard(learned, 'easy', now)).toEqual(expect.objectContaining({ interval: 33, ease: 2.65 }));
+  });
+
+  test('rejects an unknown grade', () => {
+    expect(() => scheduleCard(fresh, 'perfect', now)).toThrow('Unknown grade: perfect');
+  });
+});
+
+test('isDue compares the due date with now', () => {
+  expect(isDue({ due: now.toISOString() }, now)).toBe(true);
+  expect(isDue({ due: new Date(now.getTime() + 1000).toISOString() }, now)).toBe(false);
+});
+
+test('formatInterval labels minutes, days, months and years', () => {
+  const card = (interval, reps) => ({ ...newCardSchedule(now), interval, reps, ease: 2.5 });
+  expect(formatInterval(card(0, 0), 'again', now)).toBe('10m');
+  expect(formatInterval(card(0, 0), 'good', now)).toBe('1d');
+  expect(formatInterval(card(40, 4), 'good', now)).toBe('3mo');
+  expect(formatInterval(card(200, 6), 'good', now)).toBe('1.4y');
+});
@@ -0,0 +1,37 @@
+// URL routes:
+//
+//   /               search
+//   /word/:word     the analysis of a word
+//   /history        the library and lookup history
+//   /review         flashcard review
+//
+// Anything else is treated as the search page.
+
+export const parseRoute = (pathname) => {
+  const wordMatch = /^\/word\/([^/]+)\/?$/.exec(pathname);
+  if (wordMatch) {
+    try {
+      return { view: 'word', word: decodeURIComponent(wordMatch[1]) };
+    } catch (err) {
+      return { view: 'home' };
+    }
+  }
+  if (/^\/history\/?$/.test(pathname)) return { view: 'history' };
+  if (/^\/review\/?$/.test(pathname)) return { view: 'review' };
+  return { view: 'home' };
+};
+
+export const buildPath = (route) => {
+  switch (route.view) {
+    case 'word':
+      return `/word/${encodeURIComponent(route.word.trim())}`;
+    case 'history':
+      return '/history';
+    case 'review':
+      return '/review';
+    default:
+      return '/';
+  }
+};
+
+export const wordUrl = (word, origin = window.location.origin) => `${origin}${buildPath({ view: 'word', word })}`;
@@ -0,0 +1,38 @@
+import { parseRoute, buildPath, wordUrl } from './routes';
+
+describe('parseRoute', () => {
+  test.each([
+    ['/', { view: 'home' }],
+    ['/word/ventana', { view: 'word', word: 'ventana' }],
+    ['/word/coraz%C3%B3n/', { view: 'word', word: 'corazón' }],
+    ['/history', { view: 'history' }],
+    ['/review/', { view: 'review' }],
+    ['/word/', { view: 'home' }],
+    ['/word/a/b', { view: 'home' }],
+    ['/settings', { view: 'home' }]
+  ])('%s', (pathname, route) => {
+    expect(parseRoute(pathname)).toEqual(route);
+  });
+
+  test('falls back to search for a malformed escape', () => {
+    expect(parseRoute('/word/%E0%A4%A')).toEqual({ view: 'home' });
+  });
+});
+
+describe('buildPath', () => {
+  test('round-trips through parseRoute', () => {
+    ['home', 'history', 'review'].forEach(view => {
+      expect(parseRoute(buildPath({ view }))).toEqual({ view });
+    });
+    expect(parseRoute(buildPath({ view: 'word', word: ' sacacorchos ' }))).toEqual({ view: 'word', word: 'sacacorchos' });
+  });
+
+  test('escapes accents and slashes in words', () => {
+    expect(buildPath({ view: 'word', word: 'corazón' })).toBe('/word/coraz%C3%B3n');
+    expect(buildPath({ view: 'word', word: 'y/o' })).toBe('/word/y%2Fo');
+  });
+});
+
+test('wordUrl is a shareable link to the word', () => {
+  expect(wordUrl('año', 'https://etymo.example')).toBe('https://etymo.example/word/a%C3%B1o');
+});
@@ -0,0 +1,25 @@
+import { useState, useEffect, useCallback } from 'react';
+import { parseRoute, buildPath } from './routes';
+
+// The current route, kept in sync with the address bar. navigate() pushes a
+// history entry (or replaces the current one) unless the path is unchanged;
+// back/forward update the route through popstate.
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+
+  useEffect(() => {
+    const handlePopState = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const path = buildPath(next);
+    if (path !== window.location.pathname) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+    }
+    setRoute(parseRoute(path));
+  }, []);
+
+  return [route, navigate];
+};
@@ -0,0 +1,58 @@
+import { PROVIDERS } from './providers';
+import { EXPLANATION_LANGUAGES } from './analysis/prompt';
+import { INTERFACE_LANGUAGES, detectInterfaceLanguage } from './i18n';
+
+const STORAGE_KEY = 'etymo.settings';
+
+// The Etymo server holds the API key, so it is the default. Direct providers
+// are meant for local development with a key typed into the settings panel.
+export const createDefaultSettings = () => ({
+  provider: 'proxy',
+  providers: Object.fromEntries(
+    Object.values(PROVIDERS).map(provider => [provider.id, { ...provider.defaults }])
+  ),
+  // Voices are remembered by name; the voice objects change between page loads
+  speech: { voiceName: null, rate: 0.8, repeatSlow: false },
+  interfaceLanguage: detectInterfaceLanguage(),
+  // The language meanings, explanations and related words are given in
+  explanationLanguage: 'en'
+});
+
+export const loadSettings = () => {
+  const defaults = createDefaultSettings();
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored) return defaults;
+
+    return {
+      ...defaults,
+      ...stored,
+      provider: PROVIDERS[stored.provider] ? stored.provider : defaults.provider,
+      interfaceLanguage: INTERFACE_LANGUAGES[stored.interfaceLanguage] ? stored.interfaceLanguage : defaults.interfaceLanguage,
+      explanationLanguage: EXPLANATION_LANGUAGES[stored.explanationLanguage] ? stored.explanationLanguage : defaults.explanationLanguage,
+      speech: { ...defaults.speech, ...stored.speech },
+      providers: Object.fromEntries(
+        Object.keys(defaults.providers).map(id => [
+          id,
+          { ...defaults.providers[id], ...(stored.providers || {})[id] }
+        ])
+      )
+    };
+  } catch (err) {
+    console.error('Failed to load settings:', err);
+    return defaults;
+  }
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Failed to save settings:', err);
+  }
+};
+
+export const getProviderConfig = (settings, providerId) => ({
+  ...PROVIDERS[providerId].defaults,
+  ...settings.providers[providerId]
+});
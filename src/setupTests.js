@@ -0,0 +1,18 @@
+// Runs before every test file (react-scripts test). Everything the app needs
+// from the browser is stubbed, so the suite runs offline.
+import '@testing-library/jest-dom';
+import 'fake-indexeddb/auto';
+import { installBrowserStubs } from './testing/browserStubs';
+import { clearDatabase } from './testing/database';
+import { uninstallMockProvider } from './testing/mockProvider';
+
+beforeEach(async () => {
+  installBrowserStubs();
+  localStorage.clear();
+  window.history.replaceState(null, '', '/');
+  await clearDatabase();
+});
+
+afterEach(() => {
+  uninstallMockProvider();
+});
@@ -0,0 +1,67 @@
+// Speech recognizers for "Say it" practice. A recognizer is
+//
+//   { id, isAvailable(), listen({ lang, signal }) }
+//
+// where listen() resolves to the transcripts heard, best guess first, and
+// rejects with a RecognitionError. The browser's Web Speech API is the
+// default; anything else (a local model, a scripted one for tests) can be
+// passed to the practice panel instead.
+
+export class RecognitionError extends Error {
+  constructor(code) {
+    super(`Speech recognition failed: ${code}`);
+    this.name = 'RecognitionError';
+    this.code = code;
+  }
+}
+
+export const createWebSpeechRecognizer = () => {
+  const getRecognition = () => typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition);
+
+  return {
+    id: 'webSpeech',
+    isAvailable: () => Boolean(getRecognition()),
+    listen: ({ lang = 'es-ES', signal } = {}) => new Promise((resolve, reject) => {
+      const Recognition = getRecognition();
+      if (!Recognition) {
+        reject(new RecognitionError('not-supported'));
+        return;
+      }
+
+      const recognition = new Recognition();
+      recognition.lang = lang;
+      recognition.interimResults = false;
+      recognition.maxAlternatives = 5;
+
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        callback(value);
+      };
+
+      recognition.onresult = (event) => settle(resolve, Array.from(event.results[0], alternative => alternative.transcript));
+      recognition.onerror = (event) => settle(reject, new RecognitionError(event.error));
+      // Ending without a result means nothing was heard
+      recognition.onend = () => settle(reject, new RecognitionError('no-speech'));
+
+      if (signal) signal.addEventListener('abort', () => recognition.abort(), { once: true });
+      recognition.start();
+    })
+  };
+};
+
+// Answers each listen() with the next entry of `script`: a transcript, a
+// list of alternatives, or an Error to throw. The last entry repeats.
+export const createScriptedRecognizer = (script) => {
+  let index = 0;
+  return {
+    id: 'scripted',
+    isAvailable: () => true,
+    listen: async () => {
+      const next = script[Math.min(index++, script.length - 1)];
+      if (next instanceof Error) throw next;
+      return Array.isArray(next) ? next : [next];
+    }
+  };
+};
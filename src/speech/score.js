@@ -0,0 +1,87 @@
+import { stripAccents } from '../analysis/words';
+import { syllabify } from './syllables';
+
+// Compares what the recognizer heard with what the learner was asked to say.
+// Single words are compared letter by letter and reported per syllable;
+// sentences word by word. Accents and punctuation are ignored, since
+// recognizers are inconsistent about both.
+
+const simplify = (text) => stripAccents(text.toLowerCase()).replace(/[^\p{L}\s]/gu, ' ').trim();
+
+const tokens = (text) => simplify(text).split(/\s+/).filter(Boolean);
+
+// Longest common subsequence of `expected` and `heard`. Returns which items
+// of `expected` were matched and how many matched in total.
+const align = (expected, heard, equals = (a, b) => a === b) => {
+  const table = Array.from({ length: expected.length + 1 }, () => new Array(heard.length + 1).fill(0));
+  for (let i = expected.length - 1; i >= 0; i--) {
+    for (let j = heard.length - 1; j >= 0; j--) {
+      table[i][j] = equals(expected[i], heard[j])
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const matched = new Array(expected.length).fill(false);
+  for (let i = 0, j = 0; i < expected.length && j < heard.length;) {
+    if (equals(expected[i], heard[j])) {
+      matched[i] = true;
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return { matched, count: table[0][0] };
+};
+
+// 0..1; extra sounds count against the learner as well as missing ones
+const similarity = (count, expectedLength, heardLength) =>
+  (expectedLength + heardLength ? (2 * count) / (expectedLength + heardLength) : 0);
+
+const lettersSimilar = (a, b) => {
+  const { count } = align([...a], [...b]);
+  return similarity(count, a.length, b.length) >= 0.75;
+};
+
+const scoreWord = (expected, heard) => {
+  const letters = [...simplify(expected).replace(/\s+/g, '')];
+  const heardLetters = [...simplify(heard).replace(/\s+/g, '')];
+  const { matched, count } = align(letters, heardLetters);
+
+  // Walk the syllables over the letter matches; syllables with any missed
+  // letter are flagged.
+  let position = 0;
+  const segments = expected.trim().split(/\s+/).flatMap(word => syllabify(word)).map(syllable => {
+    const length = simplify(syllable).replace(/\s+/g, '').length;
+    const ok = matched.slice(position, position + length).every(Boolean);
+    position += length;
+    return { text: syllable, matched: ok };
+  });
+
+  return { score: similarity(count, letters.length, heardLetters.length), segments };
+};
+
+const scoreSentence = (expected, heard) => {
+  const words = expected.trim().split(/\s+/);
+  const expectedTokens = words.map(word => simplify(word).replace(/\s+/g, ''));
+  const heardTokens = tokens(heard);
+  const { matched, count } = align(expectedTokens, heardTokens, lettersSimilar);
+
+  return {
+    score: similarity(count, expectedTokens.filter(Boolean).length, heardTokens.length),
+    // Tokens that are only punctuation ("—") can't be missed
+    segments: words.map((word, index) => ({ text: word, matched: matched[index] || !expectedTokens[index] }))
+  };
+};
+
+// Returns { score (0-100), heard, segments: [{ text, matched }] } for the
+// best of the recognizer's alternatives.
+export const scoreAttempt = (expected, alternatives) => {
+  const score = expected.trim().split(/\s+/).length > 1 ? scoreSentence : scoreWord;
+  const results = alternatives.map(heard => ({ ...score(expected, heard), heard }));
+  const best = results.reduce((a, b) => (b.score > a.score ? b : a), results[0]);
+  return best ? { ...best, score: Math.round(best.score * 100) } : { score: 0, heard: '', segments: [] };
+};
@@ -0,0 +1,46 @@
+import { scoreAttempt } from './score';
+
+const missed = (result) => result.segments.filter(segment => !segment.matched).map(segment => segment.text);
+
+describe('single words', () => {
+  test('scores a perfect attempt 100, ignoring case and accents', () => {
+    const result = scoreAttempt('corazón', ['Corazon']);
+    expect(result.score).toBe(100);
+    expect(missed(result)).toEqual([]);
+  });
+
+  test('flags the syllables with missing letters', () => {
+    const result = scoreAttempt('biblioteca', ['biblio']);
+    expect(result.score).toBe(75);
+    expect(missed(result)).toEqual(['te', 'ca']);
+  });
+
+  test('counts extra sounds against the attempt', () => {
+    expect(scoreAttempt('sol', ['soles']).score).toBe(75);
+  });
+});
+
+describe('sentences', () => {
+  const sentence = 'La biblioteca cierra a las ocho.';
+
+  test('matches word by word, ignoring punctuation', () => {
+    const result = scoreAttempt(sentence, ['la biblioteca cierra a las ocho']);
+    expect(result.score).toBe(100);
+    expect(result.segments.map(segment => segment.text)).toEqual(['La', 'biblioteca', 'cierra', 'a', 'las', 'ocho.']);
+  });
+
+  test('accepts a slightly misheard word but flags a missing one', () => {
+    const result = scoreAttempt(sentence, ['la biblioteka cierra a ocho']);
+    expect(missed(result)).toEqual(['las']);
+    expect(result.score).toBe(91);
+  });
+});
+
+test('picks the best of the alternatives', () => {
+  const result = scoreAttempt('ventana', ['mentira', 'ventanas', 'ventana']);
+  expect(result).toEqual(expect.objectContaining({ score: 100, heard: 'ventana' }));
+});
+
+test('scores nothing heard as 0', () => {
+  expect(scoreAttempt('ventana', [])).toEqual({ score: 0, heard: '', segments: [] });
+});
@@ -0,0 +1,54 @@
+// Promise wrapper around the Web Speech API, so utterances can be played one
+// after another (slow then normal, syllable by syllable).
+
+export const isSpeechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+export const RATE_RANGE = { min: 0.5, max: 1.5, step: 0.1 };
+
+// The slow pass of "slow, then normal"
+export const slowRate = (rate) => Math.max(0.3, Math.round(rate * 6) / 10);
+
+// Resolves when the utterance ends, fails or is cancelled
+const speak = (text, { voice, rate }) => new Promise(resolve => {
+  const utterance = new SpeechSynthesisUtterance(text);
+  if (voice) {
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+  } else {
+    utterance.lang = 'es-ES';
+  }
+  utterance.rate = rate;
+  utterance.pitch = 1.0;
+  utterance.onend = resolve;
+  utterance.onerror = resolve;
+  window.speechSynthesis.speak(utterance);
+});
+
+// Starting a new sequence or stopping ends the one in progress
+let currentSequence = 0;
+
+export const stopSpeaking = () => {
+  currentSequence++;
+  if (isSpeechSupported()) window.speechSynthesis.cancel();
+};
+
+// Speaks each { text, rate } in turn, calling onPart(index) as each starts.
+// Resolves to false if it was interrupted.
+export const speakSequence = async (parts, { voice, onPart } = {}) => {
+  if (!isSpeechSupported()) return false;
+  stopSpeaking();
+  const sequence = currentSequence;
+
+  for (let i = 0; i < parts.length; i++) {
+    if (sequence !== currentSequence) return false;
+    if (onPart) onPart(i);
+    await speak(parts[i].text, { voice, rate: parts[i].rate });
+  }
+  return sequence === currentSequence;
+};
+
+// Speaks `text` at the chosen rate, after a slow pass when `repeatSlow` is on
+export const speakText = (text, { voice, rate, repeatSlow } = {}) => speakSequence(
+  repeatSlow ? [{ text, rate: slowRate(rate) }, { text, rate }] : [{ text, rate }],
+  { voice }
+);
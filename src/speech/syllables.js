@@ -0,0 +1,95 @@
+// Orthographic syllabification of Spanish words, and lining the result up
+// with the model's pronunciation guide.
+
+const VOWELS = 'aeiouáéíóúü';
+// Accented i/u count as strong: they break the diphthong (dí-a, ba-úl)
+const STRONG_VOWELS = 'aeoáéíóú';
+// Consonant pairs that always start a syllable together (ha-blar, o-tro)
+const ONSET_CLUSTERS = new Set(['bl', 'cl', 'fl', 'gl', 'kl', 'pl', 'br', 'cr', 'dr', 'fr', 'gr', 'kr', 'pr', 'tr']);
+
+// Splits a word into letters, keeping ch, ll, rr and the silent-u qu/gu
+// together as single consonants. A "y" not followed by a vowel (hoy, rey)
+// is a vowel.
+const toUnits = (word) => {
+  const lower = word.toLowerCase();
+  const units = [];
+  for (let i = 0; i < lower.length; i++) {
+    const pair = lower.slice(i, i + 2);
+    if (['ch', 'll', 'rr'].includes(pair) || ((pair === 'qu' || pair === 'gu') && /[eéií]/.test(lower[i + 2] || ''))) {
+      units.push({ text: word.slice(i, i + 2), vowel: false });
+      i++;
+      continue;
+    }
+    const char = lower[i];
+    const vowel = VOWELS.includes(char) || (char === 'y' && !VOWELS.includes(lower[i + 1] || ''));
+    units.push({ text: word[i], vowel, strong: STRONG_VOWELS.includes(char) });
+  }
+  return units;
+};
+
+// How many of the consonants between two vowels stay with the first one
+const consonantsKept = (consonants) => {
+  const joined = (list) => list.join('').toLowerCase();
+  if (consonants.length <= 1) return 0;
+  if (consonants.length === 2) return ONSET_CLUSTERS.has(joined(consonants)) ? 0 : 1;
+  if (consonants.length === 3) return ONSET_CLUSTERS.has(joined(consonants.slice(1))) ? 1 : 2;
+  return consonants.length - 2;
+};
+
+export const syllabify = (word) => {
+  const units = toUnits(word);
+
+  // Vowel nuclei, split where two strong vowels meet (hiatus: le-er)
+  const nuclei = [];
+  for (let i = 0; i < units.length; i++) {
+    if (!units[i].vowel) continue;
+    let end = i;
+    while (end + 1 < units.length && units[end + 1].vowel && !(units[end].strong && units[end + 1].strong)) end++;
+    nuclei.push([i, end]);
+    i = end;
+  }
+  if (nuclei.length < 2) return [word];
+
+  const starts = [0];
+  for (let k = 1; k < nuclei.length; k++) {
+    const from = nuclei[k - 1][1] + 1;
+    const consonants = units.slice(from, nuclei[k][0]).map(unit => unit.text);
+    starts.push(from + consonantsKept(consonants));
+  }
+
+  return starts.map((start, index) =>
+    units.slice(start, starts[index + 1]).map(unit => unit.text).join('')
+  );
+};
+
+// Index of the stressed syllable: the written accent if there is one,
+// otherwise the second-to-last for words ending in a vowel, n or s and the
+// last for the rest.
+export const stressedSyllable = (syllables) => {
+  const accented = syllables.findIndex(syllable => /[áéíóú]/i.test(syllable));
+  if (accented !== -1) return accented;
+  if (syllables.length === 1) return 0;
+  return /[aeiouns]$/i.test(syllables[syllables.length - 1]) ? syllables.length - 2 : syllables.length - 1;
+};
+
+// Breaks a word or short phrase into [{ text, guide, stressed, wordIndex }].
+// When the pronunciation guide ("koh-rah-SOHN") has one part per syllable,
+// each syllable gets its part, and an all-caps part marks the stress.
+export const breakIntoSyllables = (text, pronunciation = '') => {
+  const syllables = text.trim().split(/\s+/).filter(Boolean).flatMap((word, wordIndex) => {
+    const parts = syllabify(word);
+    const stressed = stressedSyllable(parts);
+    return parts.map((part, index) => ({ text: part, stressed: index === stressed, wordIndex }));
+  });
+
+  const guide = pronunciation.replace(/[/[\]]/g, '').split(/[\s\-.·]+/).filter(Boolean);
+  if (guide.length !== syllables.length) return syllables;
+
+  const isCaps = (part) => /\p{Lu}/u.test(part) && part === part.toUpperCase();
+  const marksStress = guide.some(isCaps);
+  return syllables.map((syllable, index) => ({
+    ...syllable,
+    guide: guide[index],
+    stressed: marksStress ? isCaps(guide[index]) : syllable.stressed
+  }));
+};
@@ -0,0 +1,64 @@
+import { syllabify, stressedSyllable, breakIntoSyllables } from './syllables';
+
+describe('syllabify', () => {
+  test.each([
+    ['biblioteca', ['bi', 'blio', 'te', 'ca']],
+    ['corazón', ['co', 'ra', 'zón']],
+    ['hablar', ['ha', 'blar']],
+    ['perro', ['pe', 'rro']],
+    ['calle', ['ca', 'lle']],
+    ['noche', ['no', 'che']],
+    ['guitarra', ['gui', 'ta', 'rra']],
+    ['querer', ['que', 'rer']],
+    ['instrumento', ['ins', 'tru', 'men', 'to']],
+    ['leer', ['le', 'er']],
+    ['día', ['dí', 'a']],
+    ['ciudad', ['ciu', 'dad']],
+    ['hoy', ['hoy']],
+    ['sol', ['sol']]
+  ])('%s', (word, syllables) => {
+    expect(syllabify(word)).toEqual(syllables);
+  });
+
+  test('keeps the capitalization of the input', () => {
+    expect(syllabify('España')).toEqual(['Es', 'pa', 'ña']);
+  });
+});
+
+describe('stressedSyllable', () => {
+  test('follows a written accent', () => {
+    expect(stressedSyllable(['co', 'ra', 'zón'])).toBe(2);
+    expect(stressedSyllable(['sá', 'ba', 'do'])).toBe(0);
+  });
+
+  test('stresses the second-to-last syllable of words ending in a vowel, n or s', () => {
+    expect(stressedSyllable(['ven', 'ta', 'na'])).toBe(1);
+    expect(stressedSyllable(['ha', 'blan'])).toBe(0);
+  });
+
+  test('stresses the last syllable of other words', () => {
+    expect(stressedSyllable(['ciu', 'dad'])).toBe(1);
+    expect(stressedSyllable(['sol'])).toBe(0);
+  });
+});
+
+describe('breakIntoSyllables', () => {
+  test('gives each syllable its part of the pronunciation guide, stressed where it is in capitals', () => {
+    expect(breakIntoSyllables('corazón', 'koh-rah-SOHN')).toEqual([
+      { text: 'co', stressed: false, wordIndex: 0, guide: 'koh' },
+      { text: 'ra', stressed: false, wordIndex: 0, guide: 'rah' },
+      { text: 'zón', stressed: true, wordIndex: 0, guide: 'SOHN' }
+    ]);
+  });
+
+  test('ignores a guide that doesn\'t line up and falls back to the spelling rules', () => {
+    const syllables = breakIntoSyllables('biblioteca', 'bee-blee-oh-TEH-kah');
+    expect(syllables.map(syllable => syllable.guide)).toEqual([undefined, undefined, undefined, undefined]);
+    expect(syllables.map(syllable => syllable.stressed)).toEqual([false, false, true, false]);
+  });
+
+  test('numbers the words of a phrase', () => {
+    expect(breakIntoSyllables('la ventana').map(({ text, wordIndex }) => `${wordIndex}:${text}`))
+      .toEqual(['0:la', '1:ven', '1:ta', '1:na']);
+  });
+});
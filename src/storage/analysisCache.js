@@ -0,0 +1,61 @@
+import { getRecord, getAllRecords, putRecord, putRecords } from './db';
+import { PROMPT_VERSION } from '../analysis/prompt';
+import { normalizeWord } from '../analysis/words';
+
+const STORE = 'analyses';
+
+// Changing the prompt changes what an analysis contains, so results are
+// keyed by prompt version and explanation language as well as by word.
+// English keys have no language part, as they did before there was a choice.
+export const cacheKey = (word, language = 'en') => (language === 'en'
+  ? `${PROMPT_VERSION}:${normalizeWord(word)}`
+  : `${PROMPT_VERSION}:${language}:${normalizeWord(word)}`);
+
+// Resolves to { analysis, warnings, cachedAt } or undefined. Storage errors
+// are logged and treated as a cache miss.
+export const getCachedAnalysis = async (word, language) => {
+  try {
+    return await getRecord(STORE, cacheKey(word, language));
+  } catch (err) {
+    console.error('Failed to read analysis cache:', err);
+    return undefined;
+  }
+};
+
+export const cacheAnalysis = async (word, { analysis, warnings }, language = 'en') => {
+  const record = {
+    key: cacheKey(word, language),
+    word: normalizeWord(word),
+    promptVersion: PROMPT_VERSION,
+    language,
+    analysis,
+    warnings,
+    cachedAt: new Date().toISOString()
+  };
+
+  try {
+    await putRecord(STORE, record);
+  } catch (err) {
+    console.error('Failed to write analysis cache:', err);
+  }
+  return record;
+};
+
+// Records saved before there was a choice of language are English
+export const recordLanguage = (record) => record.language || 'en';
+
+// Newest record per word and explanation language, across prompt versions.
+// Views that put several words side by side (quizzes, the family graph) pass
+// `language` to get only the analyses explained in it.
+export const getAllCachedAnalyses = async ({ language } = {}) => {
+  const latest = new Map();
+  for (const record of await getAllRecords(STORE)) {
+    if (language && recordLanguage(record) !== language) continue;
+    const id = `${recordLanguage(record)}:${record.word}`;
+    const current = latest.get(id);
+    if (!current || current.cachedAt < record.cachedAt) latest.set(id, record);
+  }
+  return [...latest.values()];
+};
+
+export const restoreCachedAnalyses = (records) => putRecords(STORE, records);
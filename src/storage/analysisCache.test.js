@@ -0,0 +1,44 @@
+import { cacheAnalysis, getAllCachedAnalyses, restoreCachedAnalyses } from './analysisCache';
+import { loadFixture } from '../testing/mockProvider';
+
+const biblioteca = loadFixture('biblioteca').reply;
+const ventana = loadFixture('ventana').reply;
+
+const summarize = (records) => records
+  .map(record => `${record.language}:${record.word}`)
+  .sort();
+
+test('keeps one analysis per word and explanation language', async () => {
+  await cacheAnalysis('biblioteca', { analysis: biblioteca, warnings: [] }, 'en');
+  await cacheAnalysis('biblioteca', { analysis: { ...biblioteca, englishMeaning: 'bibliothèque' }, warnings: [] }, 'fr');
+  await cacheAnalysis('ventana', { analysis: ventana, warnings: [] }, 'en');
+
+  expect(summarize(await getAllCachedAnalyses())).toEqual(['en:biblioteca', 'en:ventana', 'fr:biblioteca']);
+});
+
+test('returns only the analyses explained in the language asked for', async () => {
+  await cacheAnalysis('biblioteca', { analysis: biblioteca, warnings: [] }, 'en');
+  await cacheAnalysis('biblioteca', { analysis: { ...biblioteca, englishMeaning: 'bibliothèque' }, warnings: [] }, 'fr');
+
+  const french = await getAllCachedAnalyses({ language: 'fr' });
+  expect(french.map(record => record.analysis.englishMeaning)).toEqual(['bibliothèque']);
+});
+
+test('treats records saved before the language choice as English', async () => {
+  await restoreCachedAnalyses([
+    { key: '4:ventana', word: 'ventana', promptVersion: 4, analysis: ventana, warnings: [], cachedAt: '2024-01-01T00:00:00.000Z' }
+  ]);
+
+  expect(await getAllCachedAnalyses({ language: 'en' })).toHaveLength(1);
+  expect(await getAllCachedAnalyses({ language: 'fr' })).toEqual([]);
+});
+
+test('prefers the newest prompt version of the same word and language', async () => {
+  await restoreCachedAnalyses([
+    { key: '4:ventana', word: 'ventana', promptVersion: 4, analysis: { ...ventana, englishMeaning: 'old' }, warnings: [], cachedAt: '2024-01-01T00:00:00.000Z' }
+  ]);
+  await cacheAnalysis('ventana', { analysis: ventana, warnings: [] });
+
+  const records = await getAllCachedAnalyses();
+  expect(records.map(record => record.analysis.englishMeaning)).toEqual(['window']);
+});
@@ -0,0 +1,65 @@
+const DB_NAME = 'etymo';
+
+// One entry per schema version. To add a store, append a step; existing
+// browsers run only the steps they haven't seen yet.
+const UPGRADES = [
+  (db) => db.createObjectStore('analyses', { keyPath: 'key' }),
+  (db) => db.createObjectStore('deck', { keyPath: 'id' }),
+  (db) => db.createObjectStore('library', { keyPath: 'word' }),
+  (db) => db.createObjectStore('quizResults', { keyPath: 'word' })
+];
+
+let dbPromise;
+
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, UPGRADES.length);
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < UPGRADES.length; version++) {
+          UPGRADES[version](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again instead of caching the failure
+    dbPromise.catch(() => { dbPromise = undefined; });
+  }
+  return dbPromise;
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return promisify(fn(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+export const getRecord = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+
+export const getAllRecords = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+export const putRecord = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+
+export const deleteRecord = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+export const putRecords = async (storeName, values) => {
+  const db = await openDb();
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+  values.forEach(value => store.put(value));
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
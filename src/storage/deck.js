@@ -0,0 +1,35 @@
+import { getAllRecords, putRecord, putRecords, deleteRecord } from './db';
+import { normalizeWord } from '../analysis/words';
+import { newCardSchedule, scheduleCard } from '../review/scheduler';
+
+const STORE = 'deck';
+
+export const cardId = (word) => normalizeWord(word);
+
+export const createCard = (analysis, now = new Date()) => ({
+  id: cardId(analysis.word),
+  word: analysis.word,
+  englishMeaning: analysis.englishMeaning,
+  mnemonic: analysis.mnemonic,
+  etymology: analysis.etymology,
+  createdAt: now.toISOString(),
+  ...newCardSchedule(now)
+});
+
+export const getDeck = () => getAllRecords(STORE);
+
+export const addToDeck = async (analysis) => {
+  const card = createCard(analysis);
+  await putRecord(STORE, card);
+  return card;
+};
+
+export const removeFromDeck = (id) => deleteRecord(STORE, id);
+
+export const gradeCard = async (card, grade) => {
+  const updated = { ...card, ...scheduleCard(card, grade) };
+  await putRecord(STORE, updated);
+  return updated;
+};
+
+export const restoreCards = (cards) => putRecords(STORE, cards);
@@ -0,0 +1,47 @@
+import { getRecord, getAllRecords, putRecord, putRecords, deleteRecord } from './db';
+import { normalizeWord } from '../analysis/words';
+
+const STORE = 'library';
+
+// One entry per word the learner has looked up, keyed like the deck. Holds
+// the lookup history and everything the learner adds: favorite, tags, notes,
+// their own mnemonic and rated mnemonic versions (see library/mnemonics.js).
+// The meaning is copied in so the library can be listed and searched without
+// loading every analysis.
+export const createEntry = (analysis, now = new Date()) => ({
+  word: normalizeWord(analysis.word),
+  displayWord: analysis.word,
+  englishMeaning: analysis.englishMeaning,
+  favorite: false,
+  tags: [],
+  notes: '',
+  mnemonic: '',
+  mnemonicVersions: [],
+  createdAt: now.toISOString(),
+  lookups: []
+});
+
+export const getLibrary = () => getAllRecords(STORE);
+
+export const recordLookup = async (analysis, now = new Date()) => {
+  const existing = await getRecord(STORE, normalizeWord(analysis.word));
+  const entry = existing || createEntry(analysis, now);
+  const updated = {
+    ...entry,
+    displayWord: analysis.word,
+    englishMeaning: analysis.englishMeaning,
+    lookups: [...entry.lookups, now.toISOString()]
+  };
+  await putRecord(STORE, updated);
+  return updated;
+};
+
+export const updateEntry = async (entry, changes) => {
+  const updated = { ...entry, ...changes };
+  await putRecord(STORE, updated);
+  return updated;
+};
+
+export const removeFromLibrary = (word) => deleteRecord(STORE, normalizeWord(word));
+
+export const restoreLibrary = (entries) => putRecords(STORE, entries);
@@ -0,0 +1,21 @@
+import { getRecord, getAllRecords, putRecord, putRecords } from './db';
+
+const STORE = 'quizResults';
+
+// One record per quizzed word, keyed like the library, with every answer
+// given: { at, mode, correct }.
+export const getQuizResults = () => getAllRecords(STORE);
+
+export const recordQuizAnswer = async (question, correct, now = new Date()) => {
+  const existing = await getRecord(STORE, question.key);
+  const record = existing || { word: question.key, displayWord: question.word, answers: [] };
+  const updated = {
+    ...record,
+    displayWord: question.word,
+    answers: [...record.answers, { at: now.toISOString(), mode: question.mode, correct }]
+  };
+  await putRecord(STORE, updated);
+  return updated;
+};
+
+export const restoreQuizResults = (records) => putRecords(STORE, records);
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { getAllCachedAnalyses } from './analysisCache';
+
+// The saved analyses explained in `language`, or null while they load. They
+// are read again whenever `reloadKey` changes, so views pick up analyses
+// saved since they mounted. Storage errors are logged and treated as an
+// empty cache.
+export const useCachedAnalyses = (language, reloadKey) => {
+  const [records, setRecords] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAllCachedAnalyses({ language })
+      .catch(err => {
+        console.error('Failed to load saved analyses:', err);
+        return [];
+      })
+      .then(result => { if (!cancelled) setRecords(result); });
+    return () => { cancelled = true; };
+  }, [language, reloadKey]);
+
+  return records;
+};
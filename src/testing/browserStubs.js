@@ -0,0 +1,38 @@
+// Stand-ins for browser APIs jsdom doesn't have. installBrowserStubs() runs
+// before every test (see setupTests.js), so each test starts with fresh
+// jest.fn()s to assert on.
+
+export const SPANISH_VOICE = { name: 'Spanish (United States)', lang: 'es-US', localService: true, default: false };
+export const ENGLISH_VOICE = { name: 'English (United States)', lang: 'en-US', localService: true, default: true };
+
+class SpeechSynthesisUtteranceStub {
+  constructor(text) {
+    this.text = text;
+    this.voice = null;
+    this.lang = '';
+    this.rate = 1;
+    this.pitch = 1;
+    this.onend = null;
+    this.onerror = null;
+  }
+}
+
+// Utterances "finish" on the next tick, so speakSequence() moves on
+const createSpeechSynthesis = (voices) => ({
+  onvoiceschanged: null,
+  getVoices: jest.fn(() => voices),
+  speak: jest.fn((utterance) => {
+    setTimeout(() => utterance.onend && utterance.onend(), 0);
+  }),
+  cancel: jest.fn()
+});
+
+export const installBrowserStubs = ({ voices = [SPANISH_VOICE, ENGLISH_VOICE] } = {}) => {
+  window.speechSynthesis = createSpeechSynthesis(voices);
+  window.SpeechSynthesisUtterance = SpeechSynthesisUtteranceStub;
+  // userEvent.setup() replaces this with a clipboard that supports readText()
+  Object.defineProperty(navigator, 'clipboard', {
+    configurable: true,
+    value: { writeText: jest.fn(() => Promise.resolve()) }
+  });
+};
@@ -0,0 +1,14 @@
+import { openDb } from '../storage/db';
+
+// Empties every store, so a test doesn't see what earlier tests in the same
+// file saved. The stores themselves live in fake-indexeddb (setupTests.js).
+export const clearDatabase = async () => {
+  const db = await openDb();
+  const storeNames = [...db.objectStoreNames];
+  const transaction = db.transaction(storeNames, 'readwrite');
+  storeNames.forEach(name => transaction.objectStore(name).clear());
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,86 @@
+import { PROVIDERS, ProviderError } from '../providers';
+
+// A provider adapter for tests that replays recorded replies from
+// testing/fixtures instead of calling a model. Each fixture is one reply:
+//
+//   { "status": 200, "reply": { ... } }     an analysis, sent as JSON text
+//   { "status": 200, "text": "..." }        raw text (fenced, malformed, cut off)
+//   { "status": 429, "error": "...", "retryAfter": 20 }
+//
+// Replies are used in order, one per request; running out fails the test.
+// Like the proxy it takes the task request rather than messages, so tests
+// can check which word was asked for in `requests`.
+
+const fixtureText = (fixture) => (fixture.reply ? JSON.stringify(fixture.reply, null, 2) : fixture.text);
+
+// Streamed replies arrive in pieces this long
+const CHUNK_SIZE = 64;
+
+export const loadFixture = (name) => require(`./fixtures/${name}.json`);
+
+export const createMockProvider = (...fixtureNames) => {
+  const queue = fixtureNames.map(loadFixture);
+  const requests = [];
+
+  const reply = (request, signal) => {
+    requests.push(request);
+    if (signal && signal.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    }
+    const fixture = queue.shift();
+    if (!fixture) {
+      throw new Error(`Mock provider has no reply left for request ${requests.length} (${request.task} ${request.word})`);
+    }
+    if (fixture.status !== 200) {
+      throw new ProviderError(`Mock API error: ${fixture.status} ${fixture.error}`, {
+        provider: 'mock',
+        status: fixture.status,
+        retryAfterSeconds: fixture.retryAfter
+      });
+    }
+    return fixtureText(fixture);
+  };
+
+  return {
+    id: 'mock',
+    label: 'Mock',
+    fields: [],
+    remotePrompt: true,
+    defaults: {},
+    requests,
+    pending: () => queue.length,
+    async complete(request, config, { signal } = {}) {
+      return reply(request, signal);
+    },
+    async stream(request, config, { signal, onText } = {}) {
+      const text = reply(request, signal);
+      for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+        onText(text.slice(i, i + CHUNK_SIZE));
+        await Promise.resolve();
+      }
+      return text;
+    }
+  };
+};
+
+// PROVIDERS as it was before the first install, restored after each test
+let originalProviders = null;
+
+// Registers a mock provider and selects it in the saved settings, so the app
+// picks it up on its next render. Returns the provider.
+export const installMockProvider = (...fixtureNames) => {
+  const provider = createMockProvider(...fixtureNames);
+  if (!originalProviders) originalProviders = { ...PROVIDERS };
+  PROVIDERS.mock = provider;
+  localStorage.setItem('etymo.settings', JSON.stringify({ provider: 'mock', interfaceLanguage: 'en' }));
+  return provider;
+};
+
+// Puts PROVIDERS back as it was, undoing the install and anything a test
+// replaced or added alongside it.
+export const uninstallMockProvider = () => {
+  if (!originalProviders) return;
+  Object.keys(PROVIDERS).forEach(id => { delete PROVIDERS[id]; });
+  Object.assign(PROVIDERS, originalProviders);
+  originalProviders = null;
+};